@@ -0,0 +1,49 @@
+import express from 'express';
+import { issueKey, listKeys, revokeKey, validateKeyOptions } from './apiKeys.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('admin');
+
+// Key management; mounted at /api/admin behind the admin scope
+const router = express.Router();
+
+router.get('/keys', (req, res) => {
+  res.json({ status: 'ok', keys: listKeys() });
+});
+
+// The plain key appears in this response only; store it on the client side
+router.post('/keys', (req, res) => {
+  const options = {
+    client: req.body?.client,
+    scopes: req.body?.scopes,
+    rate_limit_per_minute: req.body?.rate_limit_per_minute,
+    daily_quota: req.body?.daily_quota
+  };
+  const error = validateKeyOptions(options);
+  if (error) {
+    logger.warn('Invalid API key request', { error: error });
+    return res.status(400).json({
+      status: 'error',
+      type: 'invalid_input',
+      message: error
+    });
+  }
+
+  const { key, record } = issueKey(options);
+  res.status(201).json({ status: 'ok', key, api_key: record });
+});
+
+router.delete('/keys/:id', (req, res) => {
+  const record = revokeKey(req.params.id);
+  if (!record) {
+    logger.warn('API key not found', { keyId: req.params.id });
+    return res.status(404).json({
+      status: 'error',
+      type: 'not_found',
+      message: 'API key not found'
+    });
+  }
+  res.json({ status: 'ok', api_key: record });
+});
+
+export default router;
@@ -0,0 +1,107 @@
+import { MAX_RECOMMENDATIONS, sortRecommendations } from './recommendations.js';
+
+// Response bodies for analysis outcomes, per API version.
+// v1 is the merged body built by the pipeline, kept as it is for existing clients, where later
+// stages overwrite earlier ones (`confidence`). v2 gives each stage its own section.
+
+// v1 named LLM output after the only provider it had
+const V1_LLM_SOURCE = 'gemini-ai';
+
+function formatInput({ type, parsed }) {
+  return {
+    type,
+    language: parsed.language,
+    screening: parsed.input_screening || null,
+    ocr: parsed.confidence === undefined ? null : {
+      confidence: parsed.confidence,
+      pages: parsed.pages,
+      ...(parsed.preprocessing && { preprocessing: parsed.preprocessing })
+    }
+  };
+}
+
+function formatExtraction({ parsed, factors }) {
+  return {
+    answers: parsed.answers,
+    missing_fields: parsed.missing_fields,
+    field_sources: parsed.field_sources,
+    derived_fields: parsed.derived_fields || {},
+    llm_extraction: parsed.llm_extraction || null,
+    field_confidence: parsed.field_confidence || null,
+    field_pages: parsed.field_pages || null,
+    low_confidence_fields: parsed.low_confidence_fields || [],
+    rejected_fields: parsed.rejected_fields || [],
+    unreadable_fields: parsed.unreadable_fields || [],
+    factors: factors.factors,
+    protective_factors: factors.protective_factors,
+    diet_analysis: factors.diet_analysis || null,
+    confidence: factors.confidence
+  };
+}
+
+function formatMeta({ model, history }, extra) {
+  return {
+    model: { id: model.model_id, version: model.model_version },
+    subject_id: history?.subject_id || null,
+    assessment_id: history?.assessment_id || null,
+    ...extra
+  };
+}
+
+// v1 lists the first five recommendation texts in the order they were generated, with the
+// source names it always had. v2 lists the five most pressing items by priority and urgency,
+// with their category, priority, factors and urgency.
+export function formatRecommendations(result, version) {
+  if (version === 'v2') {
+    return { ...result, recommendations: sortRecommendations(result.recommendations).slice(0, MAX_RECOMMENDATIONS) };
+  }
+  return {
+    ...result,
+    recommendations: result.recommendations.slice(0, MAX_RECOMMENDATIONS).map(item => item.text),
+    source: result.source === 'llm' ? V1_LLM_SOURCE : result.source
+  };
+}
+
+// v2 body for a failed check ({ status, reason, ...details }); `meta` is merged into the
+// envelope's meta (request id)
+export function formatValidationFailure(response, meta) {
+  const { status, reason, model_id: _modelId, model_version: _modelVersion, ...details } = response;
+  return { status, reason, details, ...(meta && { meta }) };
+}
+
+// `outcome` is what analyzeProfile returned; outcomes without sections (request errors
+// raised before the pipeline ran) are returned unchanged in every version.
+// `extra` adds fields to the v2 meta section (e.g. job_id).
+export function formatAnalysis(outcome, version, extra = {}) {
+  if (version !== 'v2' || !outcome.sections) {
+    return outcome.response;
+  }
+
+  const { sections } = outcome;
+  if (!outcome.ok) {
+    return formatValidationFailure(outcome.response, formatMeta(sections, extra));
+  }
+
+  const { risk, clinicalScores } = sections;
+  const recommendations = formatRecommendations(sections.recommendations, 'v2');
+  return {
+    status: 'ok',
+    input: formatInput(sections),
+    extraction: formatExtraction(sections),
+    risk: {
+      level: risk.risk_level,
+      score: risk.score,
+      rationale: risk.rationale,
+      score_breakdown: risk.score_breakdown,
+      clinical_scores: clinicalScores
+    },
+    recommendations: {
+      items: recommendations.recommendations,
+      source: recommendations.source,
+      llm: recommendations.llm,
+      disclaimer: recommendations.disclaimer,
+      safety: recommendations.safety
+    },
+    meta: formatMeta(sections, extra)
+  };
+}
@@ -0,0 +1,156 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+import { API_VERSIONS, openApiDocuments } from './openapi.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('apiContract');
+
+// Checks outgoing /api responses against the OpenAPI document of their API version:
+// 'warn' logs mismatches, 'strict' replaces the response with a 500, 'off' skips the check.
+// Defaults to 'strict' under test, 'warn' in development and 'off' in production.
+const DEFAULT_VALIDATION = { production: 'off', test: 'strict' }[process.env.NODE_ENV] || 'warn';
+const RESPONSE_VALIDATION = process.env.RESPONSE_VALIDATION || DEFAULT_VALIDATION;
+
+const VALIDATION_MODES = ['off', 'warn', 'strict'];
+if (!VALIDATION_MODES.includes(RESPONSE_VALIDATION)) {
+  throw new Error(`Unknown RESPONSE_VALIDATION "${RESPONSE_VALIDATION}" (expected one of: ${VALIDATION_MODES.join(', ')})`);
+}
+
+// Formats (date-time, binary) are documentation only; shapes and types are what get checked
+const ajv = new Ajv2020({ strict: false, allErrors: true, validateFormats: false });
+Object.entries(openApiDocuments).forEach(([version, document]) => ajv.addSchema(document, `openapi-${version}`));
+
+// One matcher per documented path, e.g. /jobs/{id} -> ^/jobs/([^/]+)$; every version has the same paths
+const operations = Object.keys(openApiDocuments.v2.paths).map(template => ({
+  template,
+  pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, '[^/]+')}$`)
+}));
+
+const pointer = (...tokens) => tokens.map(token => encodeURIComponent(token.replace(/~/g, '~0').replace(/\//g, '~1'))).join('/');
+
+const validators = new Map();
+
+// Compiled once per version and schema location and reused
+function validatorFor(version, location) {
+  const key = `openapi-${version}#/${location}`;
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile({ $ref: key }));
+  }
+  return validators.get(key);
+}
+
+// Path relative to the documented server url (/api, /api/v1 or /api/v2)
+function apiPath(req) {
+  return req.originalUrl.split('?')[0].replace(/^\/api(\/v\d+)?/, '').replace(/\/$/, '') || '/';
+}
+
+function findOperation(req) {
+  const path = apiPath(req);
+  const method = req.method.toLowerCase();
+  const pathItems = openApiDocuments[req.apiVersion].paths;
+  const match = operations.find(entry => entry.pattern.test(path) && pathItems[entry.template][method]);
+  return match && { template: match.template, method, operation: pathItems[match.template][method] };
+}
+
+function describeErrors(errors) {
+  return errors.slice(0, 10).map(error => ({
+    path: error.instancePath || '/',
+    message: error.message
+  }));
+}
+
+// Schema location of the response body for this request and status; undocumented
+// routes (the catch-all 404, errors raised before routing) fall back to the Error schema
+function responseSchemaLocation(req, statusCode) {
+  const found = findOperation(req);
+  const response = found?.operation.responses[statusCode];
+  if (response?.content?.['application/json']) {
+    return pointer('paths', found.template, found.method, 'responses', String(statusCode), 'content', 'application/json', 'schema');
+  }
+  return statusCode >= 400 ? pointer('components', 'schemas', 'Error') : null;
+}
+
+function checkResponse(req, statusCode, body) {
+  const location = responseSchemaLocation(req, statusCode);
+  if (!location) {
+    return null;
+  }
+  const validate = validatorFor(req.apiVersion, location);
+  return validate(body) ? null : describeErrors(validate.errors);
+}
+
+// Adds the envelope of req.apiVersion to every JSON body: `api_version` (and the API-Version
+// header), plus `meta.request_id` from v2 on. Then checks the body against the OpenAPI document.
+export function apiEnvelope(req, res, next) {
+  const apiVersion = API_VERSIONS[req.apiVersion];
+  res.set('API-Version', apiVersion);
+  const json = res.json.bind(res);
+
+  const envelope = body => (req.apiVersion === 'v1'
+    ? { ...body, api_version: apiVersion }
+    : { ...body, api_version: apiVersion, meta: { request_id: req.id, ...body.meta } });
+
+  res.json = body => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      return json(body);
+    }
+    const enveloped = envelope(body);
+    if (RESPONSE_VALIDATION === 'off') {
+      return json(enveloped);
+    }
+
+    const errors = checkResponse(req, res.statusCode, enveloped);
+    if (!errors) {
+      return json(enveloped);
+    }
+    logger.warn('Response does not match the OpenAPI document', {
+      method: req.method,
+      url: req.originalUrl,
+      statusCode: res.statusCode,
+      errors: errors
+    });
+    if (RESPONSE_VALIDATION !== 'strict') {
+      return json(enveloped);
+    }
+    res.status(500);
+    return json(envelope({
+      status: 'error',
+      type: 'response_validation_failed',
+      message: 'Response does not match the published API schema',
+      errors
+    }));
+  };
+  next();
+}
+
+// Checks JSON request bodies against the operation's documented requestBody.
+// Multipart bodies are left to the route handlers, which see the uploaded files.
+export function validateRequest(req, res, next) {
+  if (!req.is('application/json') || req.body === undefined) {
+    return next();
+  }
+  const found = findOperation(req);
+  if (!found?.operation.requestBody?.content['application/json']) {
+    return next();
+  }
+
+  const validate = validatorFor(req.apiVersion, pointer('paths', found.template, found.method, 'requestBody', 'content', 'application/json', 'schema'));
+  if (validate(req.body)) {
+    return next();
+  }
+  const errors = describeErrors(validate.errors);
+  logger.warn('Request body does not match the OpenAPI document', {
+    method: req.method,
+    url: req.originalUrl,
+    errors: errors
+  });
+  res.status(400).json({
+    status: 'error',
+    type: 'invalid_input',
+    message: `Request body does not match the API schema: ${errors[0].path} ${errors[0].message}`,
+    errors
+  });
+}
+
+export function getResponseValidationMode() {
+  return RESPONSE_VALIDATION;
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('apiKeys');
+
+const API_KEYS_FILE = path.resolve(process.env.API_KEYS_FILE || 'data/api-keys.json');
+
+export const SCOPES = ['analyze', 'ocr', 'admin'];
+
+// Keys look like hp_<id>_<secret>; the id finds the record, only a SHA-256 of the secret is stored
+const KEY_PATTERN = /^hp_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+const CLIENT_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+// How often a running server checks the keys file for changes
+const API_KEYS_RELOAD_SECONDS = parseFloat(process.env.API_KEYS_RELOAD_SECONDS) || 5;
+
+// Keys are served from memory. At most every API_KEYS_RELOAD_SECONDS the file's mtime is
+// checked and a changed file is re-read, so keys issued or revoked with the CLI take effect
+// on a running server without a restart, and without a filesystem call per request.
+let cache = { mtimeMs: null, checkedAt: -Infinity, keys: [] };
+
+function readKeysFile() {
+  let stat;
+  try {
+    stat = fs.statSync(API_KEYS_FILE);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { mtimeMs: null, keys: [] };
+    }
+    throw error;
+  }
+  if (stat.mtimeMs === cache.mtimeMs) {
+    return cache;
+  }
+  const keys = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf8')).keys || [];
+  logger.info('API keys loaded', { file: API_KEYS_FILE, keys: keys.length });
+  return { mtimeMs: stat.mtimeMs, keys };
+}
+
+// `fresh` skips the interval; issuing and revoking rewrite the file from its current content
+function loadKeys({ fresh = false } = {}) {
+  const now = Date.now();
+  if (fresh || now - cache.checkedAt >= API_KEYS_RELOAD_SECONDS * 1000) {
+    cache = { ...readKeysFile(), checkedAt: now };
+  }
+  return cache.keys;
+}
+
+// Written to a temporary file first so a reader never sees half a file
+function saveKeys(keys) {
+  fs.mkdirSync(path.dirname(API_KEYS_FILE), { recursive: true });
+  const temporary = `${API_KEYS_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify({ keys }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(temporary, API_KEYS_FILE);
+  cache = { mtimeMs: fs.statSync(API_KEYS_FILE).mtimeMs, checkedAt: Date.now(), keys };
+}
+
+// Public view of a key record: everything except the hash
+export function describeKey(record) {
+  const { secret_hash: _secretHash, ...rest } = record;
+  return { ...rest, active: !record.revoked_at };
+}
+
+export function validateKeyOptions({ client, scopes, rate_limit_per_minute: rateLimit, daily_quota: dailyQuota }) {
+  if (typeof client !== 'string' || !CLIENT_NAME_PATTERN.test(client)) {
+    return 'client must be 1-64 letters, digits, ".", "_" or "-"';
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+    return `scopes must be a non-empty list of: ${SCOPES.join(', ')}`;
+  }
+  for (const [name, value] of [['rate_limit_per_minute', rateLimit], ['daily_quota', dailyQuota]]) {
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return `${name} must be a positive integer`;
+    }
+  }
+  return null;
+}
+
+// Creates a key and returns { key, record }. The plain key is only ever returned here.
+// Limits left null fall back to the server defaults (RATE_LIMIT_PER_MINUTE, DAILY_QUOTA).
+export function issueKey({ client, scopes, rate_limit_per_minute: rateLimit = null, daily_quota: dailyQuota = null }) {
+  const error = validateKeyOptions({ client, scopes, rate_limit_per_minute: rateLimit, daily_quota: dailyQuota });
+  if (error) {
+    throw new Error(error);
+  }
+
+  const id = randomBytes(6).toString('hex');
+  const secret = randomBytes(32).toString('base64url');
+  const record = {
+    id,
+    client,
+    scopes: [...new Set(scopes)],
+    rate_limit_per_minute: rateLimit,
+    daily_quota: dailyQuota,
+    secret_hash: hashSecret(secret),
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+
+  saveKeys([...loadKeys({ fresh: true }), record]);
+  logger.info('API key issued', { keyId: id, client: client, scopes: record.scopes });
+  return { key: `hp_${id}_${secret}`, record: describeKey(record) };
+}
+
+// Returns the revoked key's public record, or null for an unknown id
+export function revokeKey(id) {
+  const keys = loadKeys({ fresh: true });
+  const record = keys.find(entry => entry.id === id);
+  if (!record) {
+    return null;
+  }
+  if (!record.revoked_at) {
+    record.revoked_at = new Date().toISOString();
+    saveKeys(keys);
+    logger.info('API key revoked', { keyId: id, client: record.client });
+  }
+  return describeKey(record);
+}
+
+export function listKeys() {
+  return loadKeys({ fresh: true }).map(describeKey);
+}
+
+// Resolves a presented key to its active record, or null
+export function verifyKey(key) {
+  const match = typeof key === 'string' && key.match(KEY_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const record = loadKeys().find(entry => entry.id === match[1]);
+  if (!record || record.revoked_at) {
+    return null;
+  }
+  const expected = Buffer.from(record.secret_hash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  return timingSafeEqual(expected, actual) ? record : null;
+}
@@ -0,0 +1,71 @@
+// API key management from the command line; works on the same API_KEYS_FILE as the server,
+// which picks up changes without a restart.
+//   npm run keys -- issue --client <id> --scopes analyze,ocr [--rate-limit 60] [--daily-quota 1000]
+//   npm run keys -- list
+//   npm run keys -- revoke <key id>
+import { parseArgs } from 'util';
+import { issueKey, listKeys, revokeKey, SCOPES } from './apiKeys.js';
+
+const USAGE = `Usage:
+  npm run keys -- issue --client <id> --scopes <${SCOPES.join(',')}> [--rate-limit <per minute>] [--daily-quota <requests>]
+  npm run keys -- list
+  npm run keys -- revoke <key id>`;
+
+function optionalInteger(value, name) {
+  if (value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+function run(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      client: { type: 'string' },
+      scopes: { type: 'string' },
+      'rate-limit': { type: 'string' },
+      'daily-quota': { type: 'string' }
+    }
+  });
+  const [command, id] = positionals;
+
+  switch (command) {
+    case 'issue': {
+      const { key, record } = issueKey({
+        client: values.client,
+        scopes: (values.scopes || '').split(',').map(scope => scope.trim()).filter(Boolean),
+        rate_limit_per_minute: optionalInteger(values['rate-limit'], 'rate-limit'),
+        daily_quota: optionalInteger(values['daily-quota'], 'daily-quota')
+      });
+      console.log(JSON.stringify(record, null, 2));
+      console.log(`\nAPI key (shown once, store it now):\n${key}`);
+      return;
+    }
+    case 'list':
+      console.log(JSON.stringify(listKeys(), null, 2));
+      return;
+    case 'revoke': {
+      const record = id && revokeKey(id);
+      if (!record) {
+        throw new Error(`API key not found: ${id ?? '(missing id)'}`);
+      }
+      console.log(JSON.stringify(record, null, 2));
+      return;
+    }
+    default:
+      throw new Error(USAGE);
+  }
+}
+
+try {
+  run(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,66 @@
+import express from 'express';
+import routes from './routes.js';
+import adminRoutes from './adminRoutes.js';
+import { authenticate, requireScope } from './auth.js';
+import { apiEnvelope, validateRequest } from './apiContract.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('apiVersions');
+
+// v1 deprecation policy (see "API Versions" in the README): v1 was deprecated when v2 was
+// released and is supported for six months after that. A deployment that keeps v1 longer
+// moves the dates with API_V1_DEPRECATED_AT and API_V1_SUNSET (UTC dates).
+const V2_RELEASE_DATE = '2026-10-19';
+const V1_SUNSET_DATE = '2027-04-19';
+const API_V1_DEPRECATED_AT = process.env.API_V1_DEPRECATED_AT || V2_RELEASE_DATE;
+const API_V1_SUNSET = process.env.API_V1_SUNSET || V1_SUNSET_DATE;
+
+for (const [name, value] of [['API_V1_DEPRECATED_AT', API_V1_DEPRECATED_AT], ['API_V1_SUNSET', API_V1_SUNSET]]) {
+  if (Number.isNaN(Date.parse(value))) {
+    throw new Error(`Invalid ${name} "${value}" (expected a date such as 2027-04-19)`);
+  }
+}
+
+// Deprecation (RFC 9745) and Sunset (RFC 8594) headers, with a link to the same route in v2
+function deprecationHeaders(req, res, next) {
+  res.set({
+    Deprecation: `@${Math.floor(Date.parse(API_V1_DEPRECATED_AT) / 1000)}`,
+    Sunset: new Date(API_V1_SUNSET).toUTCString(),
+    Link: `</api/v2${req.path}>; rel="successor-version", </api/docs>; rel="deprecation"`
+  });
+  next();
+}
+
+// Ends the version's routes so unknown paths under /api/v2 never fall through to the
+// unversioned /api mount
+function notFound(req, res) {
+  logger.warn(`Route not found: ${req.method} ${req.originalUrl}`, { apiVersion: req.apiVersion });
+  res.status(404).json({
+    status: 'error',
+    type: 'not_found',
+    message: 'Route not found'
+  });
+}
+
+// The API served under one version prefix: response envelope, authentication, request
+// validation and the routes. Versions share the routes; handlers shape their bodies from req.apiVersion.
+export function createApiRouter(version) {
+  const api = express.Router();
+  api.use((req, res, next) => {
+    req.apiVersion = version;
+    next();
+  });
+  if (version === 'v1') {
+    api.use(deprecationHeaders);
+  }
+  api.use(apiEnvelope);
+  api.use(authenticate);
+  api.use('/admin', requireScope('admin'), validateRequest, adminRoutes);
+  // v1 takes every body the original API took; only the routes' own input checks apply there
+  if (version !== 'v1') {
+    api.use(validateRequest);
+  }
+  api.use(routes);
+  api.use(notFound);
+  return api;
+}
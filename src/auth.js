@@ -0,0 +1,173 @@
+import { verifyKey } from './apiKeys.js';
+import { runWithContext, getRequestContext } from './utils/requestContext.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('auth');
+
+// 'keys' requires an API key on every /api request; 'off' leaves the API open (local development)
+const API_AUTH = process.env.API_AUTH || 'keys';
+// Defaults for keys issued without their own limits
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const DAILY_QUOTA = parseInt(process.env.DAILY_QUOTA) || 1000;
+
+const AUTH_MODES = ['keys', 'off'];
+if (!AUTH_MODES.includes(API_AUTH)) {
+  throw new Error(`Unknown API_AUTH "${API_AUTH}" (expected one of: ${AUTH_MODES.join(', ')})`);
+}
+if (API_AUTH === 'off') {
+  logger.warn('API authentication is disabled (API_AUTH=off)');
+}
+
+const MINUTE_MS = 60 * 1000;
+
+// Usage per key id: a fixed one-minute window and a UTC-day counter.
+// Kept in memory, so counters restart with the process.
+const usage = new Map();
+
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function secondsUntilNextUtcDay(now) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next.getTime() - now) / 1000);
+}
+
+// Counts one request against the key's limits.
+// Returns { allowed, limit, remaining, quota, quotaRemaining } or, when refused, { allowed: false, type, retryAfter }.
+function consume(record, now = Date.now()) {
+  const limit = record.rate_limit_per_minute || RATE_LIMIT_PER_MINUTE;
+  const quota = record.daily_quota || DAILY_QUOTA;
+  const entry = usage.get(record.id) || { windowStart: now, windowCount: 0, day: utcDay(now), dayCount: 0 };
+
+  if (now - entry.windowStart >= MINUTE_MS) {
+    entry.windowStart = now;
+    entry.windowCount = 0;
+  }
+  if (entry.day !== utcDay(now)) {
+    entry.day = utcDay(now);
+    entry.dayCount = 0;
+  }
+  usage.set(record.id, entry);
+
+  if (entry.dayCount >= quota) {
+    return { allowed: false, type: 'quota_exceeded', limit: quota, retryAfter: secondsUntilNextUtcDay(now) };
+  }
+  if (entry.windowCount >= limit) {
+    return {
+      allowed: false,
+      type: 'rate_limited',
+      limit,
+      retryAfter: Math.max(1, Math.ceil((entry.windowStart + MINUTE_MS - now) / 1000))
+    };
+  }
+
+  entry.windowCount++;
+  entry.dayCount++;
+  return {
+    allowed: true,
+    limit,
+    remaining: limit - entry.windowCount,
+    quota,
+    quotaRemaining: quota - entry.dayCount
+  };
+}
+
+function presentedKey(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key');
+}
+
+// Resolves the API key, applies its rate limit and daily quota, and runs the rest of the
+// request with the client in the request context (picked up by the logger).
+// Sets req.apiKey to the key record.
+export function authenticate(req, res, next) {
+  if (API_AUTH === 'off') {
+    return next();
+  }
+
+  const key = presentedKey(req);
+  const record = key ? verifyKey(key) : null;
+  if (!record) {
+    logger.warn('Rejected request without a valid API key', {
+      method: req.method,
+      url: req.originalUrl,
+      keyPresented: !!key
+    });
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+      status: 'error',
+      type: 'unauthorized',
+      message: key ? 'Invalid or revoked API key' : 'An API key is required (Authorization: Bearer <key> or X-API-Key)'
+    });
+  }
+
+  const decision = consume(record);
+  if (!decision.allowed) {
+    logger.warn('API key over its limit', {
+      client: record.client,
+      keyId: record.id,
+      type: decision.type,
+      limit: decision.limit,
+      retryAfter: decision.retryAfter
+    });
+    return res.status(429).set('Retry-After', String(decision.retryAfter)).json({
+      status: 'error',
+      type: decision.type,
+      message: decision.type === 'quota_exceeded'
+        ? `Daily quota of ${decision.limit} requests used up`
+        : `Rate limit of ${decision.limit} requests per minute exceeded`,
+      retry_after_seconds: decision.retryAfter
+    });
+  }
+
+  res.set({
+    'X-RateLimit-Limit': String(decision.limit),
+    'X-RateLimit-Remaining': String(decision.remaining),
+    'X-Quota-Limit': String(decision.quota),
+    'X-Quota-Remaining': String(decision.quotaRemaining)
+  });
+  req.apiKey = record;
+
+  runWithContext({ ...getRequestContext(), clientId: record.client, keyId: record.id }, () => {
+    logger.debug('Request authenticated', { keyId: record.id, scopes: record.scopes });
+    next();
+  });
+}
+
+function forbidden(res, scope) {
+  return res.status(403).json({
+    status: 'error',
+    type: 'forbidden',
+    message: `This API key does not have the "${scope}" scope`
+  });
+}
+
+function hasScope(req, scope) {
+  return API_AUTH === 'off' || req.apiKey.scopes.includes(scope);
+}
+
+// Route guard for one of the key scopes (analyze, ocr, admin)
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req, scope)) {
+      logger.warn('API key lacks required scope', { keyId: req.apiKey.id, scope: scope, url: req.originalUrl });
+      return forbidden(res, scope);
+    }
+    next();
+  };
+}
+
+// Uploads cost OCR time, so routes that accept them also need the ocr scope when a file
+// was sent. Runs after multer, once req.file / req.files are known.
+export function requireScopeForUploads(req, res, next) {
+  const hasUploads = !!req.file || (req.files || []).length > 0;
+  if (hasUploads && !hasScope(req, 'ocr')) {
+    logger.warn('API key lacks required scope', { keyId: req.apiKey.id, scope: 'ocr', url: req.originalUrl });
+    return forbidden(res, 'ocr');
+  }
+  next();
+}
@@ -0,0 +1,186 @@
+import { classifyDiet } from './diet.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('clinical');
+
+// Framingham general cardiovascular disease, 10-year risk
+// (D'Agostino et al., Circulation 2008), sex-specific Cox model coefficients
+const FRAMINGHAM_COEFFICIENTS = {
+  female: {
+    lnAge: 2.32888,
+    lnTotalCholesterol: 1.20904,
+    lnHdl: -0.70833,
+    lnSbpUntreated: 2.76157,
+    lnSbpTreated: 2.82263,
+    smoker: 0.52873,
+    diabetes: 0.69154,
+    baselineSurvival: 0.95012,
+    meanSum: 26.1931
+  },
+  male: {
+    lnAge: 3.06117,
+    lnTotalCholesterol: 1.12370,
+    lnHdl: -0.93263,
+    lnSbpUntreated: 1.93303,
+    lnSbpTreated: 1.99881,
+    smoker: 0.65451,
+    diabetes: 0.57367,
+    baselineSurvival: 0.88936,
+    meanSum: 23.9802
+  }
+};
+
+// FINDRISC bands with the approximate 10-year type 2 diabetes risk for each
+const FINDRISC_BANDS = [
+  { max: 6, category: 'low', estimated_risk: '1 in 100' },
+  { max: 11, category: 'slightly_elevated', estimated_risk: '1 in 25' },
+  { max: 14, category: 'moderate', estimated_risk: '1 in 6' },
+  { max: 20, category: 'high', estimated_risk: '1 in 3' },
+  { max: Infinity, category: 'very_high', estimated_risk: '1 in 2' }
+];
+
+function framingham(inputs) {
+  if (inputs.age < 30 || inputs.age > 74) {
+    return { status: 'out_of_range', reason: 'Framingham is validated for ages 30-74' };
+  }
+
+  const c = FRAMINGHAM_COEFFICIENTS[inputs.sex];
+  const sum = c.lnAge * Math.log(inputs.age)
+    + c.lnTotalCholesterol * Math.log(inputs.total_cholesterol)
+    + c.lnHdl * Math.log(inputs.hdl_cholesterol)
+    + (inputs.bp_treated ? c.lnSbpTreated : c.lnSbpUntreated) * Math.log(inputs.systolic_bp)
+    + (inputs.smoker ? c.smoker : 0)
+    + (inputs.diabetes ? c.diabetes : 0);
+  const risk = 1 - Math.pow(c.baselineSurvival, Math.exp(sum - c.meanSum));
+  const riskPercent = parseFloat((risk * 100).toFixed(1));
+
+  let category = 'low';
+  if (riskPercent >= 20) {
+    category = 'high';
+  } else if (riskPercent >= 10) {
+    category = 'intermediate';
+  }
+
+  return {
+    status: 'ok',
+    result: {
+      risk_percent: riskPercent,
+      category
+    }
+  };
+}
+
+function findrisc(inputs) {
+  const points = {};
+
+  if (inputs.age < 45) {
+    points.age = 0;
+  } else if (inputs.age <= 54) {
+    points.age = 2;
+  } else if (inputs.age <= 64) {
+    points.age = 3;
+  } else {
+    points.age = 4;
+  }
+
+  if (inputs.bmi < 25) {
+    points.bmi = 0;
+  } else if (inputs.bmi <= 30) {
+    points.bmi = 1;
+  } else {
+    points.bmi = 3;
+  }
+
+  // Waist cut-offs differ by sex (cm)
+  const [lower, upper] = inputs.sex === 'male' ? [94, 102] : [80, 88];
+  if (inputs.waist < lower) {
+    points.waist = 0;
+  } else if (inputs.waist <= upper) {
+    points.waist = 3;
+  } else {
+    points.waist = 4;
+  }
+
+  // "At least 30 minutes of activity every day"
+  points.physical_activity = inputs.exercise === 'daily' || inputs.exercise_minutes >= 210 ? 0 : 2;
+  // Fruit or vegetables mentioned (and not negated) in the diet answer count as eaten every day
+  points.vegetables_fruit = classifyDiet(inputs.diet).protective_factors.includes('fruit and vegetables') ? 0 : 1;
+  points.bp_treated = inputs.bp_treated ? 2 : 0;
+  points.high_glucose = inputs.high_glucose ? 5 : 0;
+  points.family_diabetes = { none: 0, second_degree: 3, first_degree: 5 }[inputs.family_diabetes];
+
+  const total = Object.values(points).reduce((sum, value) => sum + value, 0);
+  const band = FINDRISC_BANDS.find(entry => total <= entry.max);
+
+  return {
+    status: 'ok',
+    result: {
+      points: total,
+      max_points: 26,
+      category: band.category,
+      estimated_10y_risk: band.estimated_risk,
+      item_points: points
+    }
+  };
+}
+
+// Each instrument lists the answers it cannot run without, and optional answers
+// with the value assumed when they are absent
+const INSTRUMENTS = [
+  {
+    id: 'framingham_cvd',
+    name: 'Framingham 10-year cardiovascular disease risk',
+    reference: 'D\'Agostino et al., Circulation 2008',
+    required: ['age', 'sex', 'total_cholesterol', 'hdl_cholesterol', 'systolic_bp', 'smoker'],
+    optional: { bp_treated: false, diabetes: false },
+    compute: framingham
+  },
+  {
+    id: 'findrisc',
+    name: 'FINDRISC type 2 diabetes risk',
+    reference: 'Lindström & Tuomilehto, Diabetes Care 2003',
+    required: ['age', 'sex', 'bmi', 'waist', 'exercise', 'diet'],
+    optional: { bp_treated: false, high_glucose: false, family_diabetes: 'none' },
+    compute: findrisc
+  }
+];
+
+function runInstrument(instrument, answers) {
+  const present = field => answers[field] !== undefined && answers[field] !== null;
+  const missingRequired = instrument.required.filter(field => !present(field));
+  const missingOptional = Object.keys(instrument.optional).filter(field => !present(field));
+
+  const summary = {
+    id: instrument.id,
+    name: instrument.name,
+    reference: instrument.reference,
+    inputs_used: [...instrument.required, ...Object.keys(instrument.optional)].filter(present),
+    inputs_missing: [...missingRequired, ...missingOptional]
+  };
+
+  if (missingRequired.length > 0) {
+    return { ...summary, status: 'insufficient_data' };
+  }
+
+  const assumptions = Object.fromEntries(missingOptional.map(field => [field, instrument.optional[field]]));
+  const outcome = instrument.compute({ ...assumptions, ...answers });
+  return {
+    ...summary,
+    ...(missingOptional.length > 0 && { assumptions }),
+    ...outcome
+  };
+}
+
+// Runs every clinical instrument; ones lacking required inputs are reported, not skipped
+export function calculateClinicalScores(answers) {
+  const scores = INSTRUMENTS.map(instrument => runInstrument(instrument, answers));
+
+  logger.info('Clinical scores calculated', {
+    computed: scores.filter(score => score.status === 'ok').map(score => score.id),
+    notComputed: scores
+      .filter(score => score.status !== 'ok')
+      .map(score => ({ id: score.id, status: score.status, missing: score.inputs_missing }))
+  });
+
+  return scores;
+}
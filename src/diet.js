@@ -0,0 +1,287 @@
+import { generateText, isLlmAvailable } from './llm/index.js';
+import { sanitizeForPrompt } from './sanitize.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('diet');
+
+// 'keywords' works offline; 'llm' asks the configured LLM and falls back to keywords on any failure
+const DIET_CLASSIFIER = process.env.DIET_CLASSIFIER || 'keywords';
+const DIET_LLM_TIMEOUT_MS = parseInt(process.env.DIET_LLM_TIMEOUT_MS) || 8000;
+
+// Diet vocabulary per factor, in every survey language. Risk factors are scored;
+// protective factors are reported. A negated protective term ("no vegetables",
+// "low fiber") produces `negatedFactor` instead.
+const DIET_CATEGORIES = [
+  {
+    factor: 'poor diet',
+    kind: 'risk',
+    terms: [
+      'fast food', 'fast-food', 'junk food', 'takeout', 'take-out', 'takeaway', 'takeaways',
+      'soda', 'sodas', 'soft drinks', 'fizzy drinks', 'sugary drinks', 'energy drinks',
+      'sugar', 'sugary', 'sweets', 'candy', 'candies', 'desserts', 'pastries', 'cakes', 'cookies', 'biscuits',
+      'processed', 'processed food', 'processed meat', 'ultra-processed', 'ready meals', 'microwave meals',
+      'instant noodles', 'chips', 'crisps', 'white bread', 'refined carbs',
+      'comida rápida', 'comida rapida', 'comida chatarra', 'refrescos', 'gaseosas', 'azúcar', 'azucar',
+      'dulces', 'postres', 'bollería', 'procesados', 'procesadas', 'procesado', 'procesada',
+      'restauration rapide', 'malbouffe', 'sucre', 'sucreries', 'bonbons', 'pâtisseries', 'plats préparés',
+      'transformés', 'transformé', 'transformée', 'transformées',
+      'मिठाई', 'मीठा', 'जंक फूड', 'फास्ट फूड', 'कोल्ड ड्रिंक'
+    ]
+  },
+  {
+    factor: 'high fat intake',
+    kind: 'risk',
+    terms: [
+      'high fat', 'high-fat', 'fatty', 'fried', 'deep-fried', 'greasy',
+      'fritos', 'fritas', 'frituras', 'grasa', 'grasas', 'grasiento', 'grasienta',
+      'frit', 'frits', 'frites', 'friture', 'gras', 'grasse',
+      'तला', 'तली', 'तले', 'तला हुआ'
+    ]
+  },
+  {
+    factor: 'plant-based diet',
+    kind: 'protective',
+    terms: [
+      'vegetarian', 'vegan', 'plant-based', 'plant based',
+      'vegetariano', 'vegetariana', 'vegano', 'vegana',
+      'végétarien', 'végétarienne', 'végétalien', 'végétalienne', 'végan',
+      'शाकाहारी'
+    ]
+  },
+  {
+    factor: 'mediterranean diet',
+    kind: 'protective',
+    terms: [
+      'mediterranean', 'dash diet',
+      'mediterránea', 'mediterraneo', 'mediterráneo', 'mediterranea',
+      'méditerranéen', 'méditerranéenne'
+    ]
+  },
+  {
+    factor: 'high fiber intake',
+    kind: 'protective',
+    negatedFactor: 'poor diet',
+    terms: [
+      'high fiber', 'high-fiber', 'high fibre', 'high-fibre', 'fiber', 'fibre',
+      'whole grain', 'whole grains', 'wholegrain', 'wholegrains', 'whole wheat', 'whole-wheat', 'brown rice',
+      'oats', 'oatmeal', 'legumes', 'beans', 'lentils',
+      'fibra', 'integral', 'integrales', 'legumbres', 'legumbre', 'lentejas', 'avena',
+      'fibres', 'céréales complètes', 'complet', 'complets', 'légumineuses', 'lentilles', 'avoine',
+      'दाल', 'साबुत अनाज'
+    ]
+  },
+  {
+    factor: 'fruit and vegetables',
+    kind: 'protective',
+    negatedFactor: 'poor diet',
+    terms: [
+      'vegetables', 'vegetable', 'veggies', 'veg', 'fruit', 'fruits', 'salad', 'salads', 'greens', 'berries',
+      'verduras', 'verdura', 'vegetales', 'hortalizas', 'frutas', 'fruta', 'ensalada', 'ensaladas',
+      'légumes', 'légume', 'salade', 'salades',
+      'सब्जियां', 'सब्जियाँ', 'सब्ज़ियां', 'सब्ज़ियाँ', 'सब्जी', 'फल'
+    ]
+  }
+];
+
+export const DIET_FACTORS = {
+  risk: [...new Set(DIET_CATEGORIES.filter(category => category.kind === 'risk').map(category => category.factor))],
+  protective: DIET_CATEGORIES.filter(category => category.kind === 'protective').map(category => category.factor)
+};
+
+// Words that negate a term a few words later ("no soda", "rarely eat fried food", "low in sugar")
+const NEGATION_BEFORE = [
+  'no', 'not', 'never', 'rarely', 'seldom', 'hardly', 'barely', 'without', 'zero', 'non',
+  'avoid', 'avoids', 'avoided', 'avoiding', 'cut out', 'cut down on', 'cut back on', 'gave up', 'give up',
+  'quit', 'stopped', 'limit', 'limits', 'limited', 'less', 'low', 'reduced', 'little', 'few',
+  'free of', "don't", "doesn't", "didn't", 'do not', 'does not', 'no longer',
+  'sin', 'nunca', 'poco', 'poca', 'pocos', 'pocas', 'nada de', 'evito', 'evita', 'bajo en', 'baja en',
+  'sans', 'pas de', 'peu de', 'jamais', 'évite', 'évité', 'aucun', 'aucune', 'pauvre en',
+  'बिना', 'कम'
+];
+// Words that negate a term just before them ("sugar-free", "तला हुआ नहीं")
+const NEGATION_AFTER = ['free', 'rarely', 'never', 'नहीं'];
+// Words that end a negation's reach, besides punctuation: "no soda but lots of sweets",
+// "less sugar and more vegetables"
+const SCOPE_BREAKS = [
+  'but', 'however', 'though', 'although', 'except', 'lots of', 'plenty of', 'a lot of', 'mostly', 'mainly',
+  'pero', 'aunque', 'mucho', 'mucha', 'muchos', 'muchas',
+  'mais', 'sauf', 'beaucoup', 'surtout',
+  'लेकिन', 'पर', 'ज़्यादा', 'ज्यादा'
+];
+// "more" breaks scope too, except in "no more soda" / "no más refrescos"
+const MORE = '(?<!(?:no|any)\\s)(?<![\\p{L}\\p{M}])(?:more|más|mas)(?![\\p{L}\\p{M}])';
+const NEGATION_WINDOW_WORDS = 4;
+const NEGATION_AFTER_WORDS = 2;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wordAlternation(words) {
+  const alternatives = [...words].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+  return `(?<![\\p{L}\\p{M}])(?:${alternatives})(?![\\p{L}\\p{M}])`;
+}
+
+const CATEGORY_PATTERNS = DIET_CATEGORIES.map(category => ({
+  ...category,
+  pattern: new RegExp(wordAlternation(category.terms), 'giu')
+}));
+const NEGATION_BEFORE_PATTERN = new RegExp(wordAlternation(NEGATION_BEFORE), 'iu');
+const NEGATION_AFTER_PATTERN = new RegExp(`^[\\s-]*(?:\\S+\\s+){0,${NEGATION_AFTER_WORDS - 1}}?${wordAlternation(NEGATION_AFTER)}`, 'iu');
+const SCOPE_BREAK_PATTERN = new RegExp(`[.,;!?\\n]|${MORE}|${wordAlternation(SCOPE_BREAKS)}`, 'giu');
+// Text that only joins alternatives, so "no soda or sweets" negates both. Commas and "and"
+// start a new item ("no soda, salads every day"), so a negation never crosses them.
+const LIST_JOINER_PATTERN = new RegExp(
+  `^(?:[\\s/&]|${wordAlternation(['or', 'nor', 'food', 'foods', 'drinks', 'o', 'ni', 'ou', 'de', 'या'])})*$`,
+  'iu'
+);
+
+// 'before' for "no soda", 'after' for "sugar-free", null when the term is affirmed
+function negationOf(text, start, end) {
+  // Only the part of the clause after the last scope break can negate the term
+  let scopeStart = 0;
+  for (const breakMatch of text.slice(0, start).matchAll(SCOPE_BREAK_PATTERN)) {
+    scopeStart = breakMatch.index + breakMatch[0].length;
+  }
+  const before = text.slice(scopeStart, start).trim().split(/\s+/).slice(-NEGATION_WINDOW_WORDS).join(' ');
+  if (NEGATION_BEFORE_PATTERN.test(before)) {
+    return 'before';
+  }
+
+  const rest = text.slice(end);
+  const clauseEnd = rest.search(SCOPE_BREAK_PATTERN);
+  return NEGATION_AFTER_PATTERN.test(clauseEnd === -1 ? rest : rest.slice(0, clauseEnd)) ? 'after' : null;
+}
+
+function findTerms(text) {
+  const found = [];
+  CATEGORY_PATTERNS.forEach(category => {
+    for (const match of text.matchAll(category.pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      // "high fiber" is one term, not "high fiber" plus "fiber" again
+      if (!found.some(term => start < term.end && end > term.start)) {
+        found.push({ category, term: match[0], start, end });
+      }
+    }
+  });
+  return found.sort((a, b) => a.start - b.start);
+}
+
+// Offline classification: every diet term found, whether it was negated and the factor it produced
+export function classifyDiet(text) {
+  const result = { source: 'keywords', risk_factors: [], protective_factors: [], terms: [] };
+  if (typeof text !== 'string' || text.trim() === '') {
+    return result;
+  }
+
+  let previous = null;
+  findTerms(text).forEach(found => {
+    let negation = negationOf(text, found.start, found.end);
+    const sameKind = previous?.category.kind === found.category.kind;
+    const between = previous ? text.slice(previous.end, found.start) : '';
+    if (negation === 'before' && previous?.negation === 'before' && !sameKind &&
+      !NEGATION_BEFORE_PATTERN.test(between)) {
+      // The negation belongs to the previous term, not to a term of the other kind after it
+      // ("no soda and salads")
+      negation = null;
+    } else if (!negation && previous?.negation === 'before' && sameKind && LIST_JOINER_PATTERN.test(between)) {
+      // A leading negation carries over alternatives of the same kind ("no soda or sweets")
+      negation = 'before';
+    }
+    previous = { ...found, negation };
+
+    const negated = negation !== null;
+    const factor = negated ? found.category.negatedFactor || null : found.category.factor;
+    result.terms.push({ term: found.term, negated, factor });
+
+    if (factor) {
+      const kind = DIET_FACTORS.risk.includes(factor) ? 'risk_factors' : 'protective_factors';
+      if (!result[kind].includes(factor)) {
+        result[kind].push(factor);
+      }
+    }
+  });
+
+  logger.debug('Diet classified from keywords', {
+    riskFactors: result.risk_factors,
+    protectiveFactors: result.protective_factors,
+    termsMatched: result.terms.length,
+    negatedTerms: result.terms.filter(term => term.negated).map(term => term.term)
+  });
+
+  return result;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function classifyDietWithLlm(text) {
+  const prompt = `You classify free-text diet descriptions from a health survey.
+
+Diet: """${sanitizeForPrompt(text)}"""
+
+Risk factors you may use: ${DIET_FACTORS.risk.join(', ')}
+Protective factors you may use: ${DIET_FACTORS.protective.join(', ')}
+
+Treat negated mentions ("no soda", "sugar-free", "rarely fried food") as absent, and map
+synonyms (e.g. takeout, soda) onto the closest factor. Reply with JSON only, in the form
+{"risk_factors": [], "protective_factors": []}.`;
+
+  const jsonSchema = {
+    type: 'object',
+    properties: {
+      risk_factors: { type: 'array', items: { type: 'string', enum: DIET_FACTORS.risk } },
+      protective_factors: { type: 'array', items: { type: 'string', enum: DIET_FACTORS.protective } }
+    },
+    required: ['risk_factors', 'protective_factors'],
+    additionalProperties: false
+  };
+  const { text: reply, provider, model } = await withTimeout(generateText(prompt, { jsonSchema }), DIET_LLM_TIMEOUT_MS);
+  const parsed = JSON.parse(reply.replace(/^```(?:json)?\s*|\s*```$/g, '').trim());
+
+  // Anything outside the known vocabulary is dropped so scoring only sees weighted factors
+  const pick = (values, allowed) => [...new Set((Array.isArray(values) ? values : [])
+    .map(value => String(value).toLowerCase().trim())
+    .filter(value => allowed.includes(value)))];
+
+  return {
+    source: 'llm',
+    llm: { provider, model },
+    risk_factors: pick(parsed.risk_factors, DIET_FACTORS.risk),
+    protective_factors: pick(parsed.protective_factors, DIET_FACTORS.protective),
+    // Keyword evidence is kept for transparency even when the LLM decides
+    terms: classifyDiet(text).terms
+  };
+}
+
+// Classifies a diet answer with the configured mode
+export async function analyzeDiet(text, { mode = DIET_CLASSIFIER } = {}) {
+  if (mode !== 'llm' || typeof text !== 'string' || text.trim() === '') {
+    return classifyDiet(text);
+  }
+  if (!isLlmAvailable()) {
+    logger.warn('LLM provider not configured, classifying diet from keywords');
+    return classifyDiet(text);
+  }
+
+  try {
+    const result = await classifyDietWithLlm(text);
+    logger.info('Diet classified with LLM', {
+      ...result.llm,
+      riskFactors: result.risk_factors,
+      protectiveFactors: result.protective_factors
+    });
+    return result;
+  } catch (error) {
+    logger.error('Error classifying diet with LLM, falling back to keywords', {
+      error: error.message
+    });
+    return classifyDiet(text);
+  }
+}
@@ -0,0 +1,63 @@
+import express from 'express';
+import getAbsoluteFSPath from 'swagger-ui-dist/absolute-path.js';
+import { openApiDocuments } from './openapi.js';
+
+// The OpenAPI documents and the Swagger UI page; mounted at /api ahead of authentication.
+// Swagger UI is served from the swagger-ui-dist package with no inline scripts, so helmet's
+// default Content-Security-Policy applies unchanged.
+const router = express.Router();
+
+router.get('/:version/openapi.json', (req, res, next) => {
+  if (!Object.hasOwn(openApiDocuments, req.params.version)) {
+    return next();
+  }
+  res.json(openApiDocuments[req.params.version]);
+});
+
+// Unversioned, like the rest of /api: the v1 document
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocuments.v1);
+});
+
+router.get('/docs', (req, res) => {
+  const assets = `${req.baseUrl}/docs`;
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <title>Health Risk Profiler API</title>
+    <link rel="stylesheet" type="text/css" href="${assets}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${assets}/swagger-ui-bundle.js" charset="UTF-8"></script>
+    <script src="${assets}/swagger-ui-standalone-preset.js" charset="UTF-8"></script>
+    <script src="${assets}/swagger-initializer.js" charset="UTF-8"></script>
+  </body>
+</html>
+`);
+});
+
+// Replaces the package's initializer, which points at the petstore example; the top bar
+// switches between the version documents, latest first
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  const urls = [
+    { url: `${req.baseUrl}/v2/openapi.json`, name: 'v2' },
+    { url: `${req.baseUrl}/v1/openapi.json`, name: 'v1 (deprecated)' }
+  ];
+  res.type('js').send(`window.onload = function () {
+  window.ui = SwaggerUIBundle({
+    urls: ${JSON.stringify(urls)},
+    dom_id: '#swagger-ui',
+    deepLinking: true,
+    persistAuthorization: true,
+    presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+    layout: 'StandaloneLayout'
+  });
+};
+`);
+});
+
+router.use('/docs', express.static(getAbsoluteFSPath(), { index: false }));
+
+export default router;
@@ -0,0 +1,116 @@
+import { createRequire } from 'module';
+import path from 'path';
+import sharp from 'sharp';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('documents');
+const require = createRequire(import.meta.url);
+
+const DOCUMENT_MAX_PAGES = parseInt(process.env.DOCUMENT_MAX_PAGES) || 10;
+const PDF_RENDER_SCALE = parseFloat(process.env.PDF_RENDER_SCALE) || 2;
+// Pages whose embedded text layer is shorter than this are treated as scans and rasterized
+const PDF_TEXT_LAYER_MIN_CHARS = parseInt(process.env.PDF_TEXT_LAYER_MIN_CHARS) || 20;
+
+const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts/'
+);
+
+const SUPPORTED_DOCUMENT_TYPES = ['application/pdf'];
+
+export function isSupportedUpload(mimetype = '') {
+  return mimetype.startsWith('image/') || SUPPORTED_DOCUMENT_TYPES.includes(mimetype);
+}
+
+// Splits an upload into pages. Each page carries either an `image` buffer to OCR
+// or `text` taken straight from a PDF text layer.
+export async function extractPages(buffer, mimetype = '') {
+  if (mimetype === 'application/pdf') {
+    return extractPdfPages(buffer);
+  }
+  if (mimetype === 'image/tiff') {
+    return extractTiffPages(buffer);
+  }
+  return [{ page: 1, image: buffer, source: 'image' }];
+}
+
+async function extractPdfPages(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    isEvalSupported: false,
+    verbosity: 0
+  }).promise;
+
+  const pageCount = Math.min(pdf.numPages, DOCUMENT_MAX_PAGES);
+  logger.info('Extracting PDF pages', {
+    totalPages: pdf.numPages,
+    processedPages: pageCount,
+    truncated: pdf.numPages > DOCUMENT_MAX_PAGES
+  });
+
+  const pages = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+
+      // Digital PDFs already carry text; only scanned pages need OCR
+      const content = await page.getTextContent();
+      const text = joinTextItems(content.items);
+      if (text.replace(/\s/g, '').length >= PDF_TEXT_LAYER_MIN_CHARS) {
+        logger.debug('Using PDF text layer', { page: pageNumber, textLength: text.length });
+        pages.push({ page: pageNumber, text, source: 'text-layer' });
+        page.cleanup();
+        continue;
+      }
+
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      const canvasAndContext = pdf.canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+      await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+      const image = canvasAndContext.canvas.toBuffer('image/png');
+      pdf.canvasFactory.destroy(canvasAndContext);
+      page.cleanup();
+
+      logger.debug('Rasterized PDF page', {
+        page: pageNumber,
+        width: Math.ceil(viewport.width),
+        height: Math.ceil(viewport.height)
+      });
+      pages.push({ page: pageNumber, image, source: 'rasterized' });
+    }
+  } finally {
+    await pdf.destroy();
+  }
+
+  return pages;
+}
+
+// Rebuilds line breaks from pdf.js text items so label/value regexes still work
+function joinTextItems(items) {
+  return items
+    .map(item => item.str + (item.hasEOL ? '\n' : ' '))
+    .join('')
+    .replace(/[ \t]+\n/g, '\n')
+    .trim();
+}
+
+async function extractTiffPages(buffer) {
+  const { pages: totalPages = 1 } = await sharp(buffer).metadata();
+  const pageCount = Math.min(totalPages, DOCUMENT_MAX_PAGES);
+  logger.info('Extracting TIFF pages', {
+    totalPages: totalPages,
+    processedPages: pageCount,
+    truncated: totalPages > DOCUMENT_MAX_PAGES
+  });
+
+  const pages = [];
+  for (let index = 0; index < pageCount; index++) {
+    const image = await sharp(buffer, { page: index }).png().toBuffer();
+    pages.push({ page: index + 1, image, source: 'tiff-page' });
+  }
+  return pages;
+}
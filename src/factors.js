@@ -1,14 +1,19 @@
+import { evaluateFieldFactors } from './fields/index.js';
+import { classifyDiet } from './diet.js';
 import { createLogger } from './utils/logger.js';
 
 const logger = createLogger('factors');
 
-export function extractFactors(answers) {
+// Options: diet, a diet classification from analyzeDiet (keyword classification when omitted)
+export function extractFactors(answers, { diet } = {}) {
   logger.info('Starting factor extraction', {
     inputFields: Object.keys(answers),
     dataPointsCount: Object.keys(answers).length
   });
 
   const factors = [];
+  // Reported alongside risk factors but never scored
+  const protectiveFactors = [];
   let confidence = 0.9; // Start with high confidence for factor extraction
 
   // Age-related factors
@@ -22,13 +27,29 @@ export function extractFactors(answers) {
   // Smoking
   if (answers.smoker === true) {
     factors.push('smoking');
-    logger.debug('Risk factor identified: Smoking');
+    logger.debug('Risk factor identified: Smoking', { packYears: answers.pack_years });
+  } else if (answers.smoking_status === 'former') {
+    factors.push('former smoker');
+    logger.debug('Risk factor identified: Former smoker', {
+      packYears: answers.pack_years,
+      quitYear: answers.quit_year
+    });
   } else if (answers.smoker === false) {
     logger.debug('Smoking status assessed - non-smoker');
   }
 
-  // Exercise patterns
-  if (answers.exercise) {
+  // Exercise patterns; weekly minutes are graded against the 150-minute guideline
+  if (typeof answers.exercise_minutes === 'number') {
+    if (answers.exercise_minutes < 60) {
+      factors.push('low exercise');
+      logger.debug('Risk factor identified: Low exercise', { minutesPerWeek: answers.exercise_minutes });
+    } else if (answers.exercise_minutes < 150) {
+      factors.push('insufficient exercise');
+      logger.debug('Risk factor identified: Insufficient exercise', { minutesPerWeek: answers.exercise_minutes });
+    } else {
+      logger.debug('Exercise level assessed - meets weekly guideline', { minutesPerWeek: answers.exercise_minutes });
+    }
+  } else if (answers.exercise) {
     const exercise = answers.exercise.toLowerCase();
     if (['never', 'rarely'].includes(exercise)) {
       factors.push('low exercise');
@@ -40,21 +61,20 @@ export function extractFactors(answers) {
     logger.debug('Exercise data not available for assessment');
   }
 
-  // Diet patterns
+  // Diet patterns; negation-aware classification unless an LLM-assisted one was passed in
+  let dietAnalysis = null;
   if (answers.diet) {
-    const diet = answers.diet.toLowerCase();
-    
-    if (diet.includes('high sugar') || diet.includes('fast food') || diet.includes('processed')) {
-      factors.push('poor diet');
-      logger.debug('Risk factor identified: Poor diet', { dietIndicators: 'high sugar/fast food/processed' });
-    }
-    if (diet.includes('high fat') || diet.includes('fried')) {
-      factors.push('high fat intake');
-      logger.debug('Risk factor identified: High fat intake', { dietIndicators: 'high fat/fried foods' });
-    }
-    
-    if (!factors.some(f => f.includes('diet') || f.includes('fat'))) {
-      logger.debug('Diet assessed - no significant dietary risk factors identified');
+    dietAnalysis = diet || classifyDiet(answers.diet);
+    dietAnalysis.risk_factors.forEach(factor => {
+      factors.push(factor);
+      logger.debug('Risk factor identified from diet', { factor: factor, source: dietAnalysis.source });
+    });
+    protectiveFactors.push(...dietAnalysis.protective_factors);
+
+    if (dietAnalysis.risk_factors.length === 0) {
+      logger.debug('Diet assessed - no significant dietary risk factors identified', {
+        protectiveFactors: dietAnalysis.protective_factors
+      });
     }
   } else {
     logger.debug('Diet data not available for assessment');
@@ -95,8 +115,18 @@ export function extractFactors(answers) {
     logger.debug('Sleep data not available for assessment');
   }
 
-  // Alcohol consumption
-  if (answers.alcohol && ['often', 'sometimes'].includes(answers.alcohol.toLowerCase())) {
+  // Alcohol consumption; drinks per week above 14 count as heavy drinking
+  if (typeof answers.alcohol_drinks === 'number') {
+    if (answers.alcohol_drinks > 14) {
+      factors.push('heavy alcohol consumption');
+      logger.debug('Risk factor identified: Heavy alcohol consumption', { drinksPerWeek: answers.alcohol_drinks });
+    } else if (answers.alcohol_drinks > 0) {
+      factors.push('alcohol consumption');
+      logger.debug('Risk factor identified: Alcohol consumption', { drinksPerWeek: answers.alcohol_drinks });
+    } else {
+      logger.debug('Alcohol consumption assessed - none', { drinksPerWeek: answers.alcohol_drinks });
+    }
+  } else if (answers.alcohol && ['often', 'sometimes'].includes(answers.alcohol.toLowerCase())) {
     factors.push('alcohol consumption');
     logger.debug('Risk factor identified: Alcohol consumption', { 
       alcoholLevel: answers.alcohol.toLowerCase() 
@@ -109,6 +139,14 @@ export function extractFactors(answers) {
     logger.debug('Alcohol consumption data not available for assessment');
   }
 
+  // Factors declared by registered fields (e.g. fields added through FIELDS_CONFIG_PATH)
+  evaluateFieldFactors(answers).forEach(factor => {
+    if (!factors.includes(factor)) {
+      factors.push(factor);
+      logger.debug('Risk factor identified from field definition', { factor: factor });
+    }
+  });
+
   // Adjust confidence based on available data
   const dataPoints = Object.keys(answers).length;
   logger.debug('Calculating confidence adjustment', { 
@@ -129,12 +167,15 @@ export function extractFactors(answers) {
 
   const finalResult = {
     factors,
+    protective_factors: protectiveFactors,
+    ...(dietAnalysis && { diet_analysis: dietAnalysis }),
     confidence: parseFloat(confidence.toFixed(2))
   };
 
   logger.info('Factor extraction completed', {
     totalFactorsIdentified: factors.length,
     identifiedFactors: factors,
+    protectiveFactors: protectiveFactors,
     finalConfidence: finalResult.confidence,
     dataPointsUsed: dataPoints
   });
@@ -0,0 +1,306 @@
+import Joi from 'joi';
+
+// Built-in survey fields. Labels are listed per language; values are parsed
+// according to `type` and then normalized before validation.
+export default [
+  {
+    name: 'age',
+    type: 'integer',
+    required: true,
+    labels: {
+      en: ['age'],
+      es: ['edad'],
+      fr: ['âge', 'age'],
+      hi: ['आयु', 'उम्र']
+    },
+    schema: Joi.number().integer().min(1).max(120),
+    // What-if scenarios can only age a profile, never make it younger
+    simulate: 'increase_only'
+  },
+  {
+    name: 'smoker',
+    type: 'boolean',
+    required: true,
+    labels: {
+      en: ['smoker', 'smoking'],
+      es: ['fumadora', 'fumador', 'fuma', 'tabaquismo'],
+      fr: ['fumeuse', 'fumeur', 'tabagisme'],
+      hi: ['धूम्रपान']
+    },
+    quantity: 'smoking',
+    schema: Joi.boolean()
+  },
+  {
+    name: 'exercise',
+    type: 'frequency',
+    required: true,
+    labels: {
+      en: ['exercise'],
+      es: ['actividad física', 'actividad fisica', 'ejercicio'],
+      fr: ['activité physique', 'activite physique', 'exercice'],
+      hi: ['व्यायाम', 'कसरत']
+    },
+    quantity: 'exercise',
+    schema: Joi.string().valid('never', 'rarely', 'sometimes', 'often', 'daily')
+  },
+  {
+    name: 'diet',
+    type: 'text',
+    required: true,
+    labels: {
+      en: ['diet'],
+      es: ['alimentación', 'alimentacion', 'dieta'],
+      fr: ['régime alimentaire', 'régime', 'regime', 'alimentation'],
+      hi: ['आहार', 'भोजन']
+    },
+    schema: Joi.string().min(1)
+  },
+  {
+    name: 'bmi',
+    type: 'number',
+    labels: {
+      en: ['bmi'],
+      es: ['imc', 'bmi'],
+      fr: ['imc'],
+      hi: ['बीएमआई', 'bmi']
+    },
+    schema: Joi.number().min(10).max(50).optional()
+  },
+  {
+    name: 'sleep',
+    type: 'number',
+    labels: {
+      en: ['sleep'],
+      es: ['horas de sueño', 'sueño', 'sueno'],
+      fr: ['sommeil'],
+      hi: ['नींद']
+    },
+    schema: Joi.number().min(0).max(24).optional()
+  },
+  {
+    name: 'alcohol',
+    type: 'choice',
+    choices: ['yes', 'no', 'true', 'false', 'never', 'rarely', 'sometimes', 'often'],
+    labels: {
+      en: ['alcohol'],
+      es: ['alcohol'],
+      fr: ['alcool'],
+      hi: ['शराब', 'मद्यपान']
+    },
+    quantity: 'alcohol',
+    // Occasional or regular drinking is kept as-is; everything else collapses to "no"
+    normalize: {
+      map: { no: 'no', false: 'no', never: 'no', rarely: 'no' }
+    },
+    schema: Joi.alternatives().try(
+      Joi.boolean(),
+      Joi.string().valid('never', 'rarely', 'sometimes', 'often', 'no')
+    ).optional()
+  },
+
+  // Structured quantities, filled from free-text exercise/alcohol/smoker answers or given directly
+  {
+    name: 'exercise_minutes',
+    type: 'number',
+    labels: { en: ['weekly exercise minutes', 'minutes of exercise per week'] },
+    schema: Joi.number().min(0).max(5000).optional()
+  },
+  {
+    name: 'exercise_sessions',
+    type: 'number',
+    labels: { en: ['weekly exercise sessions'] },
+    schema: Joi.number().min(0).max(50).optional()
+  },
+  {
+    name: 'alcohol_drinks',
+    type: 'number',
+    labels: { en: ['weekly drinks', 'drinks per week'] },
+    schema: Joi.number().min(0).max(300).optional()
+  },
+  {
+    name: 'smoking_status',
+    type: 'choice',
+    choices: ['current', 'former', 'never'],
+    labels: { en: ['smoking status', 'tobacco status'] },
+    schema: Joi.string().valid('current', 'former', 'never').optional()
+  },
+  {
+    name: 'cigarettes_per_day',
+    type: 'number',
+    labels: { en: ['cigarettes per day'] },
+    schema: Joi.number().min(0).max(200).optional()
+  },
+  {
+    name: 'pack_years',
+    type: 'number',
+    labels: { en: ['pack-years', 'pack years'] },
+    schema: Joi.number().min(0).max(300).optional()
+  },
+  {
+    name: 'quit_year',
+    type: 'integer',
+    labels: { en: ['year quit smoking', 'quit year'] },
+    schema: Joi.number().integer().min(1900).max(new Date().getFullYear()).optional()
+  },
+  {
+    // Stored in cm; "5'10\"", "5 ft 10 in" and "1.78 m" are converted
+    name: 'height',
+    type: 'measurement',
+    dimension: 'length',
+    labels: {
+      en: ['height'],
+      es: ['estatura', 'altura', 'talla'],
+      fr: ['taille'],
+      hi: ['लंबाई', 'ऊंचाई', 'कद']
+    },
+    schema: Joi.number().min(50).max(250).optional()
+  },
+  {
+    // Stored in kg; pounds and stones are converted
+    name: 'weight',
+    type: 'measurement',
+    dimension: 'mass',
+    labels: {
+      en: ['weight'],
+      es: ['peso'],
+      fr: ['poids'],
+      hi: ['वजन', 'वज़न']
+    },
+    schema: Joi.number().min(20).max(350).optional()
+  },
+
+  // Inputs for the clinical instruments (Framingham, FINDRISC); all optional
+  {
+    name: 'sex',
+    type: 'choice',
+    choices: [
+      'male', 'female', 'man', 'woman', 'm', 'f',
+      'masculino', 'femenino', 'hombre', 'mujer',
+      'masculin', 'féminin', 'homme', 'femme',
+      'पुरुष', 'महिला', 'स्त्री'
+    ],
+    labels: {
+      en: ['sex', 'gender'],
+      es: ['sexo', 'género', 'genero'],
+      fr: ['sexe', 'genre'],
+      hi: ['लिंग']
+    },
+    normalize: {
+      map: {
+        man: 'male', m: 'male', masculino: 'male', hombre: 'male', masculin: 'male', homme: 'male', 'पुरुष': 'male',
+        woman: 'female', f: 'female', femenino: 'female', mujer: 'female', 'féminin': 'female', femme: 'female',
+        'महिला': 'female', 'स्त्री': 'female'
+      }
+    },
+    schema: Joi.string().valid('male', 'female').optional()
+  },
+  {
+    // Systolic pressure in mmHg; "130/85" is read as 130
+    name: 'systolic_bp',
+    type: 'integer',
+    labels: {
+      en: ['systolic blood pressure', 'blood pressure', 'systolic bp', 'systolic', 'bp'],
+      es: ['presión arterial sistólica', 'presión arterial', 'presion arterial', 'tensión arterial', 'sistólica'],
+      fr: ['pression artérielle systolique', 'pression artérielle', 'tension artérielle', 'systolique'],
+      hi: ['सिस्टोलिक रक्तचाप', 'रक्तचाप']
+    },
+    schema: Joi.number().integer().min(70).max(260).optional()
+  },
+  {
+    name: 'bp_treated',
+    type: 'boolean',
+    labels: {
+      en: ['blood pressure medication', 'bp medication', 'hypertension treatment'],
+      es: ['medicación para la presión', 'medicacion para la presion', 'tratamiento de hipertensión'],
+      fr: ['traitement antihypertenseur', 'médicament pour la tension'],
+      hi: ['रक्तचाप की दवा']
+    },
+    schema: Joi.boolean().optional()
+  },
+  {
+    // Cholesterol values are in mg/dL
+    name: 'total_cholesterol',
+    type: 'number',
+    labels: {
+      en: ['total cholesterol', 'cholesterol'],
+      es: ['colesterol total', 'colesterol'],
+      fr: ['cholestérol total', 'cholestérol', 'cholesterol'],
+      hi: ['कुल कोलेस्ट्रॉल', 'कोलेस्ट्रॉल']
+    },
+    schema: Joi.number().min(70).max(500).optional()
+  },
+  {
+    name: 'hdl_cholesterol',
+    type: 'number',
+    labels: {
+      en: ['hdl cholesterol', 'hdl'],
+      es: ['colesterol hdl', 'hdl'],
+      fr: ['cholestérol hdl', 'hdl'],
+      hi: ['एचडीएल कोलेस्ट्रॉल', 'एचडीएल', 'hdl']
+    },
+    schema: Joi.number().min(10).max(150).optional()
+  },
+  {
+    // Waist circumference in cm
+    name: 'waist',
+    type: 'number',
+    labels: {
+      en: ['waist circumference', 'waist'],
+      es: ['circunferencia de cintura', 'perímetro de cintura', 'cintura'],
+      fr: ['tour de taille'],
+      hi: ['कमर की माप', 'कमर']
+    },
+    schema: Joi.number().min(40).max(200).optional()
+  },
+  {
+    name: 'diabetes',
+    type: 'boolean',
+    labels: {
+      en: ['diabetes', 'diabetic'],
+      es: ['diabetes', 'diabético', 'diabetico'],
+      fr: ['diabète', 'diabetes', 'diabétique'],
+      hi: ['मधुमेह', 'डायबिटीज']
+    },
+    schema: Joi.boolean().optional()
+  },
+  {
+    name: 'high_glucose',
+    type: 'boolean',
+    labels: {
+      en: ['high blood glucose', 'high blood sugar', 'high glucose'],
+      es: ['glucosa alta', 'azúcar alto en sangre'],
+      fr: ['glycémie élevée'],
+      hi: ['उच्च रक्त शर्करा']
+    },
+    schema: Joi.boolean().optional()
+  },
+  {
+    // Closest relatives with diabetes, as FINDRISC grades it
+    name: 'family_diabetes',
+    type: 'choice',
+    choices: [
+      'none', 'no', 'yes', 'second_degree', 'first_degree',
+      'parent', 'mother', 'father', 'sibling', 'brother', 'sister', 'child',
+      'grandparent', 'grandmother', 'grandfather', 'aunt', 'uncle', 'cousin'
+    ],
+    labels: {
+      en: ['family history of diabetes', 'family history diabetes', 'family diabetes'],
+      es: ['antecedentes familiares de diabetes'],
+      fr: ['antécédents familiaux de diabète'],
+      hi: ['परिवार में मधुमेह']
+    },
+    normalize: {
+      lowercase: true,
+      map: {
+        no: 'none', false: 'none',
+        // A bare "yes" cannot say how close the relative is; grade it as the higher band
+        yes: 'first_degree', true: 'first_degree',
+        parent: 'first_degree', mother: 'first_degree', father: 'first_degree',
+        sibling: 'first_degree', brother: 'first_degree', sister: 'first_degree', child: 'first_degree',
+        grandparent: 'second_degree', grandmother: 'second_degree', grandfather: 'second_degree',
+        aunt: 'second_degree', uncle: 'second_degree', cousin: 'second_degree'
+      }
+    },
+    schema: Joi.string().valid('none', 'second_degree', 'first_degree').optional()
+  }
+];
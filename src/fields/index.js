@@ -0,0 +1,291 @@
+import fs from 'fs';
+import path from 'path';
+import Joi from 'joi';
+import builtinFields from './builtin.js';
+import { toBaseUnit } from '../units.js';
+import { QUANTITY_PARSERS } from '../quantities.js';
+import { createLogger } from '../utils/logger.js';
+
+const logger = createLogger('fields');
+
+const FIELD_TYPES = ['integer', 'number', 'boolean', 'frequency', 'text', 'choice', 'measurement'];
+const FACTOR_OPERATORS = ['eq', 'in', 'gt', 'gte', 'lt', 'lte', 'contains'];
+const SIMULATE_MODES = ['any', 'increase_only', 'fixed'];
+
+// Field definitions in registration order; parsing, validation and missing-field
+// detection all iterate this list
+const registry = new Map();
+// Bumped on every registration so pattern caches know to rebuild
+let version = 0;
+
+// Declarative shape accepted from config files
+const validationRuleSchema = Joi.object({
+  type: Joi.string().valid('integer', 'number', 'boolean', 'string').required(),
+  min: Joi.number(),
+  max: Joi.number(),
+  valid: Joi.array().items(Joi.alternatives().try(Joi.string(), Joi.number(), Joi.boolean()))
+});
+
+const factorRuleSchema = Joi.object({
+  factor: Joi.string().min(1).required(),
+  weight: Joi.number().min(0).max(100),
+  when: Joi.object(Object.fromEntries(FACTOR_OPERATORS.map(op => [op, Joi.any()]))).min(1).required()
+});
+
+const definitionSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z][a-z0-9_]*$/).required(),
+  type: Joi.string().valid(...FIELD_TYPES).required(),
+  required: Joi.boolean().default(false),
+  labels: Joi.object().pattern(Joi.string(), Joi.array().items(Joi.string().min(1)).min(1)).required(),
+  // Optional regex source for the value, replacing the one implied by `type`
+  pattern: Joi.string(),
+  choices: Joi.array().items(Joi.string()).when('type', { is: 'choice', then: Joi.required() }),
+  // Measurements are converted to a base unit: centimetres for length, kilograms for mass
+  dimension: Joi.string().valid('length', 'mass').when('type', { is: 'measurement', then: Joi.required() }),
+  normalize: Joi.alternatives().try(
+    Joi.function(),
+    Joi.object({
+      trim: Joi.boolean(),
+      lowercase: Joi.boolean(),
+      map: Joi.object().pattern(Joi.string(), Joi.any())
+    })
+  ),
+  schema: Joi.object().schema(),
+  validation: validationRuleSchema,
+  factors: Joi.array().items(factorRuleSchema),
+  // Free-text answers such as "3x a week, 45 min" are read by this quantity parser
+  quantity: Joi.string().valid(...Object.keys(QUANTITY_PARSERS)),
+  // How what-if scenarios may change the value: freely, only upwards, or not at all
+  simulate: Joi.string().valid(...SIMULATE_MODES).default('any')
+}).oxor('schema', 'validation');
+
+function buildSchemaFromRule(rule) {
+  let schema;
+  switch (rule.type) {
+    case 'integer':
+      schema = Joi.number().integer();
+      break;
+    case 'number':
+      schema = Joi.number();
+      break;
+    case 'boolean':
+      schema = Joi.boolean();
+      break;
+    default:
+      schema = Joi.string();
+  }
+  if (rule.min !== undefined) {
+    schema = schema.min(rule.min);
+  }
+  if (rule.max !== undefined) {
+    schema = schema.max(rule.max);
+  }
+  if (rule.valid) {
+    schema = schema.valid(...rule.valid);
+  }
+  return schema.optional();
+}
+
+function registerField(definition, { source = 'code' } = {}) {
+  const { error, value } = definitionSchema.validate(definition);
+  if (error) {
+    throw new Error(`Invalid field definition${definition?.name ? ` "${definition.name}"` : ''}: ${error.message}`);
+  }
+  if (!value.labels.en) {
+    throw new Error(`Invalid field definition "${value.name}": English labels ("en") are required`);
+  }
+
+  const field = {
+    ...value,
+    schema: value.schema || (value.validation ? buildSchemaFromRule(value.validation) : Joi.any()),
+    source
+  };
+
+  if (registry.has(field.name)) {
+    logger.info('Overriding registered field', { field: field.name, source: source });
+  }
+  registry.set(field.name, field);
+  version++;
+
+  logger.debug('Registered survey field', {
+    field: field.name,
+    type: field.type,
+    required: field.required,
+    source: source
+  });
+  return field;
+}
+
+// Loads extra fields from a JSON file: { "fields": [ { ...definition } ] }
+function loadFieldConfig(configPath) {
+  const resolved = path.resolve(configPath);
+  logger.info('Loading field definitions from config', { path: resolved });
+
+  const config = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  const definitions = Array.isArray(config) ? config : config.fields;
+  if (!Array.isArray(definitions)) {
+    throw new Error(`Field config ${resolved} must contain a "fields" array`);
+  }
+
+  const registered = definitions.map(definition => registerField(definition, { source: resolved }));
+  logger.info('Field definitions loaded from config', {
+    path: resolved,
+    fields: registered.map(field => field.name)
+  });
+  return registered;
+}
+
+function getFields() {
+  return [...registry.values()];
+}
+
+function getField(name) {
+  return registry.get(name) || null;
+}
+
+function getRequiredFields() {
+  return getFields().filter(field => field.required).map(field => field.name);
+}
+
+function getRegistryVersion() {
+  return version;
+}
+
+function buildAnswersSchema() {
+  return Joi.object(Object.fromEntries(getFields().map(field => [field.name, field.schema])));
+}
+
+// Turns a captured string into a typed value. `canonical` is the language-independent
+// token ("yes", "often", ...) the raw value maps to, when there is one.
+function parseFieldValue(field, raw, canonical) {
+  // Quantity answers are kept as text for the quantity parsers unless they are a plain token
+  if (field.quantity && !canonical) {
+    return String(raw).trim();
+  }
+
+  let value;
+  switch (field.type) {
+    case 'integer':
+      value = parseInt(raw);
+      break;
+    case 'number':
+      value = parseFloat(String(raw).replace(',', '.'));
+      break;
+    case 'boolean':
+      value = ['yes', 'true'].includes(canonical);
+      break;
+    case 'frequency':
+    case 'choice':
+      value = canonical || String(raw).toLowerCase().trim();
+      break;
+    case 'measurement':
+      // Unreadable values are kept as text so validation reports them
+      value = toBaseUnit(field.dimension, raw) ?? String(raw).trim();
+      break;
+    default:
+      value = String(raw).trim();
+  }
+  return normalizeFieldValue(field, value);
+}
+
+function normalizeFieldValue(field, value) {
+  const { normalize } = field;
+  if (!normalize) {
+    return value;
+  }
+  if (typeof normalize === 'function') {
+    return normalize(value);
+  }
+
+  let normalized = value;
+  if (typeof normalized === 'string') {
+    if (normalize.trim) {
+      normalized = normalized.trim();
+    }
+    if (normalize.lowercase) {
+      normalized = normalized.toLowerCase();
+    }
+  }
+  if (normalize.map && Object.hasOwn(normalize.map, String(normalized))) {
+    normalized = normalize.map[String(normalized)];
+  }
+  return normalized;
+}
+
+function matchesCondition(value, when) {
+  return Object.entries(when).every(([operator, expected]) => {
+    switch (operator) {
+      case 'eq':
+        return value === expected;
+      case 'in':
+        return Array.isArray(expected) && expected.includes(value);
+      case 'gt':
+        return typeof value === 'number' && value > expected;
+      case 'gte':
+        return typeof value === 'number' && value >= expected;
+      case 'lt':
+        return typeof value === 'number' && value < expected;
+      case 'lte':
+        return typeof value === 'number' && value <= expected;
+      case 'contains':
+        return typeof value === 'string' && value.toLowerCase().includes(String(expected).toLowerCase());
+      default:
+        return false;
+    }
+  });
+}
+
+// Risk factors declared by registered fields (config-defined fields use this instead of code)
+function evaluateFieldFactors(answers) {
+  const factors = [];
+  getFields().forEach(field => {
+    if (!field.factors || answers[field.name] === undefined) {
+      return;
+    }
+    field.factors.forEach(rule => {
+      if (matchesCondition(answers[field.name], rule.when) && !factors.includes(rule.factor)) {
+        factors.push(rule.factor);
+      }
+    });
+  });
+  return factors;
+}
+
+// Weight declared for a factor by a field definition, or null
+function getFactorWeight(factor) {
+  for (const field of registry.values()) {
+    const rule = field.factors?.find(entry => entry.factor === factor && entry.weight !== undefined);
+    if (rule) {
+      return rule.weight;
+    }
+  }
+  return null;
+}
+
+builtinFields.forEach(definition => registerField(definition, { source: 'builtin' }));
+
+if (process.env.FIELDS_CONFIG_PATH) {
+  try {
+    loadFieldConfig(process.env.FIELDS_CONFIG_PATH);
+  } catch (error) {
+    logger.error('Failed to load field config', {
+      path: process.env.FIELDS_CONFIG_PATH,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+export {
+  registerField,
+  loadFieldConfig,
+  getFields,
+  getField,
+  getRequiredFields,
+  getRegistryVersion,
+  buildAnswersSchema,
+  parseFieldValue,
+  normalizeFieldValue,
+  evaluateFieldFactors,
+  getFactorWeight
+};
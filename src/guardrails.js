@@ -1,16 +1,99 @@
 import Joi from 'joi';
+import { getFields, getRequiredFields, buildAnswersSchema } from './fields/index.js';
 import { createLogger } from './utils/logger.js';
 
 const logger = createLogger('guardrails');
 
+// Per-field OCR confidence gates: below REJECT the value is discarded, below FLAG it is kept but reported
+const FIELD_CONFIDENCE_REJECT = parseFloat(process.env.FIELD_CONFIDENCE_REJECT) || 0.3;
+const FIELD_CONFIDENCE_FLAG = parseFloat(process.env.FIELD_CONFIDENCE_FLAG) || 0.6;
+// Largest allowed gap (kg/m²) between a stated BMI and the one computed from height and weight
+const BMI_MISMATCH_TOLERANCE = parseFloat(process.env.BMI_MISMATCH_TOLERANCE) || 1.5;
+
+// Drops or flags individual fields read with low OCR confidence.
+// Mutates parsedData: rejected fields are removed from answers and counted as missing, and so
+// are values derived from them (BMI from height or weight, quantities from a free-text answer).
+function screenFieldConfidence(parsedData) {
+  const rejected = [];
+  const flagged = [];
+  const reject = field => {
+    rejected.push(field);
+    delete parsedData.answers[field];
+    if (getRequiredFields().includes(field) && !parsedData.missing_fields.includes(field)) {
+      parsedData.missing_fields.push(field);
+    }
+  };
+
+  Object.entries(parsedData.field_confidence).forEach(([field, details]) => {
+    if (!(field in parsedData.answers)) {
+      return;
+    }
+    if (details.confidence < FIELD_CONFIDENCE_REJECT) {
+      reject(field);
+    } else if (details.confidence < FIELD_CONFIDENCE_FLAG) {
+      flagged.push(field);
+    }
+  });
+
+  const derivedFields = parsedData.derived_fields || {};
+  Object.entries(derivedFields)
+    .filter(([, details]) => details.from.some(field => rejected.includes(field)))
+    .forEach(([name, details]) => {
+      delete derivedFields[name];
+      // A stated BMI is the user's own answer; it is only no longer checked against the computed one
+      if (!details.stated && name in parsedData.answers) {
+        delete parsedData.field_sources[name];
+        reject(name);
+      }
+    });
+  if (parsedData.derived_fields && Object.keys(derivedFields).length === 0) {
+    delete parsedData.derived_fields;
+  }
+
+  if (rejected.length > 0) {
+    parsedData.rejected_fields = rejected;
+    logger.warn('Rejected fields with low OCR confidence', {
+      rejectedFields: rejected,
+      threshold: FIELD_CONFIDENCE_REJECT
+    });
+  }
+  if (flagged.length > 0) {
+    parsedData.low_confidence_fields = flagged;
+    logger.info('Flagged fields with reduced OCR confidence', {
+      flaggedFields: flagged,
+      threshold: FIELD_CONFIDENCE_FLAG
+    });
+  }
+}
+
 export function validateInput(parsedData) {
   logger.info('Starting input validation', {
     hasAnswers: !!parsedData.answers,
     confidence: parsedData.confidence,
-    missingFieldsCount: parsedData.missing_fields?.length || 0
+    missingFieldsCount: parsedData.missing_fields?.length || 0,
+    hasFieldConfidence: !!parsedData.field_confidence
   });
 
-  const totalRequiredFields = 4; // age, smoker, exercise, diet
+  // INJECTION_POLICY=reject: instruction-like input is refused before anything else is checked
+  if (parsedData.input_screening?.action === 'rejected') {
+    logger.warn('Validation failed: Instruction-like content in input', {
+      patterns: parsedData.input_screening.detected
+    });
+    return {
+      isValid: false,
+      response: {
+        status: 'unsafe_input',
+        reason: 'Input contains instruction-like content',
+        patterns: parsedData.input_screening.detected
+      }
+    };
+  }
+
+  if (parsedData.field_confidence) {
+    screenFieldConfidence(parsedData);
+  }
+
+  const totalRequiredFields = getRequiredFields().length;
   const missingCount = parsedData.missing_fields.length;
   const missingPercentage = (missingCount / totalRequiredFields) * 100;
   
@@ -31,12 +114,20 @@ export function validateInput(parsedData) {
         status: 'incomplete_profile',
         reason: '>50% fields missing',
         missing_fields: parsedData.missing_fields,
+        ...(parsedData.rejected_fields && { rejected_fields: parsedData.rejected_fields }),
+        ...(parsedData.unreadable_fields && { unreadable_fields: parsedData.unreadable_fields }),
         confidence: parsedData.confidence
       }
     };
   }
-  logger.debug('Checking confidence threshold', { confidence: parsedData.confidence });
-  if (parsedData.confidence < 0.3) {
+  // When every answer has its own confidence the fields were already screened individually
+  const screenedPerField = !!parsedData.field_confidence &&
+    Object.keys(parsedData.answers).every(field => field in parsedData.field_confidence);
+  logger.debug('Checking confidence threshold', {
+    confidence: parsedData.confidence,
+    screenedPerField: screenedPerField
+  });
+  if (!screenedPerField && parsedData.confidence < 0.3) {
     logger.warn('Validation failed: Low confidence score', { 
       confidence: parsedData.confidence,
       threshold: 0.3 
@@ -51,24 +142,47 @@ export function validateInput(parsedData) {
     };
   }
 
-  logger.debug('Starting Joi schema validation', {
-    fieldsToValidate: Object.keys(parsedData.answers || {})
+  const answersValidation = validateAnswers(parsedData.answers);
+  if (!answersValidation.isValid) {
+    return answersValidation;
+  }
+
+  const derivedBmi = parsedData.derived_fields?.bmi;
+  if (derivedBmi?.stated && Math.abs(parsedData.answers.bmi - derivedBmi.value) > BMI_MISMATCH_TOLERANCE) {
+    logger.warn('Validation failed: Stated BMI contradicts height and weight', {
+      statedBmi: parsedData.answers.bmi,
+      computedBmi: derivedBmi.value,
+      tolerance: BMI_MISMATCH_TOLERANCE
+    });
+    return {
+      isValid: false,
+      response: {
+        status: 'inconsistent_data',
+        reason: `Stated BMI ${parsedData.answers.bmi} does not match height and weight (computed ${derivedBmi.value})`,
+        fields: ['bmi', ...derivedBmi.from]
+      }
+    };
+  }
+
+  logger.info('Input validation completed successfully', {
+    confidence: parsedData.confidence,
+    missingFields: parsedData.missing_fields?.length || 0,
+    validatedFields: Object.keys(parsedData.answers || {})
   });
-  
-  const schema = Joi.object({
-    age: Joi.number().integer().min(1).max(120),
-    smoker: Joi.boolean(),
-    exercise: Joi.string().valid('never', 'rarely', 'sometimes', 'often', 'daily'),
-    diet: Joi.string().min(1),
-    bmi: Joi.number().min(10).max(50).optional(),
-    sleep: Joi.number().min(0).max(24).optional(),
-    alcohol: Joi.alternatives().try(
-      Joi.boolean(),
-      Joi.string().valid('never', 'rarely', 'sometimes', 'often', 'no')
-    ).optional()
+
+  return { isValid: true };
+}
+
+// Joi validation of an answers object against the field registry
+export function validateAnswers(answers) {
+  logger.debug('Starting Joi schema validation', {
+    fieldsToValidate: Object.keys(answers || {})
   });
 
-  const { error } = schema.validate(parsedData.answers);
+  // Built from the field registry, so config-defined fields are validated too
+  const schema = buildAnswersSchema();
+
+  const { error } = schema.validate(answers);
   if (error) {
     logger.warn('Joi validation failed', {
       field: error.details[0].path[0],
@@ -85,11 +199,45 @@ export function validateInput(parsedData) {
     };
   }
 
-  logger.info('Input validation completed successfully', {
-    confidence: parsedData.confidence,
-    missingFields: parsedData.missing_fields?.length || 0,
-    validatedFields: Object.keys(parsedData.answers || {})
+  return { isValid: true };
+}
+
+// Validates a what-if scenario's changes against the same field schemas, tightened by
+// each field's `simulate` rule so unrealistic changes (e.g. becoming younger) are rejected
+export function validateScenario(baseline, changes) {
+  const keys = {};
+  getFields().forEach(field => {
+    let schema = field.schema;
+    const baselineValue = baseline[field.name];
+
+    if (field.simulate === 'fixed') {
+      schema = Joi.any().forbidden().messages({
+        'any.unknown': '{{#label}} cannot be changed in a scenario'
+      });
+    } else if (field.simulate === 'increase_only' && typeof baselineValue === 'number' && schema.type === 'number') {
+      schema = schema.min(baselineValue).messages({
+        'number.min': '{{#label}} cannot be lower than the baseline value {{#limit}}'
+      });
+    }
+    keys[field.name] = schema;
   });
 
+  const { error } = Joi.object(keys).min(1).label('changes').validate(changes);
+  if (error) {
+    logger.warn('Scenario validation failed', {
+      field: error.details[0].path[0],
+      value: error.details[0].context?.value,
+      errorMessage: error.details[0].message
+    });
+    return {
+      isValid: false,
+      response: {
+        status: 'invalid_scenario',
+        reason: error.details[0].message,
+        ...(error.details[0].path[0] && { field: error.details[0].path[0] })
+      }
+    };
+  }
+
   return { isValid: true };
-}
\ No newline at end of file
+}
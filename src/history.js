@@ -0,0 +1,209 @@
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { getRequestContext } from './utils/requestContext.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('history');
+
+const HISTORY_STORE = process.env.HISTORY_STORE || 'file';
+const HISTORY_DIR = path.resolve(process.env.HISTORY_DIR || 'data/history');
+// Score change per assessment below which the trend counts as stable
+const HISTORY_TREND_THRESHOLD = parseFloat(process.env.HISTORY_TREND_THRESHOLD) || 1;
+
+// Subject ids become file names, so keep them to a safe character set
+const SUBJECT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// A store keeps assessments per subject in the order they were recorded.
+// Stores implement append(subjectId, record) and list(subjectId), both async.
+
+// One JSON-lines file per subject; each assessment is a single appended line
+function createFileStore(directory) {
+  const fileFor = subjectId => path.join(directory, `${subjectId}.jsonl`);
+
+  return {
+    name: 'file',
+
+    async append(subjectId, record) {
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.appendFile(fileFor(subjectId), JSON.stringify(record) + '\n', 'utf8');
+    },
+
+    async list(subjectId) {
+      let content;
+      try {
+        content = await fs.promises.readFile(fileFor(subjectId), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+      return content
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    }
+  };
+}
+
+// Process-local store, lost on restart
+function createMemoryStore() {
+  const subjects = new Map();
+
+  return {
+    name: 'memory',
+
+    async append(subjectId, record) {
+      const records = subjects.get(subjectId) || [];
+      records.push(record);
+      subjects.set(subjectId, records);
+    },
+
+    async list(subjectId) {
+      return [...(subjects.get(subjectId) || [])];
+    }
+  };
+}
+
+const STORES = {
+  file: () => createFileStore(HISTORY_DIR),
+  memory: () => createMemoryStore()
+};
+
+if (!STORES[HISTORY_STORE]) {
+  throw new Error(`Unknown HISTORY_STORE "${HISTORY_STORE}". Expected one of: ${Object.keys(STORES).join(', ')}`);
+}
+
+let store = STORES[HISTORY_STORE]();
+logger.info('History store ready', {
+  store: store.name,
+  ...(store.name === 'file' && { directory: HISTORY_DIR })
+});
+
+// Swaps the backend, e.g. for a database-backed implementation of append/list
+function setHistoryStore(customStore) {
+  store = customStore;
+  logger.info('History store replaced', { store: customStore.name || 'custom' });
+}
+
+function isValidSubjectId(subjectId) {
+  return typeof subjectId === 'string' && SUBJECT_ID_PATTERN.test(subjectId);
+}
+
+// Persists the parts of a successful analysis needed to follow a subject over time
+async function recordAssessment(subjectId, response) {
+  const record = {
+    assessment_id: randomUUID(),
+    subject_id: subjectId,
+    created_at: new Date().toISOString(),
+    score: response.score,
+    risk_level: response.risk_level,
+    factors: response.factors,
+    answers: response.answers,
+    model_id: response.model_id,
+    model_version: response.model_version,
+    client_id: getRequestContext()?.clientId ?? null
+  };
+
+  await store.append(subjectId, record);
+  logger.info('Assessment recorded', {
+    subjectId: subjectId,
+    assessmentId: record.assessment_id,
+    score: record.score,
+    riskLevel: record.risk_level
+  });
+  return record;
+}
+
+// Subject ids are not unique across clients, so each client only sees the assessments it
+// recorded. Without auth there is no client and every record is visible, including ones
+// recorded before records carried a client
+async function listAssessments(subjectId) {
+  const clientId = getRequestContext()?.clientId ?? null;
+  const assessments = await store.list(subjectId);
+  return clientId === null ? assessments : assessments.filter(record => record.client_id === clientId);
+}
+
+async function getAssessment(subjectId, assessmentId) {
+  const assessments = await listAssessments(subjectId);
+  return assessments.find(record => record.assessment_id === assessmentId) || null;
+}
+
+function summarizeAssessment(record) {
+  return {
+    assessment_id: record.assessment_id,
+    created_at: record.created_at,
+    score: record.score,
+    risk_level: record.risk_level,
+    model_id: record.model_id,
+    model_version: record.model_version
+  };
+}
+
+// Differences between two assessments of the same subject, `from` being the earlier one
+function compareAssessments(from, to) {
+  return {
+    from: summarizeAssessment(from),
+    to: summarizeAssessment(to),
+    score_delta: to.score - from.score,
+    risk_level_changed: from.risk_level !== to.risk_level,
+    factors_added: to.factors.filter(factor => !from.factors.includes(factor)),
+    factors_resolved: from.factors.filter(factor => !to.factors.includes(factor)),
+    factors_unchanged: to.factors.filter(factor => from.factors.includes(factor)),
+    // Scores from different models or versions are not directly comparable
+    same_model: from.model_id === to.model_id && from.model_version === to.model_version
+  };
+}
+
+// Least-squares slope of score per assessment; lower scores mean lower risk
+function computeTrend(assessments) {
+  if (assessments.length < 2) {
+    return {
+      direction: 'insufficient_data',
+      assessments: assessments.length
+    };
+  }
+
+  const count = assessments.length;
+  const meanIndex = (count - 1) / 2;
+  const meanScore = assessments.reduce((sum, record) => sum + record.score, 0) / count;
+  let numerator = 0;
+  let denominator = 0;
+  assessments.forEach((record, index) => {
+    numerator += (index - meanIndex) * (record.score - meanScore);
+    denominator += (index - meanIndex) ** 2;
+  });
+  const slope = numerator / denominator;
+
+  let direction = 'stable';
+  if (slope <= -HISTORY_TREND_THRESHOLD) {
+    direction = 'improving';
+  } else if (slope >= HISTORY_TREND_THRESHOLD) {
+    direction = 'worsening';
+  }
+
+  const first = assessments[0];
+  const latest = assessments[count - 1];
+  return {
+    direction,
+    assessments: count,
+    first_score: first.score,
+    latest_score: latest.score,
+    score_change: latest.score - first.score,
+    slope_per_assessment: parseFloat(slope.toFixed(2)),
+    since: first.created_at,
+    until: latest.created_at
+  };
+}
+
+export {
+  setHistoryStore,
+  isValidSubjectId,
+  recordAssessment,
+  listAssessments,
+  getAssessment,
+  summarizeAssessment,
+  compareAssessments,
+  computeTrend
+};
@@ -2,7 +2,12 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import dotenv from 'dotenv';
-import routes from './routes.js';
+import docsRoutes from './docs.js';
+import { createApiRouter } from './apiVersions.js';
+import { getResponseValidationMode } from './apiContract.js';
+import { initOcrPool, getOcrPoolStats, shutdownOcrPool } from './ocrPool.js';
+import { getInputPolicy, redactLogValue } from './sanitize.js';
+import { assignRequestId } from './utils/requestContext.js';
 import { createLogger } from './utils/logger.js';
 
 // Environment variables
@@ -11,18 +16,27 @@ dotenv.config();
 const logger = createLogger('server');
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Comma-separated browser origins allowed to call the API; any origin when unset
+const CORS_ORIGINS = process.env.CORS_ORIGINS;
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({
+  origin: CORS_ORIGINS ? CORS_ORIGINS.split(',').map(origin => origin.trim()) : '*',
+  // Lets browser clients read the version, deprecation, request id and rate limit headers
+  exposedHeaders: ['API-Version', 'Deprecation', 'Sunset', 'Link', 'X-Request-Id', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining']
+}));
 
 // Enhanced JSON parser with error handling
 app.use((req, res, next) => {
   express.json()(req, res, (err) => {
     if (err instanceof SyntaxError && err.status === 400 && 'body' in err) {
+      // Redact before truncating: a cut-off email or phone number no longer matches the PII patterns
+      const body = redactLogValue(err.body);
       logger.warn('Malformed JSON in request body', {
         error: err.message,
-        body: err.body,
+        bodyLength: err.body.length,
+        snippet: body.slice(0, 100) + (body.length > 100 ? '...' : ''),
         url: req.url,
         method: req.method
       });
@@ -38,6 +52,9 @@ app.use((req, res, next) => {
 
 app.use(express.urlencoded({ extended: true }));
 
+// After the body parsers, so the request context survives into the route handlers
+app.use(assignRequestId);
+
 // logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.url}`, { 
@@ -47,14 +64,24 @@ app.use((req, res, next) => {
   next();
 });
 
-// API Routes
-app.use('/api', routes);
-logger.info('API routes mounted at /api');
+// OpenAPI documents and docs page, public
+app.use('/api', docsRoutes);
+
+// API Routes, all behind API key authentication. /api without a version is v1, so existing
+// clients keep working; v1 is frozen and deprecated in favour of v2.
+app.use('/api/v2', createApiRouter('v2'));
+app.use('/api/v1', createApiRouter('v1'));
+app.use('/api', createApiRouter('v1'));
+logger.info('API routes mounted at /api/v2, /api/v1 and /api (v1)');
 
 // Ping check
 app.get('/ping', (req, res) => {
   logger.info('Ping check requested');
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    ocr_pool: getOcrPoolStats()
+  });
 });
 
 // Error handler
@@ -67,7 +94,8 @@ app.use((err, req, res, next) => {
     ip: req.ip
   });
   res.status(500).json({ 
-    status: 'error', 
+    status: 'error',
+    type: 'internal_error',
     message: 'Internal server error' 
   });
 });
@@ -79,17 +107,43 @@ app.use((req, res) => {
     userAgent: req.get('User-Agent')
   });
   res.status(404).json({ 
-    status: 'error', 
+    status: 'error',
+    type: 'not_found',
     message: 'Route not found' 
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`🚀 Health Risk Profiler server running on port ${PORT}`);
   logger.info(`📊 Server check available at: http://localhost:${PORT}/ping`);
-  logger.info(`🔗 API endpoints available at: http://localhost:${PORT}/api`);
+  logger.info(`🔗 API endpoints available at: http://localhost:${PORT}/api/v2`);
+  logger.info(`📖 API docs available at: http://localhost:${PORT}/api/docs`);
   logger.info(`⚙️ Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`📝 Log Level: ${process.env.LOG_LEVEL || 'info'}`);
+  logger.info('🛡️ Input sanitization policy', getInputPolicy());
+  logger.info(`📐 Response validation: ${getResponseValidationMode()}`);
+});
+
+// Warm up OCR workers so the first image request does not pay the startup cost
+initOcrPool().catch(() => {
+  logger.warn('OCR worker pool not ready at startup; it will be retried on the first image request');
 });
 
+// Graceful shutdown
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down`);
+  server.close(async () => {
+    try {
+      await shutdownOcrPool();
+    } catch (error) {
+      logger.error('Error while shutting down OCR worker pool', { error: error.message });
+    }
+    logger.info('Server closed');
+    process.exit(0);
+  });
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 export default app;
\ No newline at end of file
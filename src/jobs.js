@@ -0,0 +1,163 @@
+import { randomUUID } from 'crypto';
+import { analyzeProfile } from './pipeline.js';
+import { getRequestContext, runWithContext } from './utils/requestContext.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('jobs');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+// Queued jobs hold their whole upload in memory, so the queue is capped
+const JOB_QUEUE_LIMIT = parseInt(process.env.JOB_QUEUE_LIMIT) || 50;
+
+// In-process job store and FIFO queue
+const jobs = new Map();
+const queue = [];
+let running = 0;
+
+function isQueueFull() {
+  return queue.length >= JOB_QUEUE_LIMIT;
+}
+
+// Returns null without queueing anything when the queue is full
+function submitJob(input, type, options = {}) {
+  if (isQueueFull()) {
+    logger.warn('Analysis job rejected, queue is full', {
+      type: type,
+      queueLength: queue.length,
+      queueLimit: JOB_QUEUE_LIMIT
+    });
+    return null;
+  }
+
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'queued',
+    stage: 'queued',
+    progress: 0,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    outcome: null,
+    error: null,
+    client_id: getRequestContext()?.clientId ?? null
+  };
+
+  jobs.set(job.id, job);
+  // The submitting request's context (its client) goes with the job, whichever request drains the queue
+  queue.push({ job, input, options, context: getRequestContext() || {} });
+
+  logger.info('Analysis job queued', {
+    jobId: job.id,
+    type: type,
+    queueLength: queue.length,
+    running: running
+  });
+
+  drainQueue();
+  return job;
+}
+
+// Jobs are only visible to the client that submitted them (every job when auth is off)
+function getJob(id) {
+  const job = jobs.get(id);
+  const clientId = getRequestContext()?.clientId ?? null;
+  return job && job.client_id === clientId ? job : null;
+}
+
+// Public view of a job without the result payload
+function describeJob(job) {
+  const summary = {
+    job_id: job.id,
+    status: job.status,
+    stage: job.stage,
+    progress: job.progress,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+
+  if (job.status === 'queued') {
+    summary.queue_position = queue.findIndex(entry => entry.job.id === job.id) + 1;
+  }
+  if (job.error) {
+    summary.error = job.error;
+  }
+
+  return summary;
+}
+
+function getQueueStats() {
+  return {
+    concurrency: JOB_CONCURRENCY,
+    running: running,
+    queued: queue.length,
+    total: jobs.size
+  };
+}
+
+function drainQueue() {
+  while (running < JOB_CONCURRENCY && queue.length > 0) {
+    // Once shifted off the queue, the upload is only held by the running analysis
+    const { job, input, options, context } = queue.shift();
+    running++;
+    runWithContext(context, () => runJob(job, input, options)).finally(() => {
+      running--;
+      drainQueue();
+    });
+  }
+}
+
+async function runJob(job, input, options) {
+  job.status = 'processing';
+  job.started_at = new Date().toISOString();
+  logger.info('Analysis job started', { jobId: job.id, type: job.type });
+
+  try {
+    const outcome = await analyzeProfile(input, job.type, {
+      ...options,
+      onProgress: percent => {
+        job.progress = percent;
+      },
+      onStage: stage => {
+        job.stage = stage;
+        logger.debug('Analysis job stage changed', { jobId: job.id, stage: stage });
+      }
+    });
+
+    // Validation failures are still a finished job; the result carries their status
+    job.status = 'completed';
+    job.outcome = outcome;
+    logger.info('Analysis job completed', {
+      jobId: job.id,
+      resultStatus: outcome.response.status
+    });
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message || 'Failed to analyze health profile';
+    logger.error('Analysis job failed', {
+      jobId: job.id,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+
+  job.stage = job.status;
+  job.progress = 100;
+  job.finished_at = new Date().toISOString();
+
+  // Finished jobs are kept for polling, then evicted
+  setTimeout(() => {
+    jobs.delete(job.id);
+    logger.debug('Expired analysis job removed', { jobId: job.id });
+  }, JOB_TTL_MS).unref();
+}
+
+export {
+  submitJob,
+  isQueueFull,
+  getJob,
+  describeJob,
+  getQueueStats
+};
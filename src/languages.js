@@ -0,0 +1,295 @@
+import { getFields, getRegistryVersion } from './fields/index.js';
+import { measurementPattern } from './units.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('languages');
+
+// Answer synonyms per survey language, mapped onto the canonical English tokens the
+// rest of the pipeline understands. Field labels live with each field definition.
+const LANGUAGES = {
+  en: {
+    name: 'English',
+    ocr: 'eng',
+    decimalComma: false,
+    values: {
+      yes: ['yes'],
+      no: ['no'],
+      true: ['true'],
+      false: ['false'],
+      never: ['never'],
+      rarely: ['rarely'],
+      sometimes: ['sometimes'],
+      often: ['often'],
+      daily: ['daily']
+    }
+  },
+  es: {
+    name: 'Spanish',
+    ocr: 'spa',
+    decimalComma: true,
+    values: {
+      yes: ['sí', 'si'],
+      no: ['no'],
+      true: ['verdadero'],
+      false: ['falso'],
+      never: ['nunca', 'jamás'],
+      rarely: ['rara vez', 'raramente', 'casi nunca'],
+      sometimes: ['a veces', 'algunas veces', 'ocasionalmente'],
+      often: ['a menudo', 'con frecuencia', 'frecuentemente'],
+      daily: ['todos los días', 'diariamente', 'diario']
+    }
+  },
+  fr: {
+    name: 'French',
+    ocr: 'fra',
+    decimalComma: true,
+    values: {
+      yes: ['oui'],
+      no: ['non'],
+      true: ['vrai'],
+      false: ['faux'],
+      never: ['jamais'],
+      rarely: ['rarement'],
+      sometimes: ['de temps en temps', 'parfois'],
+      often: ['souvent'],
+      daily: ['tous les jours', 'quotidiennement', 'quotidien']
+    }
+  },
+  hi: {
+    name: 'Hindi',
+    ocr: 'hin',
+    decimalComma: false,
+    values: {
+      yes: ['हाँ', 'हां'],
+      no: ['नहीं', 'ना'],
+      true: ['सही'],
+      false: ['गलत'],
+      never: ['कभी नहीं'],
+      rarely: ['शायद ही कभी', 'कभी-कभार'],
+      sometimes: ['कभी-कभी', 'कभी कभी'],
+      often: ['अक्सर'],
+      daily: ['प्रतिदिन', 'रोज़', 'रोज', 'दैनिक']
+    }
+  }
+};
+
+const DEFAULT_LANGUAGE = process.env.DEFAULT_LANGUAGE || 'en';
+// Languages whose traineddata is installed; used for OCR when the language is auto-detected
+const OCR_LANGUAGES = (process.env.OCR_LANGUAGES || 'en')
+  .split(',')
+  .map(code => code.trim())
+  .filter(code => {
+    if (!LANGUAGES[code]) {
+      logger.warn('Ignoring unsupported OCR language', { language: code });
+      return false;
+    }
+    return true;
+  });
+
+const patternCache = new Map();
+let patternCacheVersion = -1;
+
+function isSupportedLanguage(code) {
+  return code === 'auto' || Object.hasOwn(LANGUAGES, code);
+}
+
+function isOcrLanguageInstalled(code) {
+  return code === 'auto' || OCR_LANGUAGES.includes(code);
+}
+
+function getSupportedLanguages() {
+  return Object.entries(LANGUAGES).map(([code, language]) => ({
+    code,
+    name: language.name,
+    ocr: language.ocr,
+    ocr_installed: OCR_LANGUAGES.includes(code)
+  }));
+}
+
+// Tesseract language string for a request: one traineddata, or every installed one when auto-detecting
+function getOcrLanguages(language) {
+  if (language && language !== 'auto') {
+    return LANGUAGES[language].ocr;
+  }
+  return OCR_LANGUAGES.map(code => LANGUAGES[code].ocr).join('+');
+}
+
+// Devanagari digits (०-९) are normalized so numeric patterns work in every language
+function normalizeDigits(text) {
+  return text.replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966));
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest synonyms first so "a menudo" wins over shorter overlapping entries
+function alternation(words) {
+  return [...words].sort((a, b) => b.length - a.length).map(escapeRegex).join('|');
+}
+
+// Labels for a field in a language, falling back to English when none were declared
+function getFieldLabels(field, code) {
+  return field.labels[code] || field.labels.en;
+}
+
+// Picks the language whose field labels appear most often in the text
+function detectLanguage(text) {
+  const lower = normalizeDigits(text).toLowerCase();
+  let best = { code: DEFAULT_LANGUAGE, hits: 0 };
+
+  Object.keys(LANGUAGES).forEach(code => {
+    const hits = getFields()
+      .filter(field => field.labels[code]?.some(label => lower.includes(label.toLowerCase())))
+      .length;
+    if (hits > best.hits || (hits === best.hits && hits > 0 && code === DEFAULT_LANGUAGE)) {
+      best = { code, hits };
+    }
+  });
+
+  logger.debug('Detected survey language', { language: best.code, labelHits: best.hits });
+  return best.code;
+}
+
+// Value regex implied by a field's type; custom fields may supply their own `pattern`.
+// `nextLabel` matches the start of the next "Label:" so free-text answers know where to stop.
+function valuePattern(field, language, nextLabel) {
+  const { values } = language;
+  const number = language.decimalComma ? '\\d+(?:[.,]\\d+)?' : '\\d+(?:\\.\\d+)?';
+  const words = '[\\p{L}\\p{M}\\p{N}_\\s]';
+  const synonyms = tokens => alternation(tokens.flatMap(token => values[token] || [token]));
+
+  if (field.pattern) {
+    return `(${field.pattern})`;
+  }
+
+  // Answers that may contain punctuation ("3x a week, 45 min", "takeout and soda, no vegetables")
+  // run to the end of the line or the next label
+  const untilNextLabel = `([^\\n]+?)(?=\\s*(?:[,;]\\s*)?${nextLabel}|\\s*(?:\\n|$))`;
+  if (field.quantity) {
+    return untilNextLabel;
+  }
+
+  switch (field.type) {
+    case 'integer':
+      return '(\\d+)';
+    case 'number':
+      return `(${number})`;
+    case 'boolean':
+      return `(${synonyms(['yes', 'no', 'true', 'false'])})`;
+    case 'frequency':
+      return `(${synonyms(['never', 'rarely', 'sometimes', 'often', 'daily'])}|${words}+)`;
+    case 'choice':
+      return `(${synonyms(field.choices)})`;
+    case 'measurement':
+      return `(${measurementPattern(field.dimension, number)})`;
+    default:
+      return untilNextLabel;
+  }
+}
+
+// Text that precedes one of `labels` when it appears at the end of another field's label
+function longerLabelPrefixes(field, labels, fields, code) {
+  const prefixes = new Set();
+  fields.filter(other => other !== field).forEach(other => {
+    getFieldLabels(other, code).forEach(otherLabel => {
+      const lowerOther = otherLabel.toLowerCase();
+      labels.forEach(label => {
+        const lower = label.toLowerCase();
+        if (lowerOther.length > lower.length && lowerOther.endsWith(lower)) {
+          prefixes.add(lowerOther.slice(0, -lower.length));
+        }
+      });
+    });
+  });
+  return [...prefixes];
+}
+
+// Regexes for each registered field in a language; every pattern captures the value in group 1
+function getFieldPatterns(code) {
+  if (patternCacheVersion !== getRegistryVersion()) {
+    patternCache.clear();
+    patternCacheVersion = getRegistryVersion();
+  }
+  if (patternCache.has(code)) {
+    return patternCache.get(code);
+  }
+
+  const language = LANGUAGES[code];
+  const fields = getFields();
+  const nextLabel = `(?:${alternation(fields.flatMap(field => getFieldLabels(field, code)))})\\s*:`;
+  const patterns = {};
+  fields.forEach(field => {
+    const labels = getFieldLabels(field, code);
+    // Labels must start a word, and must not be the tail of another field's label
+    // ("cholesterol" inside "HDL cholesterol")
+    const prefixes = longerLabelPrefixes(field, labels, fields, code);
+    const guard = prefixes.length > 0 ? `(?<!${alternation(prefixes)})` : '';
+    const label = `${guard}(?<![\\p{L}\\p{M}])(?:${alternation(labels)})`;
+    patterns[field.name] = new RegExp(`${label}[:\\s]*${valuePattern(field, language, nextLabel)}`, 'iud');
+  });
+
+  patternCache.set(code, patterns);
+  return patterns;
+}
+
+// Canonical token for the answer's first word(s), e.g. "never" in "never really"
+function leadingCanonicalValue(code, raw) {
+  const value = String(raw).toLowerCase().trim();
+  const entries = Object.entries(LANGUAGES[code].values)
+    .flatMap(([token, synonyms]) => synonyms.map(synonym => [token, synonym]))
+    .sort((a, b) => b[1].length - a[1].length);
+  const entry = entries.find(([, synonym]) => value.startsWith(synonym) &&
+    !/[\p{L}\p{M}]/u.test(value.charAt(synonym.length)));
+  return entry ? { token: entry[0], text: value.slice(0, entry[1].length) } : null;
+}
+
+// Maps a localized answer ("sí", "souvent", "अक्सर") onto its canonical English token
+function canonicalValue(code, raw) {
+  const value = String(raw).toLowerCase().trim();
+  const entry = Object.entries(LANGUAGES[code].values)
+    .find(([, synonyms]) => synonyms.includes(value));
+  return entry ? entry[0] : null;
+}
+
+// Renames localized JSON keys to canonical field names and maps localized values
+function canonicalizeAnswers(code, data) {
+  if (code === 'en' || !data || typeof data !== 'object' || Array.isArray(data)) {
+    return data;
+  }
+
+  const fields = getFields();
+  const answers = {};
+  Object.entries(data).forEach(([key, value]) => {
+    const lowerKey = key.toLowerCase().trim();
+    const field = fields.find(entry => entry.name === lowerKey ||
+      entry.labels[code]?.some(label => label.toLowerCase() === lowerKey));
+    const name = field ? field.name : key;
+
+    let canonical = value;
+    if (typeof value === 'string') {
+      const token = canonicalValue(code, value);
+      if (field?.type === 'boolean' && token) {
+        canonical = ['yes', 'true'].includes(token);
+      } else if (token) {
+        canonical = token;
+      }
+    }
+    answers[name] = canonical;
+  });
+  return answers;
+}
+
+export {
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  isOcrLanguageInstalled,
+  getSupportedLanguages,
+  getOcrLanguages,
+  normalizeDigits,
+  detectLanguage,
+  getFieldPatterns,
+  canonicalValue,
+  leadingCanonicalValue,
+  canonicalizeAnswers
+};
@@ -0,0 +1,36 @@
+import { GoogleGenAI } from '@google/genai';
+
+// Google Gemini through @google/genai; `jsonSchema` maps onto Gemini's structured output
+export function createGeminiProvider({ model, apiKey }) {
+  const ai = new GoogleGenAI({ apiKey });
+  const request = (prompt, jsonSchema, signal) => ({
+    model,
+    contents: prompt,
+    config: {
+      abortSignal: signal,
+      ...(jsonSchema && { responseMimeType: 'application/json', responseJsonSchema: jsonSchema })
+    }
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    isAvailable: () => Boolean(apiKey),
+    async generate(prompt, { jsonSchema, signal } = {}) {
+      const response = await ai.models.generateContent(request(prompt, jsonSchema, signal));
+      return response.text;
+    },
+    async stream(prompt, { jsonSchema, signal, onDelta } = {}) {
+      const chunks = await ai.models.generateContentStream(request(prompt, jsonSchema, signal));
+      let text = '';
+      for await (const chunk of chunks) {
+        const delta = chunk.text;
+        if (delta) {
+          text += delta;
+          onDelta(delta);
+        }
+      }
+      return text;
+    }
+  };
+}
@@ -0,0 +1,151 @@
+import dotenv from 'dotenv';
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAiProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+import { createLogger } from '../utils/logger.js';
+
+dotenv.config();
+
+const logger = createLogger('llm');
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash-lite',
+  openai: 'gpt-4o-mini',
+  mock: 'mock'
+};
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const LLM_MODEL = process.env.LLM_MODEL || DEFAULT_MODELS[LLM_PROVIDER];
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 20000;
+// Extra attempts after a failed or timed-out call; 0 disables retrying
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES ?? 1) || 0;
+const LLM_RETRY_DELAY_MS = parseInt(process.env.LLM_RETRY_DELAY_MS) || 500;
+
+// Adapters by provider name; each returns { name, model, isAvailable(), generate(prompt, options) }
+// and optionally stream(prompt, options), which also passes each text delta to options.onDelta
+const PROVIDERS = {
+  gemini: () => createGeminiProvider({ model: LLM_MODEL, apiKey: process.env.GEMINI_API_KEY }),
+  openai: () => createOpenAiProvider({
+    model: LLM_MODEL,
+    baseUrl: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    requiresKey: !process.env.LLM_BASE_URL
+  }),
+  mock: () => createMockProvider({ model: LLM_MODEL, reply: process.env.LLM_MOCK_REPLY })
+};
+
+if (!PROVIDERS[LLM_PROVIDER]) {
+  throw new Error(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+}
+
+let provider = PROVIDERS[LLM_PROVIDER]();
+
+logger.info('LLM provider configured', {
+  provider: provider.name,
+  model: provider.model,
+  available: provider.isAvailable(),
+  timeoutMs: LLM_TIMEOUT_MS,
+  maxRetries: LLM_MAX_RETRIES
+});
+
+// Replaces the configured provider, e.g. with createMockProvider({ reply }) in tests
+function setLlmProvider(next) {
+  provider = next;
+  logger.info('LLM provider replaced', { provider: provider.name, model: provider.model });
+}
+
+function getLlmInfo() {
+  return { provider: provider.name, model: provider.model };
+}
+
+function isLlmAvailable() {
+  return provider.isAvailable();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function attempt(call) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), LLM_TIMEOUT_MS);
+  try {
+    return await call(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new Error(`${provider.name} timed out after ${LLM_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Sends one prompt to the configured provider with timeout and retries.
+// `jsonSchema` asks for JSON matching that schema. Resolves to { text, provider, model }.
+async function generateText(prompt, { jsonSchema } = {}) {
+  return run(signal => provider.generate(prompt, { jsonSchema, signal }), () => true);
+}
+
+// Like generateText, but passes each text delta to `onDelta` as the model produces it.
+// Providers without stream() deliver the whole reply as one delta. Once a delta has been
+// delivered a failure is not retried, since the consumer has already seen partial output.
+async function streamText(prompt, { jsonSchema, onDelta } = {}) {
+  let delivered = false;
+  const forward = delta => {
+    delivered = true;
+    onDelta(delta);
+  };
+  return run(async signal => {
+    if (provider.stream) {
+      return provider.stream(prompt, { jsonSchema, signal, onDelta: forward });
+    }
+    const text = await provider.generate(prompt, { jsonSchema, signal });
+    forward(text);
+    return text;
+  }, () => !delivered);
+}
+
+async function run(call, canRetry) {
+  const { provider: name, model } = getLlmInfo();
+  let lastError;
+
+  for (let attemptNumber = 1; attemptNumber <= LLM_MAX_RETRIES + 1; attemptNumber++) {
+    const startedAt = Date.now();
+    try {
+      const text = await attempt(call);
+      logger.debug('LLM call completed', {
+        provider: name,
+        model: model,
+        attempt: attemptNumber,
+        durationMs: Date.now() - startedAt,
+        responseLength: text.length
+      });
+      return { text, provider: name, model };
+    } catch (error) {
+      lastError = error;
+      logger.warn('LLM call failed', {
+        provider: name,
+        model: model,
+        attempt: attemptNumber,
+        error: error.message
+      });
+      if (!canRetry()) {
+        break;
+      }
+      if (attemptNumber <= LLM_MAX_RETRIES) {
+        await sleep(LLM_RETRY_DELAY_MS * attemptNumber);
+      }
+    }
+  }
+  throw lastError;
+}
+
+export {
+  createMockProvider,
+  generateText,
+  getLlmInfo,
+  isLlmAvailable,
+  setLlmProvider,
+  streamText
+};
@@ -0,0 +1,61 @@
+const DEFAULT_REPLY = [
+  '1. Schedule a routine checkup with your healthcare provider',
+  '2. Aim for 150 minutes of moderate activity each week',
+  '3. Fill half your plate with vegetables and fruit'
+].join('\n');
+
+// Smallest value that satisfies a JSON schema: null where allowed, otherwise an empty value
+function placeholder(schema = {}) {
+  const types = [].concat(schema.type || 'null');
+  if (types.includes('null')) {
+    return null;
+  }
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  switch (types[0]) {
+    case 'object':
+      return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, value]) => [key, placeholder(value)]));
+    case 'array':
+      return [];
+    case 'string':
+      return '';
+    case 'boolean':
+      return false;
+    default:
+      return 0;
+  }
+}
+
+// Streamed replies are split into chunks of this many characters
+const STREAM_CHUNK_CHARS = 16;
+
+// Deterministic provider for tests and offline development. `reply` (text or a function of
+// the prompt and options) overrides the canned answers.
+export function createMockProvider({ model = 'mock', reply } = {}) {
+  async function generate(prompt, options = {}) {
+    if (typeof reply === 'function') {
+      return reply(prompt, options);
+    }
+    if (reply !== undefined) {
+      return reply;
+    }
+    return options.jsonSchema ? JSON.stringify(placeholder(options.jsonSchema)) : DEFAULT_REPLY;
+  }
+
+  return {
+    name: 'mock',
+    model,
+    isAvailable: () => true,
+    generate,
+    async stream(prompt, options = {}) {
+      const text = await generate(prompt, options);
+      for (let start = 0; start < text.length; start += STREAM_CHUNK_CHARS) {
+        // Yield between chunks so consumers see them arrive separately
+        await new Promise(resolve => setImmediate(resolve));
+        options.onDelta(text.slice(start, start + STREAM_CHUNK_CHARS));
+      }
+      return text;
+    }
+  };
+}
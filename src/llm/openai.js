@@ -0,0 +1,70 @@
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a local
+// llama.cpp / Ollama / vLLM server. Local servers usually need no API key, so one is only
+// required when `requiresKey` is set (the hosted OpenAI API).
+export function createOpenAiProvider({ model, baseUrl, apiKey, requiresKey = false }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function post(prompt, { jsonSchema, signal, stream = false }) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        ...(stream && { stream: true }),
+        ...(jsonSchema && {
+          response_format: { type: 'json_schema', json_schema: { name: 'response', schema: jsonSchema } }
+        })
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`OpenAI-compatible endpoint returned ${response.status}: ${body.slice(0, 200)}`);
+    }
+    return response;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    isAvailable: () => !requiresKey || Boolean(apiKey),
+    async generate(prompt, { jsonSchema, signal } = {}) {
+      const data = await (await post(prompt, { jsonSchema, signal })).json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('OpenAI-compatible endpoint returned no message content');
+      }
+      return content;
+    },
+    // Streamed completions arrive as server-sent "data:" lines ending with "data: [DONE]"
+    async stream(prompt, { jsonSchema, signal, onDelta } = {}) {
+      const response = await post(prompt, { jsonSchema, signal, stream: true });
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || data === '' || data === '[DONE]') {
+            continue;
+          }
+          const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            onDelta(delta);
+          }
+        }
+      }
+      return text;
+    }
+  };
+}
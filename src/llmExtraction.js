@@ -0,0 +1,179 @@
+import { generateText, getLlmInfo, isLlmAvailable } from './llm/index.js';
+import { getField, normalizeFieldValue, parseFieldValue } from './fields/index.js';
+import { canonicalValue } from './languages.js';
+import { sanitizeForPrompt } from './sanitize.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('llmExtraction');
+
+// 'off' disables the fallback entirely; 'fallback' asks the LLM for fields the patterns missed
+const LLM_EXTRACTION = process.env.LLM_EXTRACTION || 'off';
+const LLM_EXTRACTION_TIMEOUT_MS = parseInt(process.env.LLM_EXTRACTION_TIMEOUT_MS) || 15000;
+// Longer text is cut before it is sent
+const LLM_EXTRACTION_MAX_CHARS = parseInt(process.env.LLM_EXTRACTION_MAX_CHARS) || 8000;
+
+const FREQUENCIES = ['never', 'rarely', 'sometimes', 'often', 'daily'];
+
+// The model call behind extraction: { name, isAvailable(), extract({ prompt, schema }) -> JSON text }.
+// Replace it with setExtractionClient, e.g. with a local stub that returns canned answers.
+const llmClient = {
+  get name() {
+    return getLlmInfo().provider;
+  },
+  isAvailable: isLlmAvailable,
+  extract: async ({ prompt, schema }) => (await generateText(prompt, { jsonSchema: schema })).text
+};
+
+let client = llmClient;
+
+export function setExtractionClient(next) {
+  client = next || llmClient;
+  logger.info('LLM extraction client set', { client: client.name || 'custom' });
+}
+
+// Provider and model behind the current client, reported with every extraction
+function clientInfo() {
+  return client === llmClient ? getLlmInfo() : { provider: client.name || 'custom', model: client.model || null };
+}
+
+export function isLlmExtractionEnabled() {
+  return LLM_EXTRACTION === 'fallback';
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// JSON schema for one field; every value may be null when the text does not state it
+function fieldSchema(field) {
+  switch (field.type) {
+    case 'integer':
+      return { type: ['integer', 'null'] };
+    case 'number':
+      return { type: ['number', 'null'] };
+    case 'boolean':
+      return { type: ['boolean', 'null'] };
+    case 'frequency':
+      return { type: ['string', 'null'], enum: [...FREQUENCIES, null] };
+    case 'choice':
+      return { type: ['string', 'null'], enum: [...field.choices, null] };
+    case 'measurement':
+      return {
+        type: ['string', 'null'],
+        description: `${field.dimension === 'length' ? 'Length' : 'Mass'} as written, including its unit`
+      };
+    default:
+      return { type: ['string', 'null'] };
+  }
+}
+
+function buildSchema(fields) {
+  return {
+    type: 'object',
+    properties: Object.fromEntries(fields.map(field => [field.name, fieldSchema(field)])),
+    required: fields.map(field => field.name),
+    additionalProperties: false
+  };
+}
+
+function buildPrompt(text, fields) {
+  const fieldList = fields
+    .map(field => `- ${field.name}: ${field.labels.en.join(' / ')} (${field.type})`)
+    .join('\n');
+  return `You read health survey forms that were scanned with OCR and may contain recognition errors.
+
+Extract the following answers from the form text:
+${fieldList}
+
+Rules:
+- Use only what the form states; use null for anything that is not clearly answered.
+- Do not guess, calculate or infer values from other answers.
+- Return JSON matching the given schema and nothing else.
+
+Form text:
+"""
+${sanitizeForPrompt(text.slice(0, LLM_EXTRACTION_MAX_CHARS))}
+"""`;
+}
+
+function matchesType(value, schema) {
+  const types = schema.type.filter(type => type !== 'null');
+  const typeOk = types.some(type => (type === 'integer' ? Number.isInteger(value) : typeof value === type));
+  return typeOk && (!schema.enum || schema.enum.includes(value));
+}
+
+// Typed LLM value -> the value the regex path would have produced for the field
+function toAnswer(field, value, language) {
+  if (typeof value === 'string') {
+    return parseFieldValue(field, value, canonicalValue(language, value));
+  }
+  return normalizeFieldValue(field, value);
+}
+
+// Asks the LLM for `fieldNames` the patterns could not read. Values that do not match the
+// schema or fail the field's own validation are dropped, never guessed.
+// Returns { answers, status, llm, fields_requested, fields_extracted, fields_rejected }.
+export async function extractMissingFields(text, fieldNames, language) {
+  const fields = fieldNames.map(getField).filter(Boolean);
+  const summary = { answers: {}, fields_requested: fields.map(field => field.name), fields_extracted: [], fields_rejected: [] };
+
+  if (client.isAvailable && !client.isAvailable()) {
+    logger.warn('LLM extraction client not available, skipping fallback', { client: client.name });
+    return { ...summary, status: 'unavailable' };
+  }
+
+  logger.info('Starting LLM extraction fallback', {
+    client: client.name || 'custom',
+    fieldsRequested: summary.fields_requested,
+    textLength: text.length
+  });
+
+  summary.llm = clientInfo();
+  const schema = buildSchema(fields);
+  let reply;
+  try {
+    const raw = await withTimeout(
+      client.extract({ prompt: buildPrompt(text, fields), schema }),
+      LLM_EXTRACTION_TIMEOUT_MS,
+      `LLM extraction timed out after ${LLM_EXTRACTION_TIMEOUT_MS}ms`
+    );
+    reply = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (error) {
+    logger.error('LLM extraction failed, keeping pattern results', { error: error.message });
+    return { ...summary, status: 'error' };
+  }
+
+  if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+    logger.error('LLM extraction returned a non-object reply, keeping pattern results');
+    return { ...summary, status: 'error' };
+  }
+
+  fields.forEach(field => {
+    const value = reply[field.name];
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (!matchesType(value, schema.properties[field.name])) {
+      summary.fields_rejected.push(field.name);
+      return;
+    }
+    const answer = toAnswer(field, value, language);
+    if (field.schema.validate(answer).error) {
+      summary.fields_rejected.push(field.name);
+      return;
+    }
+    summary.answers[field.name] = answer;
+    summary.fields_extracted.push(field.name);
+  });
+
+  logger.info('LLM extraction fallback completed', {
+    fieldsExtracted: summary.fields_extracted,
+    fieldsRejected: summary.fields_rejected
+  });
+
+  return { ...summary, status: 'ok' };
+}
@@ -1,27 +1,51 @@
-import Tesseract from 'tesseract.js';
+import { recognizeWithPool } from './ocrPool.js';
+import { extractPages } from './documents.js';
+import { preprocessImage, resolveSteps } from './preprocess.js';
+import {
+  DEFAULT_LANGUAGE,
+  getOcrLanguages,
+  normalizeDigits,
+  detectLanguage,
+  getFieldPatterns,
+  canonicalValue,
+  leadingCanonicalValue,
+  canonicalizeAnswers
+} from './languages.js';
+import { getFields, getRequiredFields, parseFieldValue, normalizeFieldValue } from './fields/index.js';
+import { toBaseUnit, calculateBmi } from './units.js';
+import { QUANTITY_PARSERS } from './quantities.js';
+import { isLlmExtractionEnabled, extractMissingFields } from './llmExtraction.js';
+import { screenInput } from './sanitize.js';
 import { createLogger } from './utils/logger.js';
 
 const logger = createLogger('ocr');
 
-export async function processHealthProfile(input, type) {
+// Also OCR the untouched image so before/after confidence can be reported
+const OCR_PREPROCESS_COMPARE = process.env.OCR_PREPROCESS_COMPARE === 'true';
+
+// Word-level blocks are needed to map fields back to their confidence and position
+const WORD_OUTPUT = { text: true, blocks: true };
+
+export async function processHealthProfile(input, type, options = {}) {
+  const { onProgress, mimetype, preprocess, language: requestedLanguage = 'auto' } = options;
   
   let text = '';
   let ocrConfidence = null;
+  let pages = null;
   
   if (type === 'image') {
-    logger.info('Beginning OCR text extraction from image');
+    logger.info('Beginning OCR text extraction from document', { mimetype: mimetype });
 
-    const result = await Tesseract.recognize(input, 'eng', {
-      logger: m => {
-        if (m.status === 'recognizing text') {
-          logger.info(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-        }
-      }
+    pages = await recognizePages(input, mimetype, {
+      onProgress,
+      steps: resolveSteps(preprocess),
+      ocrLanguages: getOcrLanguages(requestedLanguage)
     });
-    text = result.data.text;
-    ocrConfidence = result.data.confidence / 100; // Convert to 0-1 scale
+    text = pages.map(page => page.text).join('\n');
+    ocrConfidence = combinePageConfidence(pages);
     logger.info('OCR text extraction completed', { 
       textLength: text.length,
+      pages: pages.length,
       ocrConfidence: ocrConfidence 
     });
   } else {
@@ -29,23 +53,92 @@ export async function processHealthProfile(input, type) {
     logger.info('Processing direct text input', { textLength: text.length });
   }
 
+  // Instruction-like content is neutralized (or flagged for rejection) before anything reads the text
+  const screening = screenInput(text);
+  if (screening.action !== 'none') {
+    logger.warn('Instruction-like content found in input', {
+      patterns: screening.detected,
+      action: screening.action
+    });
+    text = screening.text;
+  }
+
+  // Language selection: explicit per request, otherwise detected from the labels in the text
+  const language = requestedLanguage === 'auto' ? detectLanguage(text) : requestedLanguage;
+
   // Parsing
-  const answers = parseHealthSurvey(text);
+  const { answers, matches, json } = parseHealthSurvey(text, language);
+
+  // Optional LLM pass over the raw text when the patterns missed required fields
+  let llmExtraction = null;
+  if (!json && screening.action !== 'rejected' && isLlmExtractionEnabled() && getRequiredFields().some(name => answers[name] === undefined)) {
+    const unread = getFields().map(field => field.name).filter(name => answers[name] === undefined);
+    const { answers: llmAnswers, ...details } = await extractMissingFields(text, unread, language);
+    Object.assign(answers, llmAnswers);
+    llmExtraction = details;
+  }
+
+  const fieldSources = Object.fromEntries(Object.keys(answers).map(name => [
+    name,
+    json ? 'json' : llmExtraction?.fields_extracted.includes(name) ? 'llm' : 'regex'
+  ]));
+  const { derived: derivedFields, unreadable } = normalizeQuantities(answers, language);
+  unreadable.forEach(name => {
+    delete fieldSources[name];
+  });
+  const derivedBmi = deriveBmi(answers);
+  if (derivedBmi) {
+    derivedFields.bmi = derivedBmi;
+  }
   const missingFields = findMissingFields(answers);
+  Object.entries(derivedFields)
+    .filter(([, details]) => !details.stated)
+    .forEach(([name]) => {
+      fieldSources[name] = 'derived';
+    });
 
   const result = {
     answers,
-    missing_fields: missingFields
+    missing_fields: missingFields,
+    field_sources: fieldSources,
+    language: {
+      code: language,
+      detected: requestedLanguage === 'auto'
+    }
   };
+  if (Object.keys(derivedFields).length > 0) {
+    result.derived_fields = derivedFields;
+  }
+  if (unreadable.length > 0) {
+    result.unreadable_fields = unreadable;
+  }
+  if (llmExtraction) {
+    result.llm_extraction = llmExtraction;
+  }
+  if (screening.action !== 'none') {
+    result.input_screening = { detected: screening.detected, action: screening.action };
+  }
 
   // Only add confidence for OCR/image processing
   if (type === 'image' && ocrConfidence !== null) {
     result.confidence = parseFloat(ocrConfidence.toFixed(2));
+    result.pages = pages.map(page => ({
+      page: page.page,
+      source: page.source,
+      confidence: parseFloat(page.confidence.toFixed(2)),
+      text_length: page.text.length,
+      ...(page.preprocessing && { preprocessing: page.preprocessing })
+    }));
+    result.preprocessing = summarizePreprocessing(pages);
+    const { fieldPages, fieldConfidence } = locateFields(matches, pages);
+    result.field_pages = fieldPages;
+    result.field_confidence = fieldConfidence;
     logger.debug('Health profile processing completed with OCR confidence', {
       extractedFields: Object.keys(answers).length,
       missingFields: missingFields.length,
       ocrConfidence: result.confidence,
-      fieldsFound: Object.keys(answers)
+      fieldsFound: Object.keys(answers),
+      fieldPages: result.field_pages
     });
   } else {
     logger.debug('Health profile processing completed (text input - no confidence)', {
@@ -58,87 +151,354 @@ export async function processHealthProfile(input, type) {
   return result;
 }
 
-function parseHealthSurvey(text) {
-  logger.info('Starting text parsing for health survey fields');
+// OCRs every page of an upload; pages with a PDF text layer skip recognition
+async function recognizePages(buffer, mimetype, { onProgress, steps, ocrLanguages }) {
+  const pages = await extractPages(buffer, mimetype);
+  const pageProgress = pages.map(page => (page.image ? 0 : 100));
+
+  const reportProgress = () => {
+    const percent = Math.round(pageProgress.reduce((sum, value) => sum + value, 0) / pages.length);
+    logger.info(`OCR Progress: ${percent}%`);
+    if (onProgress) {
+      onProgress(percent);
+    }
+  };
+
+  return Promise.all(pages.map(async (page, index) => {
+    if (!page.image) {
+      return { page: page.page, source: page.source, text: page.text, confidence: 1 };
+    }
+
+    // Preprocessing stage before recognition
+    const prepared = await preprocessImage(page.image, steps);
+
+    const result = await recognizeWithPool(prepared.image, {
+      languages: ocrLanguages,
+      recognizeOptions: prepared.recognizeOptions,
+      output: WORD_OUTPUT,
+      onProgress: m => {
+        if (m.status === 'recognizing text') {
+          pageProgress[index] = Math.round(m.progress * 100);
+          reportProgress();
+        }
+      }
+    });
+
+    const applied = [...prepared.applied];
+    if (result.data.rotateRadians) {
+      applied.push('deskew');
+    }
+
+    const preprocessing = {
+      steps_applied: applied,
+      deskew_angle: result.data.rotateRadians
+        ? parseFloat((result.data.rotateRadians * 180 / Math.PI).toFixed(2))
+        : 0,
+      confidence_after: parseFloat((result.data.confidence / 100).toFixed(2))
+    };
+
+    let chosen = result;
+    let scale = prepared.scale;
+    if (OCR_PREPROCESS_COMPARE && steps.length > 0) {
+      const original = await recognizeWithPool(page.image, { languages: ocrLanguages, output: WORD_OUTPUT });
+      preprocessing.confidence_before = parseFloat((original.data.confidence / 100).toFixed(2));
+      // Keep whichever pass the engine was more confident about
+      if (original.data.confidence > result.data.confidence) {
+        chosen = original;
+        scale = 1;
+        preprocessing.selected = 'original';
+      } else {
+        preprocessing.selected = 'preprocessed';
+      }
+    }
+
+    logger.debug('Page OCR completed', {
+      page: page.page,
+      textLength: chosen.data.text.length,
+      confidence: chosen.data.confidence,
+      preprocessing: preprocessing
+    });
+
+    return {
+      page: page.page,
+      source: page.source,
+      text: chosen.data.text,
+      confidence: chosen.data.confidence / 100, // Convert to 0-1 scale
+      words: collectWords(chosen.data, scale),
+      preprocessing
+    };
+  }));
+}
+
+// Rolls per-page preprocessing details up to the document level
+function summarizePreprocessing(pages) {
+  const processed = pages.filter(page => page.preprocessing);
+  if (processed.length === 0) {
+    return { steps_applied: [] };
+  }
+
+  const average = key => parseFloat(
+    (processed.reduce((sum, page) => sum + page.preprocessing[key], 0) / processed.length).toFixed(2)
+  );
+
+  const summary = {
+    steps_applied: [...new Set(processed.flatMap(page => page.preprocessing.steps_applied))],
+    confidence_after: average('confidence_after')
+  };
+  if (processed.every(page => page.preprocessing.confidence_before !== undefined)) {
+    summary.confidence_before = average('confidence_before');
+  }
+  return summary;
+}
+
+// Averages page confidences weighted by how much text each page contributed
+function combinePageConfidence(pages) {
+  const totalLength = pages.reduce((sum, page) => sum + page.text.trim().length, 0);
+  if (totalLength === 0) {
+    return pages.reduce((sum, page) => sum + page.confidence, 0) / pages.length;
+  }
+  return pages.reduce((sum, page) => sum + page.confidence * page.text.trim().length, 0) / totalLength;
+}
+
+// Character offsets of the whole match and of the captured value (regexes use the `d` flag)
+function describeMatch(match) {
+  const [valueStart, valueEnd] = match.indices[1];
+  return {
+    index: match.index,
+    length: match[0].length,
+    value_index: valueStart,
+    value_length: valueEnd - valueStart
+  };
+}
+
+// Maps each matched field back to its page and the OCR words its value was read from
+function locateFields(matches, pages) {
+  const ranges = [];
+  let offset = 0;
+  pages.forEach(page => {
+    ranges.push({ page, start: offset, end: offset + page.text.length });
+    offset += page.text.length + 1; // account for the newline joining pages
+  });
+
+  const fieldPages = {};
+  const fieldConfidence = {};
+  Object.entries(matches).forEach(([field, match]) => {
+    const range = ranges.find(r => match.index >= r.start && match.index <= r.end);
+    if (!range) {
+      return;
+    }
+    const { page } = range;
+    fieldPages[field] = page.page;
+
+    // Text-layer pages have no OCR words; their text is exact
+    if (!page.words) {
+      fieldConfidence[field] = { confidence: 1, bbox: null, page: page.page, words: [] };
+      return;
+    }
+
+    const start = match.value_index - range.start;
+    const end = start + match.value_length;
+    const words = page.words.filter(word => word.start < end && word.end > start);
+    if (words.length === 0) {
+      return;
+    }
+
+    const confidence = words.reduce((sum, word) => sum + word.confidence, 0) / words.length;
+    fieldConfidence[field] = {
+      confidence: parseFloat(confidence.toFixed(2)),
+      bbox: {
+        x0: Math.min(...words.map(word => word.bbox.x0)),
+        y0: Math.min(...words.map(word => word.bbox.y0)),
+        x1: Math.max(...words.map(word => word.bbox.x1)),
+        y1: Math.max(...words.map(word => word.bbox.y1))
+      },
+      page: page.page,
+      words: words.map(word => word.text)
+    };
+  });
+
+  return { fieldPages, fieldConfidence };
+}
+
+// Flattens Tesseract blocks into words with their character span in the page text.
+// Boxes are scaled back to the page's original resolution when it was upscaled.
+function collectWords(data, scale) {
+  const words = [];
+  let cursor = 0;
+  (data.blocks || []).forEach(block => {
+    block.paragraphs.forEach(paragraph => {
+      paragraph.lines.forEach(line => {
+        line.words.forEach(word => {
+          const start = data.text.indexOf(word.text, cursor);
+          if (start === -1) {
+            return;
+          }
+          cursor = start + word.text.length;
+          words.push({
+            text: word.text,
+            confidence: word.confidence / 100,
+            start,
+            end: cursor,
+            bbox: {
+              x0: Math.round(word.bbox.x0 / scale),
+              y0: Math.round(word.bbox.y0 / scale),
+              x1: Math.round(word.bbox.x1 / scale),
+              y1: Math.round(word.bbox.y1 / scale)
+            }
+          });
+        });
+      });
+    });
+  });
+  return words;
+}
+
+function parseHealthSurvey(text, language) {
+  logger.info('Starting text parsing for health survey fields', { language: language });
   logger.debug('Raw input text', { snippet: text.slice(0, 100) + (text.length > 100 ? '...' : '') });
   const answers = {};
+  // Offsets of each field's match in the text, used to trace fields back to OCR words
+  const matches = {};
   
   try {
 
     if (text.trim().startsWith('{')) {
       logger.debug('Attempting to parse input as JSON');
-      const jsonData = JSON.parse(text);
+      const jsonData = normalizeMeasurements(canonicalizeAnswers(language, JSON.parse(text)));
       logger.info('Successfully parsed JSON input', { fields: Object.keys(jsonData) });
-      return jsonData;
+      return { answers: jsonData, matches, json: true };
     }
   } catch (e) {
     logger.warn('Input is not JSON, proceeding with text pattern matching');
   }
 
-  // Age extraction
-  const ageMatch = text.match(/age[:\s]*(\d+)/i);
-  if (ageMatch) {
-    answers.age = parseInt(ageMatch[1]);
-    logger.debug('Extracted age field', { age: answers.age });
-  }
+  // Digit normalization keeps offsets intact (one character in, one out)
+  const normalizedText = normalizeDigits(text);
+  const patterns = getFieldPatterns(language);
 
-  // Smoker extraction
-  const smokerMatch = text.match(/smok(?:er|ing)[:\s]*(yes|no|true|false)/i);
-  if (smokerMatch) {
-    answers.smoker = ['yes', 'true'].includes(smokerMatch[1].toLowerCase());
-    logger.debug('Extracted smoker field', { smoker: answers.smoker });
-  }
+  // Every registered field is extracted with its language-specific pattern
+  getFields().forEach(field => {
+    const match = normalizedText.match(patterns[field.name]);
+    if (!match) {
+      return;
+    }
+    matches[field.name] = describeMatch(match);
+    answers[field.name] = parseFieldValue(field, match[1], canonicalValue(language, match[1]));
+    logger.debug(`Extracted ${field.name} field`, { [field.name]: answers[field.name] });
+  });
 
-  // Exercise extraction
-  const exerciseMatch = text.match(/exercise[:\s]*(never|rarely|sometimes|often|daily|[\w\s]+)/i);
-  if (exerciseMatch) {
-    answers.exercise = exerciseMatch[1].toLowerCase().trim();
-    logger.debug('Extracted exercise field', { exercise: answers.exercise });
-  }
+  logger.info('Text parsing completed', { 
+    totalFieldsExtracted: Object.keys(answers).length,
+    extractedFields: Object.keys(answers)
+  });
+
+  return { answers, matches, json: false };
+}
 
-  // Diet extraction
-  const dietMatch = text.match(/diet[:\s]*([\w\s]+?)(?:\n|$|[A-Z][a-z]+:)/i);
-  if (dietMatch) {
-    answers.diet = dietMatch[1].trim();
-    logger.debug('Extracted diet field', { diet: answers.diet });
+// JSON answers may give measurements as "5 ft 10 in", { value, unit } or bare numbers
+function normalizeMeasurements(answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return answers;
   }
+  getFields()
+    .filter(field => field.type === 'measurement' && answers[field.name] !== undefined)
+    .forEach(field => {
+      const converted = toBaseUnit(field.dimension, answers[field.name]);
+      if (converted !== null) {
+        answers[field.name] = converted;
+      }
+    });
+  return answers;
+}
+
+// Answers sent as an object outside an analysis (what-if baselines and scenarios) get the same
+// normalization as JSON input. Returns a normalized copy with the derived and unreadable fields.
+export function normalizeAnswers(answers, language = DEFAULT_LANGUAGE) {
+  const normalized = normalizeMeasurements({ ...answers });
+  const { derived, unreadable } = normalizeQuantities(normalized, language);
+  return { answers: normalized, derived, unreadable };
+}
 
-  // BMI extraction
-  const bmiMatch = text.match(/bmi[:\s]*(\d+(?:\.\d+)?)/i);
-  if (bmiMatch) {
-    answers.bmi = parseFloat(bmiMatch[1]);
-    logger.debug('Extracted BMI field', { bmi: answers.bmi });
+// Reads free-text quantity answers ("3x a week, 45 min", "10 cigarettes/day, quit 2019")
+// into structured fields and the enum value the answer maps to. Returns the derived fields
+// and the answers that could not be read; those are dropped from answers (a required one then
+// counts as missing) rather than failing validation. Values given directly (e.g. "pack_years"
+// in JSON) are not overwritten.
+function normalizeQuantities(answers, language) {
+  const derived = {};
+  const unreadable = [];
+  if (!answers || typeof answers !== 'object') {
+    return { derived, unreadable };
   }
 
-  // Sleep extraction
-  const sleepMatch = text.match(/sleep[:\s]*(\d+(?:\.\d+)?)/i);
-  if (sleepMatch) {
-    answers.sleep = parseFloat(sleepMatch[1]);
-    logger.debug('Extracted sleep field', { sleep: answers.sleep });
+  getFields()
+    .filter(field => field.quantity && typeof answers[field.name] === 'string')
+    .forEach(field => {
+      const text = answers[field.name];
+      // Survey parsing has already mapped localized values ("jamais") onto English tokens
+      if (canonicalValue(language, text) || canonicalValue(DEFAULT_LANGUAGE, text)) {
+        return;
+      }
+
+      const parsed = QUANTITY_PARSERS[field.quantity](text);
+      if (parsed) {
+        answers[field.name] = normalizeFieldValue(field, parsed.value);
+        Object.entries(parsed.quantities).forEach(([name, value]) => {
+          if (answers[name] === undefined) {
+            answers[name] = value;
+            derived[name] = { value, from: [field.name] };
+          }
+        });
+        logger.debug('Quantity answer normalized', {
+          field: field.name,
+          value: answers[field.name],
+          quantities: parsed.quantities
+        });
+        return;
+      }
+
+      // "never really" still means never
+      const leading = leadingCanonicalValue(language, text);
+      if (leading) {
+        answers[field.name] = parseFieldValue({ ...field, quantity: undefined }, leading.text, leading.token);
+        return;
+      }
+      delete answers[field.name];
+      unreadable.push(field.name);
+      logger.warn('Could not read quantity answer, dropping it', { field: field.name });
+    });
+
+  return { derived, unreadable };
+}
+
+// Computes BMI from height and weight. A stated BMI is kept (validation checks that it
+// agrees); otherwise the computed value fills answers.bmi before factors are extracted.
+function deriveBmi(answers) {
+  const { height, weight } = answers;
+  if (typeof height !== 'number' || typeof weight !== 'number' || height <= 0) {
+    return null;
   }
 
-  // Alcohol extraction
-  const alcoholMatch = text.match(/alcohol[:\s]*(yes|no|true|false|never|rarely|sometimes|often)/i);
-  if (alcoholMatch) {
-    const value = alcoholMatch[1].toLowerCase();
-    if (['yes', 'true', 'often', 'sometimes'].includes(value)) {
-      answers.alcohol = value;
-    } else {
-      answers.alcohol = 'no';
-    }
-    logger.debug('Extracted alcohol field', { alcohol: answers.alcohol });
+  const derived = {
+    value: calculateBmi(height, weight),
+    from: ['height', 'weight'],
+    stated: answers.bmi !== undefined
+  };
+  if (!derived.stated) {
+    answers.bmi = derived.value;
   }
 
-  logger.info('Text parsing completed', { 
-    totalFieldsExtracted: Object.keys(answers).length,
-    extractedFields: Object.keys(answers)
+  logger.debug('BMI derived from height and weight', {
+    heightCm: height,
+    weightKg: weight,
+    derivedBmi: derived.value,
+    statedBmi: answers.bmi
   });
-
-  return answers;
+  return derived;
 }
 
 function findMissingFields(answers) {
-  const requiredFields = ['age', 'smoker', 'exercise', 'diet'];
+  const requiredFields = getRequiredFields();
   const missing = requiredFields.filter(field => !(field in answers) || answers[field] === undefined || answers[field] === '');
   
   if (missing.length > 0) {
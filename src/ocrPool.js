@@ -0,0 +1,235 @@
+import Tesseract from 'tesseract.js';
+import { getOcrLanguages } from './languages.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('ocr-pool');
+
+const OCR_POOL_SIZE = parseInt(process.env.OCR_POOL_SIZE) || 2;
+const OCR_POOL_INIT_TIMEOUT_MS = parseInt(process.env.OCR_POOL_INIT_TIMEOUT_MS) || 60000;
+const OCR_POOL_SHUTDOWN_TIMEOUT_MS = parseInt(process.env.OCR_POOL_SHUTDOWN_TIMEOUT_MS) || 10000;
+// Local directory with <lang>.traineddata files, for deployments without network access
+const TESSDATA_PATH = process.env.TESSDATA_PATH;
+const TESSDATA_GZIP = process.env.TESSDATA_GZIP === 'true';
+
+// Pool state: one entry per Tesseract worker, plus callers waiting for a free worker
+let workers = [];
+let waiting = [];
+let initPromise = null;
+let shuttingDown = false;
+let idleListener = null;
+
+const stats = {
+  processed: 0,
+  failed: 0,
+  totalDurationMs: 0
+};
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function getWorkerOptions() {
+  if (!TESSDATA_PATH) {
+    return {};
+  }
+  return {
+    langPath: TESSDATA_PATH,
+    gzip: TESSDATA_GZIP,
+    cacheMethod: 'none'
+  };
+}
+
+async function createPoolWorker(index, languages) {
+  const entry = {
+    id: index,
+    worker: null,
+    languages,
+    busy: false,
+    onProgress: null
+  };
+
+  entry.worker = await withTimeout(
+    Tesseract.createWorker(languages, 1, {
+      ...getWorkerOptions(),
+      // Progress messages are routed to whichever job currently holds the worker
+      logger: m => {
+        if (entry.onProgress) {
+          entry.onProgress(m);
+        }
+      },
+      errorHandler: err => {
+        logger.error('OCR worker reported an error', { workerId: index, error: String(err) });
+      }
+    }),
+    OCR_POOL_INIT_TIMEOUT_MS,
+    `OCR worker ${index} did not initialize within ${OCR_POOL_INIT_TIMEOUT_MS}ms`
+  );
+
+  logger.debug('OCR worker ready', { workerId: index, languages: languages });
+  return entry;
+}
+
+// Creates the pool once; concurrent callers share the same initialization
+function initOcrPool({ size = OCR_POOL_SIZE } = {}) {
+  if (initPromise) {
+    return initPromise;
+  }
+
+  shuttingDown = false;
+  const languages = getOcrLanguages('auto');
+  logger.info('Initializing OCR worker pool', {
+    size: size,
+    languages: languages,
+    langPath: TESSDATA_PATH || 'remote'
+  });
+  const startTime = Date.now();
+
+  initPromise = Promise.allSettled(Array.from({ length: size }, (_, index) => createPoolWorker(index, languages)))
+    .then(async settled => {
+      const entries = settled.filter(r => r.status === 'fulfilled').map(r => r.value);
+      const failure = settled.find(r => r.status === 'rejected');
+      if (failure) {
+        // Do not leave half a pool running
+        await Promise.all(entries.map(entry => entry.worker.terminate()));
+        throw failure.reason instanceof Error ? failure.reason : new Error(String(failure.reason));
+      }
+
+      workers = entries;
+      logger.info('OCR worker pool ready', {
+        size: entries.length,
+        durationMs: Date.now() - startTime
+      });
+    })
+    .catch(error => {
+      // Allow a later request to retry initialization
+      initPromise = null;
+      logger.error('Failed to initialize OCR worker pool', { error: error.message });
+      throw error;
+    });
+
+  return initPromise;
+}
+
+// Prefers an idle worker already loaded with the requested languages
+function acquireWorker(languages) {
+  const idle = workers.find(entry => !entry.busy && entry.languages === languages) ||
+    workers.find(entry => !entry.busy);
+  if (idle) {
+    idle.busy = true;
+    return Promise.resolve(idle);
+  }
+
+  logger.debug('All OCR workers busy, queueing request', { queued: waiting.length + 1 });
+  return new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+  });
+}
+
+function releaseWorker(entry) {
+  entry.onProgress = null;
+  const next = waiting.shift();
+  if (next) {
+    next.resolve(entry);
+  } else {
+    entry.busy = false;
+    if (idleListener && workers.every(w => !w.busy)) {
+      idleListener();
+    }
+  }
+}
+
+// Runs recognition on a pooled worker, waiting for one to free up if necessary
+async function recognizeWithPool(image, { languages, onProgress, recognizeOptions = {}, output } = {}) {
+  if (shuttingDown) {
+    throw new Error('OCR worker pool is shutting down');
+  }
+
+  await initOcrPool();
+  const wanted = languages || getOcrLanguages('auto');
+  const entry = await acquireWorker(wanted);
+
+  const startTime = Date.now();
+  try {
+    if (entry.languages !== wanted) {
+      logger.info('Reinitializing OCR worker for new languages', {
+        workerId: entry.id,
+        from: entry.languages,
+        to: wanted
+      });
+      try {
+        await entry.worker.reinitialize(wanted);
+        entry.languages = wanted;
+      } catch (error) {
+        // Unknown state after a failed load; force a reinitialize on next use
+        entry.languages = null;
+        throw error;
+      }
+    }
+
+    entry.onProgress = onProgress || null;
+    const result = await entry.worker.recognize(image, recognizeOptions, output);
+    stats.processed++;
+    stats.totalDurationMs += Date.now() - startTime;
+    return result;
+  } catch (error) {
+    stats.failed++;
+    throw error instanceof Error ? error : new Error(String(error));
+  } finally {
+    releaseWorker(entry);
+  }
+}
+
+function getOcrPoolStats() {
+  const busy = workers.filter(entry => entry.busy).length;
+  return {
+    ready: workers.length > 0,
+    configured_size: OCR_POOL_SIZE,
+    size: workers.length,
+    languages: [...new Set(workers.map(entry => entry.languages).filter(Boolean))],
+    busy: busy,
+    idle: workers.length - busy,
+    queued: waiting.length,
+    processed: stats.processed,
+    failed: stats.failed,
+    avg_duration_ms: stats.processed > 0 ? Math.round(stats.totalDurationMs / stats.processed) : null
+  };
+}
+
+async function shutdownOcrPool() {
+  shuttingDown = true;
+  logger.info('Shutting down OCR worker pool', getOcrPoolStats());
+
+  waiting.forEach(({ reject }) => reject(new Error('OCR worker pool is shutting down')));
+  waiting = [];
+
+  // Let in-flight recognitions finish before terminating their workers
+  if (workers.some(entry => entry.busy)) {
+    logger.info('Waiting for in-flight OCR jobs to finish', {
+      busy: workers.filter(entry => entry.busy).length,
+      timeoutMs: OCR_POOL_SHUTDOWN_TIMEOUT_MS
+    });
+    await withTimeout(
+      new Promise(resolve => { idleListener = resolve; }),
+      OCR_POOL_SHUTDOWN_TIMEOUT_MS,
+      'Timed out waiting for OCR jobs to finish'
+    ).catch(error => logger.warn(error.message));
+    idleListener = null;
+  }
+
+  await Promise.all(workers.map(entry => entry.worker.terminate()));
+  workers = [];
+  initPromise = null;
+
+  logger.info('OCR worker pool terminated');
+}
+
+export {
+  initOcrPool,
+  recognizeWithPool,
+  getOcrPoolStats,
+  shutdownOcrPool
+};
@@ -0,0 +1,915 @@
+import { SCOPES } from './apiKeys.js';
+
+// Envelope version of each API version. Every JSON body carries it as `api_version` (and the
+// API-Version header); fields only change meaning or shape in a new API version.
+export const API_VERSIONS = { v1: '1.0', v2: '2.0' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const stringArray = { type: 'array', items: { type: 'string' } };
+const timestamp = { type: 'string', format: 'date-time' };
+
+// Top-level response bodies: the version's Envelope schema plus the endpoint's own fields
+function envelope(status, properties, required = []) {
+  return {
+    allOf: [
+      ref('Envelope'),
+      {
+        type: 'object',
+        properties: { status, ...properties },
+        required: ['status', ...required]
+      }
+    ]
+  };
+}
+
+function json(description, schema, headers) {
+  return {
+    description,
+    ...(headers && { headers }),
+    content: { 'application/json': { schema } }
+  };
+}
+
+const errorResponse = description => json(description, ref('Error'));
+
+// Errors every authenticated endpoint can answer with
+const authErrors = {
+  401: errorResponse('Missing, invalid or revoked API key (`unauthorized`)'),
+  403: errorResponse('The API key lacks the scope this endpoint needs (`forbidden`)'),
+  429: {
+    ...errorResponse('Rate limit (`rate_limited`) or daily quota (`quota_exceeded`) used up'),
+    headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds until the limit resets' } }
+  }
+};
+
+const analysisResponses = {
+  200: json('Analysis result', ref('AnalysisResult')),
+  400: json('A validation failure explaining why no risk was scored, or an error for missing or malformed input, an unsupported language, an unknown risk model, an invalid subject id or a rejected upload', {
+    oneOf: [ref('ValidationFailure'), ref('Error')]
+  }),
+  ...authErrors,
+  500: errorResponse('Analysis failed (`analysis_failed`)')
+};
+
+const subjectIdParameter = {
+  name: 'subjectId',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$' }
+};
+const jobIdParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' } };
+
+const analyzeJsonBody = {
+  type: 'object',
+  properties: {
+    text: { type: 'string', description: 'Free-text survey answers' },
+    data: { type: 'object', description: 'Survey answers as an object' },
+    language: ref('LanguageSelector'),
+    model: ref('RiskModelSelector'),
+    subject_id: { type: 'string', description: 'Records the assessment in this subject\'s history' }
+  }
+};
+
+const analyzeMultipartBody = {
+  type: 'object',
+  properties: {
+    image: { type: 'string', format: 'binary', description: 'Scanned survey (image or PDF, max 10MB)' },
+    language: ref('LanguageSelector'),
+    model: ref('RiskModelSelector'),
+    preprocess: { type: 'string', description: 'Comma-separated preprocessing steps, or "none"' },
+    subject_id: { type: 'string' }
+  },
+  required: ['image']
+};
+
+const analyzeRequestBody = {
+  required: true,
+  content: {
+    'application/json': { schema: analyzeJsonBody },
+    'multipart/form-data': { schema: analyzeMultipartBody }
+  }
+};
+
+const validationStatus = { enum: ['incomplete_profile', 'low_confidence', 'invalid_data', 'inconsistent_data', 'unsafe_input'] };
+
+const schemas = {
+  Error: {
+    ...envelope({ const: 'error' }, {
+      type: { type: 'string' },
+      message: { type: 'string' }
+    }, ['type', 'message']),
+    description: 'Every error: a machine-readable `type` and a human-readable `message`. Some types add fields (e.g. `supported`, `available`, `retry_after_seconds`).'
+  },
+  LanguageSelector: {
+    type: 'string',
+    description: 'Survey language code, or "auto" to detect it'
+  },
+  RiskModelSelector: {
+    type: 'string',
+    description: 'Risk model id, optionally pinned to a version ("id@version")'
+  },
+  Answers: {
+    type: 'object',
+    description: 'Normalized survey answers keyed by field name',
+    additionalProperties: { type: ['string', 'number', 'boolean'] }
+  },
+  Language: {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      detected: { type: 'boolean' }
+    },
+    required: ['code', 'detected']
+  },
+  DietAnalysis: {
+    type: 'object',
+    properties: {
+      source: { enum: ['keywords', 'llm'] },
+      risk_factors: stringArray,
+      protective_factors: stringArray,
+      terms: { type: 'array', items: { type: 'object' } }
+    },
+    required: ['source', 'risk_factors', 'protective_factors']
+  },
+  ScoreBreakdown: {
+    type: 'object',
+    description: 'How the score was reached, step by step',
+    properties: {
+      factors: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            factor: { type: 'string' },
+            weight: { type: 'number' },
+            source: { type: 'string' }
+          },
+          required: ['factor', 'weight']
+        }
+      },
+      factor_points: { type: 'number' },
+      quantity_adjustments: { type: 'array', items: { type: 'object' } },
+      age_adjustment: nullable({ type: 'object' }),
+      raw_score: { type: 'number' },
+      clamping: nullable({ type: 'object' }),
+      score: { type: 'number' },
+      band: { type: 'object' }
+    },
+    required: ['factors', 'raw_score', 'score', 'band']
+  },
+  ClinicalScore: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      reference: { type: 'string' },
+      inputs_used: stringArray,
+      inputs_missing: stringArray,
+      status: { enum: ['ok', 'insufficient_data', 'out_of_range'] },
+      result: { type: 'object' },
+      assumptions: { type: 'object', description: 'Default values used for missing optional inputs' },
+      reason: { type: 'string' }
+    },
+    required: ['id', 'name', 'status']
+  },
+  Recommendation: {
+    type: 'object',
+    properties: {
+      text: { type: 'string' },
+      category: { enum: ['diet', 'activity', 'substance', 'sleep', 'medical'] },
+      priority: { enum: ['high', 'medium', 'low'] },
+      factors: stringArray,
+      urgency: { enum: ['routine', 'soon', 'urgent'] }
+    },
+    required: ['text', 'category', 'priority', 'factors', 'urgency']
+  },
+  Safety: {
+    type: 'object',
+    description: 'What the medical-safety screen did to the generated recommendations',
+    properties: {
+      blocked: { type: 'array', items: { type: 'object' } },
+      rewritten: { type: 'array', items: { type: 'object' } },
+      escalated: { type: 'boolean' },
+      fell_back_to_static: { type: 'boolean' }
+    },
+    required: ['blocked', 'rewritten', 'escalated', 'fell_back_to_static']
+  },
+  OcrResult: envelope({ const: 'ok' }, {
+    answers: ref('Answers'),
+    missing_fields: stringArray,
+    field_sources: { type: 'object' },
+    language: ref('Language'),
+    confidence: { type: 'number', description: 'Mean OCR confidence (0-1)' },
+    pages: { type: 'array', items: { type: 'object' } }
+  }, ['answers', 'missing_fields', 'language']),
+  BatchItemFailure: {
+    type: 'object',
+    properties: {
+      index: { type: 'integer' },
+      input_type: { enum: ['profile', 'image'] },
+      status: { type: 'string' },
+      reason: { type: 'string' },
+      message: { type: 'string' }
+    },
+    required: ['index', 'input_type', 'status']
+  },
+  BatchResult: envelope({ const: 'ok' }, {
+    summary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        failed: { type: 'integer' },
+        risk_levels: { type: 'object', additionalProperties: { type: 'integer' } },
+        failed_items: { type: 'array', items: ref('BatchItemFailure') }
+      },
+      required: ['total', 'succeeded', 'failed', 'risk_levels', 'failed_items']
+    },
+    results: {
+      type: 'array',
+      description: 'One entry per input, in order: an analysis result or a failure, each with `index` and `input_type`',
+      items: ref('BatchItemFailure')
+    }
+  }, ['summary', 'results']),
+  Job: {
+    type: 'object',
+    properties: {
+      job_id: { type: 'string' },
+      status: { enum: ['queued', 'processing', 'completed', 'failed'] },
+      stage: { type: 'string' },
+      progress: { type: 'integer', minimum: 0, maximum: 100 },
+      queue_position: { type: 'integer' },
+      created_at: timestamp,
+      started_at: nullable(timestamp),
+      finished_at: nullable(timestamp),
+      error: { type: 'string' }
+    },
+    required: ['job_id', 'status', 'stage', 'progress', 'created_at']
+  },
+  JobAccepted: envelope({ const: 'accepted' }, {
+    job: ref('Job'),
+    status_url: { type: 'string' },
+    result_url: { type: 'string' }
+  }, ['job', 'status_url', 'result_url']),
+  JobStatus: envelope({ const: 'ok' }, { job: ref('Job') }, ['job']),
+  SimulationResult: envelope({ const: 'ok' }, {
+    baseline: {
+      type: 'object',
+      properties: {
+        score: { type: 'number' },
+        risk_level: { type: 'string' },
+        factors: stringArray
+      },
+      required: ['score', 'risk_level', 'factors']
+    },
+    scenarios: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          name: { type: 'string' },
+          changes: { type: 'object' },
+          status: { type: 'string' },
+          score: { type: 'number' },
+          risk_level: { type: 'string' },
+          score_delta: { type: 'number' },
+          level_delta: { type: 'integer' },
+          factors_removed: stringArray,
+          factors_added: stringArray
+        },
+        required: ['index', 'changes', 'status']
+      }
+    },
+    largest_impact: nullable({ type: 'object' }),
+    model_id: { type: 'string' },
+    model_version: { type: 'string' }
+  }, ['baseline', 'scenarios', 'model_id', 'model_version']),
+  AssessmentSummary: {
+    type: 'object',
+    properties: {
+      assessment_id: { type: 'string' },
+      created_at: timestamp,
+      score: { type: 'number' },
+      risk_level: { type: 'string' },
+      model_id: { type: 'string' },
+      model_version: { type: 'string' }
+    },
+    required: ['assessment_id', 'created_at', 'score', 'risk_level']
+  },
+  Trend: {
+    type: 'object',
+    properties: {
+      direction: { enum: ['improving', 'worsening', 'stable', 'insufficient_data'] },
+      assessments: { type: 'integer' },
+      first_score: { type: 'number' },
+      latest_score: { type: 'number' },
+      score_change: { type: 'number' },
+      slope_per_assessment: { type: 'number' },
+      since: timestamp,
+      until: timestamp
+    },
+    required: ['direction', 'assessments']
+  },
+  AssessmentList: envelope({ const: 'ok' }, {
+    subject_id: { type: 'string' },
+    total: { type: 'integer' },
+    assessments: { type: 'array', items: ref('AssessmentSummary') },
+    trend: ref('Trend')
+  }, ['subject_id', 'total', 'assessments', 'trend']),
+  AssessmentRecord: envelope({ const: 'ok' }, {
+    assessment: {
+      type: 'object',
+      properties: {
+        assessment_id: { type: 'string' },
+        subject_id: { type: 'string' },
+        created_at: timestamp,
+        score: { type: 'number' },
+        risk_level: { type: 'string' },
+        factors: stringArray,
+        answers: ref('Answers'),
+        model_id: { type: 'string' },
+        model_version: { type: 'string' },
+        client_id: nullable({ type: 'string', description: 'API client that recorded the assessment; null when auth is off' })
+      },
+      required: ['assessment_id', 'subject_id', 'created_at', 'score', 'risk_level', 'factors']
+    }
+  }, ['assessment']),
+  Comparison: envelope({ const: 'ok' }, {
+    subject_id: { type: 'string' },
+    comparison: {
+      type: 'object',
+      properties: {
+        from: ref('AssessmentSummary'),
+        to: ref('AssessmentSummary'),
+        score_delta: { type: 'number' },
+        risk_level_changed: { type: 'boolean' },
+        factors_added: stringArray,
+        factors_resolved: stringArray,
+        factors_unchanged: stringArray,
+        same_model: { type: 'boolean' }
+      },
+      required: ['from', 'to', 'score_delta', 'risk_level_changed', 'same_model']
+    }
+  }, ['subject_id', 'comparison']),
+  TrendResult: envelope({ const: 'ok' }, {
+    subject_id: { type: 'string' },
+    trend: ref('Trend')
+  }, ['subject_id', 'trend']),
+  LanguageList: envelope({ const: 'ok' }, {
+    languages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          code: { type: 'string' },
+          name: { type: 'string' },
+          ocr: { type: 'string' },
+          ocr_installed: { type: 'boolean' }
+        },
+        required: ['code', 'name']
+      }
+    }
+  }, ['languages']),
+  RiskModelList: envelope({ const: 'ok' }, {
+    risk_models: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          version: { type: 'string' },
+          description: { type: 'string' },
+          default: { type: 'boolean' }
+        },
+        required: ['id', 'version']
+      }
+    }
+  }, ['risk_models']),
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      client: { type: 'string' },
+      scopes: { type: 'array', items: { enum: SCOPES } },
+      rate_limit_per_minute: nullable({ type: 'integer' }),
+      daily_quota: nullable({ type: 'integer' }),
+      created_at: timestamp,
+      revoked_at: nullable(timestamp),
+      active: { type: 'boolean' }
+    },
+    required: ['id', 'client', 'scopes', 'created_at', 'active']
+  },
+  ApiKeyList: envelope({ const: 'ok' }, { keys: { type: 'array', items: ref('ApiKey') } }, ['keys']),
+  ApiKeyRecord: envelope({ const: 'ok' }, { api_key: ref('ApiKey') }, ['api_key']),
+  ApiKeyIssued: envelope({ const: 'ok' }, {
+    key: { type: 'string', description: 'The plain key; returned only once' },
+    api_key: ref('ApiKey')
+  }, ['key', 'api_key'])
+};
+
+// Schemas whose shape differs between API versions
+const versionSchemas = {
+  v1: {
+    Envelope: {
+      type: 'object',
+      properties: { api_version: { const: API_VERSIONS.v1 } },
+      required: ['api_version']
+    },
+    ValidationFailure: {
+      ...envelope(validationStatus, {
+        reason: { type: 'string' },
+        missing_fields: stringArray,
+        rejected_fields: stringArray,
+        unreadable_fields: stringArray,
+        field: { type: 'string' },
+        fields: stringArray,
+        patterns: stringArray,
+        confidence: { type: 'number' },
+        model_id: { type: 'string' },
+        model_version: { type: 'string' }
+      }, ['reason']),
+      description: 'The input was understood but cannot be scored. `status` names the check that failed.'
+    },
+    AnalysisResult: {
+      ...envelope({ const: 'ok' }, {
+        answers: ref('Answers'),
+        missing_fields: stringArray,
+        field_sources: { type: 'object', additionalProperties: { type: 'string' } },
+        language: ref('Language'),
+        confidence: {
+          type: 'number',
+          description: 'Confidence of the factor extraction. For image input it overwrites the OCR confidence; documents keep the OCR confidence per page in `pages[].confidence`.'
+        },
+        factors: { ...stringArray, description: 'Risk factors found in the answers' },
+        protective_factors: stringArray,
+        diet_analysis: ref('DietAnalysis'),
+        risk_level: { type: 'string' },
+        score: { type: 'number' },
+        rationale: stringArray,
+        score_breakdown: ref('ScoreBreakdown'),
+        model_id: { type: 'string' },
+        model_version: { type: 'string' },
+        clinical_scores: { type: 'array', items: ref('ClinicalScore') },
+        recommendations: { ...stringArray, description: 'Up to five recommendation texts in the order they were generated; v2 returns them by priority with category, priority, factors and urgency' },
+        source: { enum: ['gemini-ai', 'static'], description: '`gemini-ai` for LLM output whichever provider answered (named in `llm`); v2 calls it `llm`' },
+        llm: nullable({ type: 'object' }),
+        disclaimer: { type: 'string' },
+        safety: ref('Safety'),
+        unreadable_fields: { ...stringArray, description: 'Quantity answers that could not be read and were dropped' },
+        input_screening: { type: 'object' },
+        pages: { type: 'array', items: { type: 'object' } },
+        subject_id: { type: 'string' },
+        assessment_id: { type: 'string' }
+      }, [
+        'answers', 'missing_fields', 'language', 'factors', 'risk_level', 'score', 'rationale',
+        'score_breakdown', 'model_id', 'model_version', 'clinical_scores', 'recommendations',
+        'source', 'disclaimer', 'safety'
+      ]),
+      description: 'A scored analysis. The parsing, factor, risk and recommendation stages are merged into one object.'
+    }
+  },
+  v2: {
+    Envelope: {
+      type: 'object',
+      properties: {
+        api_version: { const: API_VERSIONS.v2 },
+        meta: {
+          type: 'object',
+          properties: {
+            request_id: { type: 'string', description: 'Also sent as the X-Request-Id header; quote it when reporting a problem' }
+          },
+          required: ['request_id']
+        }
+      },
+      required: ['api_version', 'meta']
+    },
+    AnalysisMeta: {
+      type: 'object',
+      properties: {
+        request_id: { type: 'string' },
+        model: {
+          type: 'object',
+          properties: { id: { type: 'string' }, version: { type: 'string' } },
+          required: ['id', 'version']
+        },
+        subject_id: nullable({ type: 'string' }),
+        assessment_id: nullable({ type: 'string' }),
+        job_id: { type: 'string', description: 'On job results only' }
+      },
+      required: ['request_id', 'model', 'subject_id', 'assessment_id']
+    },
+    ValidationFailure: {
+      ...envelope(validationStatus, {
+        reason: { type: 'string' },
+        details: {
+          type: 'object',
+          description: 'Check-specific fields, e.g. `missing_fields`, `field`, `confidence` or `patterns`'
+        },
+        meta: { type: 'object', description: 'For analyses, the same fields as an analysis result\'s `meta`' }
+      }, ['reason', 'details']),
+      description: 'The input was understood but cannot be scored. `status` names the check that failed.'
+    },
+    AnalysisResult: {
+      ...envelope({ const: 'ok' }, {
+        input: {
+          type: 'object',
+          description: 'What was submitted and how it was read',
+          properties: {
+            type: { enum: ['text', 'image'] },
+            language: ref('Language'),
+            screening: nullable({ type: 'object', description: 'Set when instruction-like content was found in the input' }),
+            ocr: nullable({
+              type: 'object',
+              description: 'OCR details for image input',
+              properties: {
+                confidence: { type: 'number', description: 'OCR confidence (0-1), combined across pages' },
+                pages: { type: 'array', items: { type: 'object' } },
+                preprocessing: { type: 'object' }
+              },
+              required: ['confidence', 'pages']
+            })
+          },
+          required: ['type', 'language', 'screening', 'ocr']
+        },
+        extraction: {
+          type: 'object',
+          description: 'Answers read from the input and the health factors derived from them',
+          properties: {
+            answers: ref('Answers'),
+            missing_fields: stringArray,
+            field_sources: { type: 'object', additionalProperties: { type: 'string' } },
+            derived_fields: { type: 'object' },
+            llm_extraction: nullable({ type: 'object' }),
+            field_confidence: nullable({ type: 'object' }),
+            field_pages: nullable({ type: 'object' }),
+            low_confidence_fields: stringArray,
+            rejected_fields: stringArray,
+            unreadable_fields: { ...stringArray, description: 'Quantity answers that could not be read and were dropped' },
+            factors: { ...stringArray, description: 'Risk factors found in the answers' },
+            protective_factors: stringArray,
+            diet_analysis: nullable(ref('DietAnalysis')),
+            confidence: { type: 'number', description: 'Confidence of the factor extraction (0-1); the OCR confidence is `input.ocr.confidence`' }
+          },
+          required: [
+            'answers', 'missing_fields', 'field_sources', 'derived_fields', 'llm_extraction', 'field_confidence',
+            'field_pages', 'low_confidence_fields', 'rejected_fields', 'unreadable_fields', 'factors', 'protective_factors', 'diet_analysis', 'confidence'
+          ]
+        },
+        risk: {
+          type: 'object',
+          properties: {
+            level: { type: 'string' },
+            score: { type: 'number' },
+            rationale: stringArray,
+            score_breakdown: ref('ScoreBreakdown'),
+            clinical_scores: { type: 'array', items: ref('ClinicalScore') }
+          },
+          required: ['level', 'score', 'rationale', 'score_breakdown', 'clinical_scores']
+        },
+        recommendations: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: ref('Recommendation') },
+            source: { enum: ['llm', 'static'] },
+            llm: nullable({ type: 'object' }),
+            disclaimer: { type: 'string' },
+            safety: ref('Safety')
+          },
+          required: ['items', 'source', 'llm', 'disclaimer', 'safety']
+        },
+        meta: ref('AnalysisMeta')
+      }, ['input', 'extraction', 'risk', 'recommendations', 'meta']),
+      description: 'A scored analysis, one section per pipeline stage'
+    }
+  }
+};
+
+const paths = {
+  '/analyze': {
+    post: {
+      summary: 'Analyze one survey (text, JSON answers or a scanned image)',
+      tags: ['Analysis'],
+      requestBody: analyzeRequestBody,
+      responses: analysisResponses
+    }
+  },
+  '/analyze/stream': {
+    post: {
+      summary: 'Analyze one survey and stream progress as Server-Sent Events',
+      description: 'Events: stage, ocr_progress, parsed, validation, factors, risk, recommendation, recommendations; the stream ends with `result` or `error`.',
+      tags: ['Analysis'],
+      requestBody: analyzeRequestBody,
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        400: errorResponse('Rejected before the stream opened'),
+        ...authErrors
+      }
+    }
+  },
+  '/analyze/batch': {
+    post: {
+      summary: 'Analyze several surveys in one request',
+      tags: ['Analysis'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                profiles: { type: 'array', description: 'Survey texts, answer objects or { text | data, language, subject_id } wrappers' },
+                language: ref('LanguageSelector'),
+                model: ref('RiskModelSelector')
+              }
+            }
+          },
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                images: { type: 'array', items: { type: 'string', format: 'binary' } },
+                language: ref('LanguageSelector'),
+                model: ref('RiskModelSelector'),
+                preprocess: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Per-item results and a summary', ref('BatchResult')),
+        400: errorResponse('Empty or oversized batch, or rejected uploads'),
+        ...authErrors
+      }
+    }
+  },
+  '/jobs': {
+    post: {
+      summary: 'Queue an analysis and return a job id immediately',
+      tags: ['Jobs'],
+      requestBody: analyzeRequestBody,
+      responses: {
+        202: json('Job accepted', ref('JobAccepted'), {
+          Location: { schema: { type: 'string' }, description: 'Job status URL' }
+        }),
+        400: errorResponse('Missing or malformed input'),
+        ...authErrors,
+        503: {
+          ...errorResponse('Job queue is full (`queue_full`)'),
+          headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before resubmitting' } }
+        }
+      }
+    }
+  },
+  '/jobs/{id}': {
+    get: {
+      summary: 'Job status and progress',
+      tags: ['Jobs'],
+      parameters: [jobIdParameter],
+      responses: {
+        200: json('Job status', ref('JobStatus')),
+        ...authErrors,
+        404: errorResponse('Unknown or expired job, or one submitted by another client')
+      }
+    }
+  },
+  '/jobs/{id}/result': {
+    get: {
+      summary: 'Result of a completed job',
+      tags: ['Jobs'],
+      parameters: [jobIdParameter],
+      responses: {
+        200: json('The analysis result POST /analyze would have returned', ref('AnalysisResult')),
+        400: json('The validation failure POST /analyze would have returned', ref('ValidationFailure')),
+        ...authErrors,
+        404: errorResponse('Unknown or expired job, or one submitted by another client'),
+        409: errorResponse('Job still queued or processing (`job_not_ready`)'),
+        500: errorResponse('Job failed (`job_failed`)')
+      }
+    }
+  },
+  '/simulate': {
+    post: {
+      summary: 'Rescore baseline answers under hypothetical lifestyle changes',
+      tags: ['Analysis'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                answers: ref('Answers'),
+                scenarios: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { name: { type: 'string' }, changes: { type: 'object' } },
+                    required: ['changes']
+                  }
+                },
+                model: ref('RiskModelSelector')
+              },
+              required: ['answers', 'scenarios']
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Baseline and per-scenario scores', ref('SimulationResult')),
+        400: json('Malformed request or invalid baseline answers', { oneOf: [ref('Error'), ref('ValidationFailure')] }),
+        ...authErrors,
+        500: errorResponse('Simulation failed (`simulation_failed`)')
+      }
+    }
+  },
+  '/subjects/{subjectId}/assessments': {
+    get: {
+      summary: 'A subject\'s assessments, oldest first, with the overall trend',
+      tags: ['History'],
+      parameters: [subjectIdParameter, { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }],
+      responses: {
+        200: json('Assessment history', ref('AssessmentList')),
+        400: errorResponse('Invalid subject id'),
+        ...authErrors,
+        404: errorResponse('No assessments for this subject recorded by this client'),
+        500: errorResponse('History store unavailable (`history_unavailable`)')
+      }
+    }
+  },
+  '/subjects/{subjectId}/assessments/{assessmentId}': {
+    get: {
+      summary: 'One stored assessment',
+      tags: ['History'],
+      parameters: [subjectIdParameter, { name: 'assessmentId', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: json('The assessment', ref('AssessmentRecord')),
+        400: errorResponse('Invalid subject id'),
+        ...authErrors,
+        404: errorResponse('Assessment not found'),
+        500: errorResponse('History store unavailable (`history_unavailable`)')
+      }
+    }
+  },
+  '/subjects/{subjectId}/compare': {
+    get: {
+      summary: 'Compare two assessments; defaults to the previous and latest ones',
+      tags: ['History'],
+      parameters: [
+        subjectIdParameter,
+        { name: 'from', in: 'query', schema: { type: 'string' } },
+        { name: 'to', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: json('Differences between the two assessments', ref('Comparison')),
+        400: errorResponse('Invalid subject id'),
+        ...authErrors,
+        404: errorResponse('Subject or assessment not found for this client'),
+        409: errorResponse('Fewer than two assessments (`insufficient_history`)'),
+        500: errorResponse('History store unavailable (`history_unavailable`)')
+      }
+    }
+  },
+  '/subjects/{subjectId}/trend': {
+    get: {
+      summary: 'Direction of a subject\'s scores over time',
+      tags: ['History'],
+      parameters: [subjectIdParameter],
+      responses: {
+        200: json('The trend', ref('TrendResult')),
+        400: errorResponse('Invalid subject id'),
+        ...authErrors,
+        404: errorResponse('No assessments for this subject recorded by this client'),
+        500: errorResponse('History store unavailable (`history_unavailable`)')
+      }
+    }
+  },
+  '/languages': {
+    get: {
+      summary: 'Languages available for survey parsing and OCR',
+      tags: ['Reference'],
+      responses: { 200: json('Supported languages', ref('LanguageList')), ...authErrors }
+    }
+  },
+  '/risk-models': {
+    get: {
+      summary: 'Risk models available for scoring, every loaded version included',
+      tags: ['Reference'],
+      responses: { 200: json('Loaded risk models', ref('RiskModelList')), ...authErrors }
+    }
+  },
+  '/ocr': {
+    post: {
+      summary: 'Run OCR and parsing on an image without scoring it',
+      tags: ['Analysis'],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                image: { type: 'string', format: 'binary' },
+                language: ref('LanguageSelector'),
+                preprocess: { type: 'string' }
+              },
+              required: ['image']
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Parsed answers and OCR details', ref('OcrResult')),
+        400: errorResponse('Missing or rejected image'),
+        ...authErrors,
+        500: errorResponse('OCR failed (`ocr_failed`)')
+      }
+    }
+  },
+  '/admin/keys': {
+    get: {
+      summary: 'List API keys',
+      tags: ['Admin'],
+      responses: { 200: json('All keys, revoked ones included', ref('ApiKeyList')), ...authErrors }
+    },
+    post: {
+      summary: 'Issue an API key',
+      tags: ['Admin'],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: {
+                client: { type: 'string', pattern: '^[A-Za-z0-9_.-]{1,64}$' },
+                scopes: { type: 'array', items: { enum: SCOPES }, minItems: 1 },
+                rate_limit_per_minute: nullable({ type: 'integer', minimum: 1 }),
+                daily_quota: nullable({ type: 'integer', minimum: 1 })
+              },
+              required: ['client', 'scopes']
+            }
+          }
+        }
+      },
+      responses: {
+        201: json('The new key', ref('ApiKeyIssued')),
+        400: errorResponse('Invalid key options'),
+        ...authErrors
+      }
+    }
+  },
+  '/admin/keys/{id}': {
+    delete: {
+      summary: 'Revoke an API key',
+      tags: ['Admin'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: json('The revoked key', ref('ApiKeyRecord')),
+        ...authErrors,
+        404: errorResponse('Unknown key')
+      }
+    }
+  }
+};
+
+// v1 stays frozen and is marked deprecated operation by operation
+function deprecate(pathItems) {
+  return Object.fromEntries(Object.entries(pathItems).map(([path, item]) => [
+    path,
+    Object.fromEntries(Object.entries(item).map(([method, operation]) => [method, { ...operation, deprecated: true }]))
+  ]));
+}
+
+const descriptions = {
+  v1: 'Deprecated: use v2. Also served without a version prefix at /api. Every JSON response carries `status` and `api_version`. Errors add `type` and `message`; validation failures add `reason`.',
+  v2: 'Every JSON response carries `status`, `api_version` and `meta.request_id`. Errors add `type` and `message`; validation failures add `reason` and `details`. Analyses are split into `input`, `extraction`, `risk`, `recommendations` and `meta` sections.'
+};
+
+function buildDocument(version) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Health Risk Profiler API',
+      version: API_VERSIONS[version],
+      description: descriptions[version]
+    },
+    servers: version === 'v1' ? [{ url: '/api/v1' }, { url: '/api' }] : [{ url: `/api/${version}` }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: version === 'v1' ? deprecate(paths) : paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key as a bearer token' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: { ...schemas, ...versionSchemas[version] }
+    }
+  };
+}
+
+export const openApiDocuments = {
+  v1: buildDocument('v1'),
+  v2: buildDocument('v2')
+};
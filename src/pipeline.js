@@ -0,0 +1,142 @@
+import { processHealthProfile } from './ocr.js';
+import { validateInput } from './guardrails.js';
+import { extractFactors } from './factors.js';
+import { analyzeDiet } from './diet.js';
+import { calculateRisk } from './risk.js';
+import { generateRecommendations } from './recommendations.js';
+import { applySafetyGuardrails, screenRecommendation } from './safety.js';
+import { calculateClinicalScores } from './clinical.js';
+import { getRiskModel } from './riskModels.js';
+import { recordAssessment } from './history.js';
+import { formatRecommendations } from './analysisResponse.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('pipeline');
+
+// Runs a single profile through OCR/parsing, validation, factors, risk and recommendations.
+// Returns { ok, response, sections } so callers can decide how to surface validation failures;
+// `response` is the merged v1 body, `sections` keeps each stage's own result (see analysisResponse.js).
+// Options: survey language ('auto' to detect), mimetype and preprocess steps for uploads,
+// risk model ("id" or "id@version", default model when omitted), subjectId to record
+// the result in the subject's history,
+// onProgress(percent) receives OCR progress, onStage(stage) is called as each step starts,
+// onPartial(name, data) receives each step's result as soon as it is known ('parsed',
+// 'validation', 'factors', 'risk', 'recommendations'), and onRecommendation(item, attempt)
+// receives safety-screened recommendations while the LLM is still producing them.
+export async function analyzeProfile(input, type, options = {}) {
+  const {
+    language, mimetype, preprocess, model, subjectId, onProgress,
+    onStage = () => {}, onPartial = () => {}, onRecommendation
+  } = options;
+
+  // Resolved up front so every response, including validation failures, names the model
+  const riskModel = getRiskModel(model);
+  if (!riskModel) {
+    throw new Error(`Unknown risk model: ${model}`);
+  }
+  const modelInfo = { model_id: riskModel.id, model_version: riskModel.version };
+
+  // Step 1: OCR/Text Parsing
+  onStage(type === 'image' ? 'ocr' : 'parsing');
+  const parsedData = await processHealthProfile(input, type, { language, mimetype, preprocess, onProgress });
+  onPartial('parsed', parsedData);
+
+  // Step 2: Validation
+  onStage('validation');
+  const validation = validateInput(parsedData);
+  if (!validation.isValid) {
+    logger.error('Input validation failed', {
+      errors: validation.response
+    });
+    onPartial('validation', { valid: false, ...validation.response });
+    return {
+      ok: false,
+      response: { ...validation.response, ...modelInfo },
+      sections: { type, parsed: parsedData, model: modelInfo }
+    };
+  }
+  onPartial('validation', { valid: true });
+
+  // Step 3: Factor Extraction
+  onStage('factors');
+  const diet = parsedData.answers.diet ? await analyzeDiet(parsedData.answers.diet) : undefined;
+  const factorData = extractFactors(parsedData.answers, { diet });
+  onPartial('factors', factorData);
+
+  // Step 4: Risk Classification
+  onStage('risk');
+  const riskData = calculateRisk(factorData.factors, parsedData.answers, riskModel);
+  // Established instruments are reported next to the heuristic score, never merged into it
+  const clinicalScores = calculateClinicalScores(parsedData.answers);
+  onPartial('risk', { ...riskData, clinical_scores: clinicalScores });
+
+  // Step 5: Recommendations
+  onStage('recommendations');
+  logger.info('Generating AI-powered recommendations', {
+    riskLevel: riskData.risk_level,
+    factorsCount: factorData.factors.length
+  });
+  const generated = await generateRecommendations(riskData.risk_level, factorData.factors, {
+    onRecommendation: onRecommendation && ((item, attempt) => {
+      const screened = screenRecommendation(item);
+      if (screened) {
+        onRecommendation(screened, attempt);
+      }
+    })
+  });
+  // Nothing generated reaches the user unscreened; the model's top level counts as high risk
+  const recommendations = applySafetyGuardrails(generated, {
+    riskLevel: riskData.risk_level,
+    factors: factorData.factors,
+    escalate: riskData.risk_level === riskModel.levels.at(-1).level
+  });
+  onPartial('recommendations', recommendations);
+
+  // Combine all results
+  const result = {
+    ...parsedData,
+    ...factorData,
+    ...riskData,
+    clinical_scores: clinicalScores,
+    ...formatRecommendations(recommendations, 'v1'),
+    status: 'ok'
+  };
+
+  const sections = {
+    type,
+    parsed: parsedData,
+    factors: factorData,
+    risk: riskData,
+    clinicalScores,
+    recommendations,
+    model: modelInfo,
+    history: null
+  };
+
+  // Step 6: History
+  if (subjectId) {
+    onStage('history');
+    const record = await recordAssessment(subjectId, result);
+    result.subject_id = subjectId;
+    result.assessment_id = record.assessment_id;
+    sections.history = { subject_id: subjectId, assessment_id: record.assessment_id };
+  }
+
+  logger.info('Health analysis completed successfully', {
+    riskLevel: result.risk_level,
+    modelId: result.model_id,
+    modelVersion: result.model_version,
+    factorsCount: result.factors?.length || 0
+  });
+
+  return { ok: true, response: result, sections };
+}
+
+// Converts a `text`/`data` request body into the text handed to processHealthProfile.
+// Returns null when neither field is present.
+export function resolveTextInput(body = {}) {
+  if (body.text || body.data) {
+    return body.text || JSON.stringify(body.data);
+  }
+  return null;
+}
@@ -0,0 +1,142 @@
+import sharp from 'sharp';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('preprocess');
+
+// Steps run in this order; deskew is delegated to Tesseract's own angle detection
+const AVAILABLE_STEPS = ['rotate', 'grayscale', 'upscale', 'binarize', 'deskew'];
+
+const DEFAULT_STEPS = parseStepList(process.env.OCR_PREPROCESS_STEPS ?? AVAILABLE_STEPS.join(','));
+const UPSCALE_MIN_WIDTH = parseInt(process.env.OCR_UPSCALE_MIN_WIDTH) || 1200;
+const UPSCALE_MAX_FACTOR = parseFloat(process.env.OCR_UPSCALE_MAX_FACTOR) || 3;
+const BINARIZE_WINDOW_RATIO = parseFloat(process.env.OCR_BINARIZE_WINDOW_RATIO) || 1 / 16;
+const BINARIZE_SENSITIVITY = parseFloat(process.env.OCR_BINARIZE_SENSITIVITY) || 0.15;
+
+export function parseStepList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(step => AVAILABLE_STEPS.includes(step));
+  }
+  const normalized = String(value).trim().toLowerCase();
+  if (normalized === '' || normalized === 'none' || normalized === 'false') {
+    return [];
+  }
+  if (normalized === 'all' || normalized === 'true') {
+    return [...AVAILABLE_STEPS];
+  }
+  return normalized
+    .split(',')
+    .map(step => step.trim())
+    .filter(step => {
+      const known = AVAILABLE_STEPS.includes(step);
+      if (!known && step) {
+        logger.warn('Ignoring unknown preprocessing step', { step: step });
+      }
+      return known;
+    });
+}
+
+// Resolves the steps for one request; `override` may be a list, a comma string, 'none' or 'all'
+export function resolveSteps(override) {
+  if (override === undefined || override === null) {
+    return DEFAULT_STEPS;
+  }
+  return parseStepList(override);
+}
+
+// Prepares an image for OCR. Returns the processed buffer, the steps actually applied,
+// the resize factor (to map coordinates back) and options for Tesseract's recognize().
+export async function preprocessImage(buffer, steps = DEFAULT_STEPS) {
+  const applied = [];
+  const recognizeOptions = {};
+  let scale = 1;
+
+  if (steps.length === 0) {
+    return { image: buffer, applied, scale, recognizeOptions };
+  }
+
+  const startTime = Date.now();
+  let pipeline = sharp(buffer);
+  const metadata = await pipeline.metadata();
+
+  // EXIF orientation from phone cameras
+  if (steps.includes('rotate')) {
+    pipeline = pipeline.rotate();
+    if (metadata.orientation && metadata.orientation !== 1) {
+      applied.push('rotate');
+    }
+  }
+
+  if (steps.includes('grayscale')) {
+    pipeline = pipeline.grayscale();
+    applied.push('grayscale');
+  }
+
+  if (steps.includes('upscale')) {
+    // Orientations 5-8 swap width and height
+    const width = metadata.orientation >= 5 ? metadata.height : metadata.width;
+    if (width && width < UPSCALE_MIN_WIDTH) {
+      const factor = Math.min(UPSCALE_MIN_WIDTH / width, UPSCALE_MAX_FACTOR);
+      pipeline = pipeline.resize({ width: Math.round(width * factor), kernel: 'lanczos3' });
+      scale = factor;
+      applied.push('upscale');
+    }
+  }
+
+  let image = await pipeline.png().toBuffer();
+
+  if (steps.includes('binarize')) {
+    image = await adaptiveBinarize(image);
+    applied.push('binarize');
+  }
+
+  if (steps.includes('deskew')) {
+    recognizeOptions.rotateAuto = true;
+  }
+
+  logger.debug('Image preprocessing completed', {
+    requestedSteps: steps,
+    appliedSteps: applied,
+    durationMs: Date.now() - startTime
+  });
+
+  return { image, applied, scale, recognizeOptions };
+}
+
+// Bradley-Roth adaptive thresholding: a pixel is ink when it is darker than the
+// mean of its neighbourhood by more than the sensitivity ratio. Copes with shadows
+// and uneven lighting where a single global threshold does not.
+async function adaptiveBinarize(buffer) {
+  const { data, info } = await sharp(buffer)
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += data[(y * width + x) * channels];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const half = Math.max(4, Math.round(width * BINARIZE_WINDOW_RATIO / 2));
+  const output = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    const y1 = Math.max(0, y - half);
+    const y2 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x1 = Math.max(0, x - half);
+      const x2 = Math.min(width, x + half + 1);
+      const count = (x2 - x1) * (y2 - y1);
+      const sum = integral[y2 * stride + x2] - integral[y1 * stride + x2]
+        - integral[y2 * stride + x1] + integral[y1 * stride + x1];
+      const value = data[(y * width + x) * channels];
+      output[y * width + x] = value * count <= sum * (1 - BINARIZE_SENSITIVITY) ? 0 : 255;
+    }
+  }
+
+  return sharp(output, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
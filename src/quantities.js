@@ -0,0 +1,209 @@
+// Normalizers for free-text lifestyle answers ("3x a week, 45 min", "2 drinks per day",
+// "10 cigarettes/day, quit 2019"). Each returns structured quantities plus the enum
+// value the rest of the pipeline already understands, or null when nothing was recognized.
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, once: 1, two: 2, twice: 2, three: 3, thrice: 3, half: 0.5 };
+const NUMBER = '(\\d+(?:[.,]\\d+)?|an?|one|once|two|twice|three|thrice|half)';
+
+// "a week", "per day", "/wk", "on weekends", "por semana", "al día", "par jour". Longest
+// first and whole words only, so "al día" is not read as "a" followed by "l día"
+const PER = '(?:\\s*(?:(?:à la|a la|every|each|per|por|par|an|al|on|a)(?![\\p{L}\\p{M}])|/)\\s*)';
+const WEEK = '(?:weeks?|wk|weekends?|semanas?|semaines?)';
+const DAY = '(?:days?|nights?|d|d[ií]as?|jours?)';
+const MONTH = '(?:months?|mo|mes(?:es)?|mois)';
+const PERIOD = `(${WEEK}|${DAY}|${MONTH})`;
+
+const EXERCISE_SESSIONS = new RegExp(`${NUMBER}\\s*(?:x|times?|sessions?|days?|veces|fois|jours?|d[ií]as?)?${PER}${PERIOD}`, 'iu');
+const EXERCISE_DAILY = /\b(?:daily|every\s*day|everyday)\b|todos los d[ií]as|diariamente|tous les jours|quotidien/iu;
+const EXERCISE_WEEKLY = /\bweekly\b|semanal|hebdomadaire/iu;
+const DURATION = new RegExp(`${NUMBER}\\s*(?:-\\s*\\d+\\s*)?(minutos?|minutes?|mins?|m|hours?|horas?|heures?|hrs?|h)(?![\\p{L}\\p{M}])(${PER}${PERIOD})?`, 'iu');
+
+const DRINKS = new RegExp(
+  `${NUMBER}\\s*(?:alcoholic\\s+)?(?:drinks?|glass(?:es)?|beers?|units?|pints?|cans?|shots?|bottles?|copas?|cervezas?|bebidas?|verres?|bi[eè]res?)` +
+  `(?:\\s+of\\s+\\w+)?${PER}?${PERIOD}?`,
+  'iu'
+);
+const DRINK_DAILY = /\b(?:daily|every\s*day|nightly|every\s*night)\b|todos los d[ií]as|tous les jours/iu;
+const QUIT_DRINKING = /\b(?:quit|stopped|used to|no longer|sober|teetotal)\b|ya no|\bplus\b/iu;
+
+const CIGARETTES = new RegExp(`(\\d+)\\s*(?:cigarettes?|cigs?|cigarrillos?)(?:${PER}${PERIOD})?`, 'iu');
+// A bare rate in a smoking answer ("10/day") counts cigarettes
+const CIGARETTE_RATE = new RegExp(`(\\d+)${PER}${PERIOD}`, 'iu');
+const PACKS = new RegExp(`${NUMBER}\\s*(?:an?\\s+)?(?:packs?|paquetes?|paquets?)(?:${PER}${PERIOD})?`, 'iu');
+const FORMER = /\b(?:quit|quitted|stopped|former|ex-?smoker|used to|no longer)\b|dej[ée]|ancien|arr[eê]t[ée]/iu;
+const NEVER = /\bnever\b|nunca|jamais/iu;
+const QUIT_YEAR = /(?:quit|stopped|since|in|en|dej[ée]|arr[eê]t[ée])\s*(?:in\s+|en\s+)?((?:19|20)\d{2})/iu;
+const QUIT_YEARS_AGO = /(\d+)\s*(?:years?|yrs?|años|ans)\s*ago|hace\s*(\d+)\s*años|il y a\s*(\d+)\s*ans/iu;
+const SMOKING_SINCE = /(?:since|from|started(?:\s+in)?|desde|depuis)\s*((?:19|20)\d{2})/iu;
+const SMOKING_YEARS = /(?:for\s*)?(\d+)\s*(?:years?|yrs?|años|ans)(?!\s*ago)/iu;
+
+const WEEKS_PER_PERIOD = { week: 1, day: 1 / 7, month: 52 / 12 };
+
+function toNumber(token) {
+  const lower = token.toLowerCase();
+  if (NUMBER_WORDS[lower] !== undefined) {
+    return NUMBER_WORDS[lower];
+  }
+  return parseFloat(lower.replace(',', '.'));
+}
+
+function periodOf(token) {
+  if (new RegExp(`^${WEEK}$`, 'iu').test(token)) {
+    return 'week';
+  }
+  if (new RegExp(`^${MONTH}$`, 'iu').test(token)) {
+    return 'month';
+  }
+  return 'day';
+}
+
+// How many times something happens per week, e.g. 3 per week or 2 per day
+function perWeek(count, period) {
+  return count / WEEKS_PER_PERIOD[periodOf(period)];
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(1));
+}
+
+// Minutes per week and sessions per week, mapped onto never|rarely|sometimes|often|daily
+export function parseExercise(text) {
+  let sessions = null;
+  const sessionMatch = text.match(EXERCISE_SESSIONS);
+  if (sessionMatch) {
+    sessions = perWeek(toNumber(sessionMatch[1]), sessionMatch[2]);
+  } else if (EXERCISE_DAILY.test(text)) {
+    sessions = 7;
+  } else if (EXERCISE_WEEKLY.test(text)) {
+    sessions = 1;
+  }
+
+  let minutes = null;
+  const durationMatch = text.match(DURATION);
+  if (durationMatch) {
+    const amount = toNumber(durationMatch[1]);
+    const duration = /^h/i.test(durationMatch[2]) ? amount * 60 : amount;
+    if (durationMatch[3]) {
+      // "150 minutes per week" is already a total
+      minutes = perWeek(duration, durationMatch[4]);
+    } else if (sessions !== null) {
+      minutes = duration * sessions;
+    }
+  }
+
+  if (sessions === null && minutes === null) {
+    return null;
+  }
+
+  let level;
+  if (sessions !== null) {
+    level = sessions >= 6 ? 'daily' : sessions >= 3 ? 'often' : sessions >= 1 ? 'sometimes' : sessions > 0 ? 'rarely' : 'never';
+  } else {
+    level = minutes >= 300 ? 'daily' : minutes >= 150 ? 'often' : minutes >= 60 ? 'sometimes' : minutes > 0 ? 'rarely' : 'never';
+  }
+
+  return {
+    value: level,
+    quantities: {
+      ...(minutes !== null && { exercise_minutes: Math.round(minutes) }),
+      ...(sessions !== null && { exercise_sessions: round(sessions) })
+    }
+  };
+}
+
+// Drinks per week, mapped onto no|sometimes|often
+export function parseAlcohol(text) {
+  if (QUIT_DRINKING.test(text) && !DRINKS.test(text)) {
+    return { value: 'no', quantities: { alcohol_drinks: 0 } };
+  }
+
+  const match = text.match(DRINKS);
+  if (!match) {
+    return null;
+  }
+  const count = toNumber(match[1]);
+  let drinks;
+  if (match[2]) {
+    drinks = perWeek(count, match[2]);
+  } else if (DRINK_DAILY.test(text)) {
+    drinks = count * 7;
+  } else {
+    return null;
+  }
+
+  drinks = round(drinks);
+  return {
+    value: drinks === 0 ? 'no' : drinks <= 7 ? 'sometimes' : 'often',
+    quantities: { alcohol_drinks: drinks }
+  };
+}
+
+// Current/former/never status, cigarettes per day and pack-years when the duration is known
+export function parseSmoking(text, { currentYear = new Date().getFullYear() } = {}) {
+  let perDay = null;
+  const cigarettes = text.match(CIGARETTES) || text.match(CIGARETTE_RATE);
+  const packs = text.match(PACKS);
+  if (cigarettes) {
+    perDay = parseInt(cigarettes[1]) / (cigarettes[2] ? 7 * WEEKS_PER_PERIOD[periodOf(cigarettes[2])] : 1);
+  } else if (packs) {
+    perDay = toNumber(packs[1]) * 20 / (packs[2] ? 7 * WEEKS_PER_PERIOD[periodOf(packs[2])] : 1);
+  }
+
+  let status = null;
+  if (FORMER.test(text)) {
+    status = 'former';
+  } else if (NEVER.test(text) && perDay === null) {
+    status = 'never';
+  } else if (perDay !== null) {
+    status = 'current';
+  }
+  if (status === null) {
+    return null;
+  }
+
+  let quitYear = null;
+  if (status === 'former') {
+    const yearMatch = text.match(QUIT_YEAR);
+    const agoMatch = text.match(QUIT_YEARS_AGO);
+    if (yearMatch) {
+      quitYear = parseInt(yearMatch[1]);
+    } else if (agoMatch) {
+      quitYear = currentYear - parseInt(agoMatch[1] || agoMatch[2] || agoMatch[3]);
+    }
+  }
+
+  let years = null;
+  const since = text.match(SMOKING_SINCE);
+  const duration = text.replace(QUIT_YEARS_AGO, '').match(SMOKING_YEARS);
+  if (since && (status === 'current' || quitYear)) {
+    years = (quitYear || currentYear) - parseInt(since[1]);
+  } else if (duration) {
+    years = parseInt(duration[1]);
+  }
+
+  const quantities = { smoking_status: status };
+  if (perDay !== null) {
+    quantities.cigarettes_per_day = round(perDay);
+  }
+  if (perDay !== null && years !== null && years >= 0) {
+    quantities.pack_years = round(perDay / 20 * years);
+  }
+  if (quitYear) {
+    quantities.quit_year = quitYear;
+  }
+
+  return { value: status === 'current', quantities };
+}
+
+// Structured fields each parser fills, so they can be cleared when their source answer changes
+export const QUANTITY_FIELDS = {
+  exercise: ['exercise_minutes', 'exercise_sessions'],
+  alcohol: ['alcohol_drinks'],
+  smoking: ['smoking_status', 'cigarettes_per_day', 'pack_years', 'quit_year']
+};
+
+export const QUANTITY_PARSERS = {
+  exercise: parseExercise,
+  alcohol: parseAlcohol,
+  smoking: parseSmoking
+};
@@ -1,13 +1,205 @@
+import Joi from 'joi';
 import { createLogger } from './utils/logger.js';
-import {GoogleGenAI} from '@google/genai';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { generateText, getLlmInfo, isLlmAvailable, streamText } from './llm/index.js';
+import { sanitizeForPrompt } from './sanitize.js';
 
 const logger = createLogger('recommendations');
-const ai = new GoogleGenAI({apiKey: process.env.GEMINI_API_KEY});
 
-async function generateRecommendations(riskLevel, factors) {
+// Attempts at a well-formed LLM reply before falling back to static recommendations;
+// later attempts tell the model what was wrong with the previous reply
+const RECOMMENDATION_MAX_ATTEMPTS = parseInt(process.env.RECOMMENDATION_MAX_ATTEMPTS) || 2;
+const MAX_RECOMMENDATIONS = 5;
+
+const CATEGORIES = ['diet', 'activity', 'substance', 'sleep', 'medical'];
+const PRIORITIES = ['high', 'medium', 'low'];
+const URGENCIES = ['urgent', 'soon', 'routine'];
+
+// Loose category names models tend to use instead of ours
+const CATEGORY_SYNONYMS = {
+  nutrition: 'diet', food: 'diet', eating: 'diet', weight: 'diet', hydration: 'diet',
+  exercise: 'activity', 'physical activity': 'activity', fitness: 'activity', movement: 'activity',
+  smoking: 'substance', alcohol: 'substance', tobacco: 'substance', substances: 'substance',
+  rest: 'sleep',
+  medication: 'medical', healthcare: 'medical', screening: 'medical', 'mental health': 'medical', stress: 'medical'
+};
+
+// Factors must be ones found in the profile; general advice targets none
+function itemSchema(factors) {
+  const factor = factors.length > 0 ? Joi.string().valid(...factors) : Joi.forbidden();
+  return Joi.object({
+    text: Joi.string().trim().min(3).max(300).required(),
+    category: Joi.string().valid(...CATEGORIES).required(),
+    priority: Joi.string().valid(...PRIORITIES).required(),
+    factors: Joi.array().items(factor).unique().required(),
+    urgency: Joi.string().valid(...URGENCIES).required()
+  });
+}
+
+function replySchema(factors) {
+  return Joi.object({
+    recommendations: Joi.array()
+      .items(itemSchema(factors))
+      .min(1)
+      .max(MAX_RECOMMENDATIONS)
+      .required()
+  });
+}
+
+// JSON schema handed to the provider for structured output
+function replyJsonSchema(factors) {
+  return {
+    type: 'object',
+    properties: {
+      recommendations: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_RECOMMENDATIONS,
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            category: { type: 'string', enum: CATEGORIES },
+            priority: { type: 'string', enum: PRIORITIES },
+            factors: { type: 'array', items: factors.length > 0 ? { type: 'string', enum: factors } : { type: 'string' } },
+            urgency: { type: 'string', enum: URGENCIES }
+          },
+          required: ['text', 'category', 'priority', 'factors', 'urgency'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['recommendations'],
+    additionalProperties: false
+  };
+}
+
+function rankOf(list, value) {
+  const index = list.indexOf(value);
+  return index === -1 ? list.length : index;
+}
+
+// Highest priority first, then most urgent; ties keep their order
+function sortRecommendations(recommendations) {
+  return [...recommendations].sort((a, b) => (
+    rankOf(PRIORITIES, a.priority) - rankOf(PRIORITIES, b.priority) ||
+    rankOf(URGENCIES, a.urgency) - rankOf(URGENCIES, b.urgency)
+  ));
+}
+
+// Pulls the JSON out of a reply that may carry a preamble or markdown fences
+function extractJson(reply) {
+  const start = reply.search(/[[{]/);
+  const end = Math.max(reply.lastIndexOf('}'), reply.lastIndexOf(']'));
+  if (start === -1 || end < start) {
+    throw new Error('Reply contains no JSON');
+  }
+  return JSON.parse(reply.slice(start, end + 1));
+}
+
+// Fixes the slips models commonly make (bare arrays, casing, synonyms, numeric priorities,
+// markdown in text, factors outside the profile) before the reply is validated
+function repairReply(parsed, factors) {
+  const items = Array.isArray(parsed) ? parsed : parsed?.recommendations;
+  if (!Array.isArray(items)) {
+    return parsed;
+  }
+  const knownFactors = new Map(factors.map(factor => [factor.toLowerCase(), factor]));
+  const lower = value => (typeof value === 'string' ? value.toLowerCase().trim() : value);
+
+  return {
+    recommendations: items.map(item => {
+      if (!item || typeof item !== 'object') {
+        return item;
+      }
+      const category = lower(item.category);
+      let priority = lower(item.priority);
+      if (typeof priority === 'number' || /^\d+$/.test(priority)) {
+        priority = Number(priority) <= 1 ? 'high' : Number(priority) === 2 ? 'medium' : 'low';
+      }
+      const targeted = [].concat(item.factors ?? item.factor ?? [])
+        .map(factor => knownFactors.get(lower(factor)))
+        .filter(Boolean);
+      return {
+        ...item,
+        text: typeof item.text === 'string'
+          ? item.text.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').replace(/[*_`#]+/g, '').trim()
+          : item.text,
+        category: CATEGORY_SYNONYMS[category] || category,
+        priority,
+        factors: [...new Set(targeted)],
+        urgency: lower(item.urgency) || 'routine'
+      };
+    })
+  };
+}
+
+// Returns a function fed with streamed reply text that calls onItem(item) for every
+// recommendation object completed so far, without waiting for the rest of the reply.
+// Objects are recognised as `{...}` directly inside an array; braces inside strings and any
+// preamble before the JSON starts are skipped.
+function createItemScanner(onItem) {
+  let buffer = '';
+  let position = 0;
+  let inString = false;
+  let escaped = false;
+  const open = [];
+
+  return delta => {
+    buffer += delta;
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+      } else if (char === '"') {
+        inString = open.length > 0;
+      } else if (char === '{' || char === '[') {
+        open.push({ char, start: position });
+      } else if (char === '}' || char === ']') {
+        const opened = open.pop();
+        if (char === '}' && opened && open.at(-1)?.char === '[') {
+          try {
+            onItem(JSON.parse(buffer.slice(opened.start, position + 1)));
+          } catch {
+            // Not valid JSON on its own; the full reply is still validated at the end
+          }
+        }
+      }
+    }
+  };
+}
+
+function buildPrompt(riskLevel, factors, previousError) {
+  const prompt = `You are a healthcare AI assistant. Based on the following health information, provide up to ${MAX_RECOMMENDATIONS} specific, actionable health recommendations.
+
+Risk Level: ${riskLevel}
+Health Factors: ${factors.length > 0 ? factors.map(sanitizeForPrompt).join(', ') : 'none'}
+
+Each recommendation must have:
+- text: one short, specific and actionable sentence, without markdown or numbering
+- category: one of ${CATEGORIES.join(', ')}
+- priority: one of ${PRIORITIES.join(', ')}
+- factors: the health factors above that it addresses (an empty list for general advice)
+- urgency: one of ${URGENCIES.join(', ')}
+
+Recommendations must be appropriate for the given risk level, tailored to the given health
+factors, professional and medically sound. Reply with JSON only, in the form
+{"recommendations": [{"text": "...", "category": "...", "priority": "...", "factors": [], "urgency": "..."}]}`;
+
+  return previousError
+    ? `${prompt}\n\nYour previous reply was rejected (${previousError}). Reply again with valid JSON only.`
+    : prompt;
+}
+
+// With `onRecommendation`, the reply is streamed and each well-formed item is passed to
+// onRecommendation(item, attempt) as soon as it is complete. Those items are provisional:
+// the returned result (validated, sorted, or the static fallback) is authoritative.
+async function generateRecommendations(riskLevel, factors, { onRecommendation } = {}) {
   logger.info('Starting AI recommendation generation', {
     riskLevel: riskLevel,
     factorsCount: factors.length,
@@ -15,61 +207,90 @@ async function generateRecommendations(riskLevel, factors) {
   });
 
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      logger.warn('GEMINI_API_KEY not found, falling back to static recommendations');
+    if (!isLlmAvailable()) {
+      logger.warn('LLM provider not configured, falling back to static recommendations', getLlmInfo());
       return generateStaticRecommendations(riskLevel, factors);
     }
     
-    const prompt = `You are a healthcare AI assistant. Based on the following health information, provide less than 5 specific, actionable health recommendations.
+    const schema = replySchema(factors);
+    let previousError = null;
 
-Risk Level: ${riskLevel}
-Health Factors: ${factors.join(', ')}
+    for (let attempt = 1; attempt <= RECOMMENDATION_MAX_ATTEMPTS; attempt++) {
+      const prompt = buildPrompt(riskLevel, factors, previousError);
+      logger.debug('Sending prompt to LLM', {
+        ...getLlmInfo(),
+        attempt: attempt,
+        promptLength: prompt.length,
+        riskLevel: riskLevel,
+        factorsCount: factors.length
+      });
 
-Please provide recommendations that are:
-1. Short, Specific and actionable
-2. Appropriate for the given risk level
-3. Tailored to the given health factors
-4. Professional and medically sound
-5. Formatted as a simple numbered list
+      const jsonSchema = replyJsonSchema(factors);
+      let streamed = 0;
+      const { text: reply, provider, model } = onRecommendation
+        ? await streamText(prompt, {
+          jsonSchema,
+          onDelta: createItemScanner(item => {
+            const { error, value } = itemSchema(factors).validate(
+              repairReply([item], factors).recommendations[0],
+              { stripUnknown: true }
+            );
+            if (!error && streamed < MAX_RECOMMENDATIONS) {
+              streamed++;
+              onRecommendation(value, attempt);
+            }
+          })
+        })
+        : await generateText(prompt, { jsonSchema });
+      logger.debug('Received AI response', {
+        attempt: attempt,
+        responseLength: reply.length
+      });
 
-Return only less than 5 recommendations, and nothing else.`;
+      let validated;
+      try {
+        const { error, value } = schema.validate(repairReply(extractJson(reply), factors), { stripUnknown: true });
+        if (error) {
+          throw error;
+        }
+        validated = value;
+      } catch (error) {
+        previousError = error.message;
+        logger.warn('Malformed AI recommendations', {
+          provider: provider,
+          model: model,
+          attempt: attempt,
+          error: error.message
+        });
+        continue;
+      }
 
-    logger.debug('Sending prompt to Gemini AI', {
-      promptLength: prompt.length,
-      riskLevel: riskLevel,
-      factorsCount: factors.length
-    });
-
-    const response = await ai.models.generateContent({
-    model: 'gemini-2.5-flash-lite',
-    contents: prompt,
-  });
-    const aiRecommendations = response.text;
-    
-    logger.debug('Received AI response', {
-      responseLength: aiRecommendations.length
-    });
+      // Kept in the model's order; the v2 body sorts them
+      const recommendations = validated.recommendations;
+      logger.info('AI recommendation generation completed', {
+        provider: provider,
+        model: model,
+        attempt: attempt,
+        riskLevel: riskLevel,
+        totalFactors: factors.length,
+        totalRecommendations: recommendations.length,
+        untargetedRecommendations: recommendations.filter(rec => rec.factors.length === 0).length
+      });
 
-    // Parse the AI response into an array
-    const recommendationsArray = aiRecommendations
-      .split('\n')
-      .map(line => line.replace(/^\d+\.\s*/, '').trim())
-      .filter(line => line.length > 0)
-      .slice(0, 5);
+      return {
+        risk_level: riskLevel,
+        factors,
+        recommendations,
+        source: 'llm',
+        llm: { provider, model }
+      };
+    }
 
-    logger.info('AI recommendation generation completed', {
-      riskLevel: riskLevel,
-      totalFactors: factors.length,
-      totalRecommendations: recommendationsArray.length,
-      recommendations: recommendationsArray
+    logger.error('No valid AI recommendations after all attempts, falling back to static', {
+      attempts: RECOMMENDATION_MAX_ATTEMPTS,
+      lastError: previousError
     });
-
-    return {
-      risk_level: riskLevel,
-      factors,
-      recommendations: recommendationsArray,
-      source: 'gemini-ai'
-    };
+    return generateStaticRecommendations(riskLevel, factors);
 
   } catch (error) {
     logger.error('Error generating AI recommendations, falling back to static', {
@@ -96,26 +317,30 @@ function generateStaticRecommendations(riskLevel, factors) {
 
   // Factor-specific recommendations
   const factorRecommendations = {
-    'smoking': 'Quit smoking with professional support',
-    'poor diet': 'Reduce sugar and increase vegetables',
-    'low exercise': 'Walk 30 minutes daily',
-    'obesity': 'Consult healthcare provider for weight management',
-    'overweight': 'Aim for gradual weight loss through diet and exercise',
-    'underweight': 'Increase calorie intake with nutrient-dense foods',
-    'advanced age': 'Regular health checkups and screenings',
-    'poor sleep': 'Maintain consistent sleep schedule (7-8 hours)',
-    'high fat intake': 'Choose lean proteins and healthy fats',
-    'alcohol consumption': 'Limit alcohol intake to recommended guidelines'
+    'smoking': { text: 'Quit smoking with professional support', category: 'substance', priority: 'high', urgency: 'soon' },
+    'former smoker': { text: 'Stay smoke-free and ask about lung health screening', category: 'substance', priority: 'low', urgency: 'routine' },
+    'poor diet': { text: 'Reduce sugar and increase vegetables', category: 'diet', priority: 'medium', urgency: 'routine' },
+    'low exercise': { text: 'Walk 30 minutes daily', category: 'activity', priority: 'medium', urgency: 'routine' },
+    'insufficient exercise': { text: 'Build up to 150 minutes of moderate activity per week', category: 'activity', priority: 'medium', urgency: 'routine' },
+    'obesity': { text: 'Consult healthcare provider for weight management', category: 'medical', priority: 'high', urgency: 'soon' },
+    'overweight': { text: 'Aim for gradual weight loss through diet and exercise', category: 'diet', priority: 'medium', urgency: 'routine' },
+    'underweight': { text: 'Increase calorie intake with nutrient-dense foods', category: 'diet', priority: 'medium', urgency: 'routine' },
+    'advanced age': { text: 'Regular health checkups and screenings', category: 'medical', priority: 'medium', urgency: 'routine' },
+    'poor sleep': { text: 'Maintain consistent sleep schedule (7-8 hours)', category: 'sleep', priority: 'medium', urgency: 'routine' },
+    'high fat intake': { text: 'Choose lean proteins and healthy fats', category: 'diet', priority: 'medium', urgency: 'routine' },
+    'alcohol consumption': { text: 'Limit alcohol intake to recommended guidelines', category: 'substance', priority: 'medium', urgency: 'routine' },
+    'heavy alcohol consumption': { text: 'Cut down on alcohol and ask a clinician about support', category: 'substance', priority: 'high', urgency: 'soon' }
   };
 
   // Add factor-specific recommendations
   logger.debug('Processing factor-specific recommendations');
   factors.forEach(factor => {
     if (factorRecommendations[factor]) {
-      recommendations.push(factorRecommendations[factor]);
+      const { text, category, priority, urgency } = factorRecommendations[factor];
+      recommendations.push({ text, category, priority, factors: [factor], urgency });
       logger.debug('Added factor-specific recommendation', {
         factor: factor,
-        recommendation: factorRecommendations[factor]
+        recommendation: factorRecommendations[factor].text
       });
     } else {
       logger.warn('No recommendation found for factor', { factor: factor });
@@ -130,11 +355,17 @@ function generateStaticRecommendations(riskLevel, factors) {
   logger.debug('Adding risk-level specific recommendations', { riskLevel: riskLevel });
   
   if (riskLevel === 'high') {
-    if (!recommendations.some(rec => rec.includes('healthcare'))) {
-      const healthcareRec = 'Consult healthcare provider for comprehensive assessment';
+    if (!recommendations.some(rec => rec.text.includes('healthcare'))) {
+      const healthcareRec = {
+        text: 'Consult healthcare provider for comprehensive assessment',
+        category: 'medical',
+        priority: 'high',
+        factors: [],
+        urgency: 'soon'
+      };
       recommendations.push(healthcareRec);
       logger.debug('Added high-risk healthcare recommendation', {
-        recommendation: healthcareRec
+        recommendation: healthcareRec.text
       });
     } else {
       logger.debug('Healthcare recommendation already present, skipping duplicate');
@@ -142,12 +373,18 @@ function generateStaticRecommendations(riskLevel, factors) {
   }
 
   if (riskLevel === 'medium' || riskLevel === 'high') {
-    if (!recommendations.some(rec => rec.includes('stress'))) {
-      const stressRec = 'Practice stress management techniques';
+    if (!recommendations.some(rec => rec.text.includes('stress'))) {
+      const stressRec = {
+        text: 'Practice stress management techniques',
+        category: 'medical',
+        priority: 'low',
+        factors: [],
+        urgency: 'routine'
+      };
       recommendations.push(stressRec);
       logger.debug('Added stress management recommendation', {
         riskLevel: riskLevel,
-        recommendation: stressRec
+        recommendation: stressRec.text
       });
     } else {
       logger.debug('Stress management recommendation already present, skipping duplicate');
@@ -161,35 +398,44 @@ function generateStaticRecommendations(riskLevel, factors) {
   });
   
   if (recommendations.length < 3) {
-    const hydrationRec = 'Stay hydrated with 8 glasses of water daily';
+    const hydrationRec = {
+      text: 'Stay hydrated with 8 glasses of water daily',
+      category: 'diet',
+      priority: 'low',
+      factors: [],
+      urgency: 'routine'
+    };
     recommendations.push(hydrationRec);
     logger.debug('Added hydration recommendation due to low count', {
-      recommendation: hydrationRec,
+      recommendation: hydrationRec.text,
       newCount: recommendations.length
     });
   } else {
     logger.debug('Sufficient recommendations available, no hydration recommendation needed');
   }
 
-  const finalRecommendations = recommendations.slice(0, 5);
+  // Every candidate, factor-specific first; each API version picks its five when formatting
   const result = {
     risk_level: riskLevel,
     factors,
-    recommendations: finalRecommendations,
-    source: 'static'
+    recommendations,
+    source: 'static',
+    llm: null
   };
 
   logger.info('Recommendation generation completed', {
     riskLevel: result.risk_level,
     totalFactors: result.factors.length,
     totalRecommendations: result.recommendations.length,
-    finalRecommendations: result.recommendations,
-    truncated: recommendations.length > 5
+    finalRecommendations: result.recommendations.map(rec => rec.text)
   });
 
   return result;
 }
 
 export {
-  generateRecommendations
+  MAX_RECOMMENDATIONS,
+  generateRecommendations,
+  generateStaticRecommendations,
+  sortRecommendations
 };
\ No newline at end of file
@@ -1,10 +1,16 @@
 // src/risk.js
+import { getFactorWeight } from './fields/index.js';
+import { getRiskModel } from './riskModels.js';
 import { createLogger } from './utils/logger.js';
 
 const logger = createLogger('risk');
 
-function calculateRisk(factors, answers) {
+// Scores factors with a risk model (weights, age adjustment, bounds and level
+// thresholds); the default model is used when none is passed
+function calculateRisk(factors, answers, model = getRiskModel()) {
   logger.info('Starting risk calculation', {
+    modelId: model.id,
+    modelVersion: model.version,
     factorsCount: factors.length,
     factors: factors,
     hasAgeData: !!answers.age,
@@ -12,53 +18,76 @@ function calculateRisk(factors, answers) {
   });
 
   let score = 0;
-  const rationale = [];
-
-  // Risk scoring weights
-  const riskWeights = {
-    'smoking': 25,
-    'poor diet': 15,
-    'low exercise': 15,
-    'obesity': 20,
-    'overweight': 10,
-    'underweight': 12,
-    'advanced age': 15,
-    'poor sleep': 10,
-    'high fat intake': 12,
-    'alcohol consumption': 8
-  };
+  const contributions = [];
 
   // Calculate base score from factors
   logger.debug('Calculating base score from risk factors');
   factors.forEach(factor => {
-    const weight = riskWeights[factor] || 5;
+    const { weight, source } = resolveWeight(factor, model);
     score += weight;
-    rationale.push(factor);
+    contributions.push({ factor, weight, source });
     logger.debug('Applied risk factor to score', {
       factor: factor,
       weight: weight,
+      weightSource: source,
+      runningScore: score
+    });
+  });
+  const factorPoints = score;
+
+  // Graded quantities, e.g. pack-years of smoking
+  const quantityAdjustments = [];
+  model.quantity_adjustments.forEach(rule => {
+    const value = answers[rule.answer];
+    if (typeof value !== 'number') {
+      return;
+    }
+    let points = value * rule.points_per_unit;
+    if (rule.max_points !== undefined) {
+      points = Math.min(points, rule.max_points);
+    }
+    points = parseFloat(points.toFixed(2));
+    score += points;
+    quantityAdjustments.push({ answer: rule.answer, value, points });
+    logger.debug('Applied quantity adjustment to score', {
+      answer: rule.answer,
+      value: value,
+      points: points,
       runningScore: score
     });
   });
 
+  // Largest contribution first; ties keep extraction order
+  contributions.sort((a, b) => b.weight - a.weight);
+  const rationale = contributions.map(entry => entry.factor);
+
   logger.debug('Base score calculation completed', {
     baseScore: score,
     factorsApplied: factors.length
   });
 
   // Age adjustment
-  if (answers.age) {
+  const ageAdjustment = model.age_adjustment;
+  let agePoints = 0;
+  if (!ageAdjustment) {
+    logger.debug('Risk model has no age adjustment', { modelId: model.id });
+  } else if (answers.age) {
     logger.debug('Applying age adjustment to risk score', { age: answers.age });
-    if (answers.age > 50) {
-      const ageBonus = Math.floor((answers.age - 50) / 5) * 2;
+    if (answers.age > ageAdjustment.start_age) {
+      const steps = Math.floor((answers.age - ageAdjustment.start_age) / ageAdjustment.step_years);
+      const ageBonus = steps * ageAdjustment.points_per_step;
       score += ageBonus;
+      agePoints = ageBonus;
       logger.info('Age adjustment applied', {
         age: answers.age,
         ageBonus: ageBonus,
         scoreAfterAgeAdjustment: score
       });
     } else {
-      logger.debug('No age adjustment needed - age under 50', { age: answers.age });
+      logger.debug('No age adjustment needed - age below model threshold', {
+        age: answers.age,
+        startAge: ageAdjustment.start_age
+      });
     }
   } else {
     logger.debug('Age data not available for age adjustment');
@@ -66,13 +95,13 @@ function calculateRisk(factors, answers) {
 
   // Ensure score is within bounds
   const originalScore = score;
-  score = Math.min(100, Math.max(0, score));
+  score = Math.min(model.score_range.max, Math.max(model.score_range.min, score));
   
   if (originalScore !== score) {
     logger.debug('Risk score clamped to bounds', {
       originalScore: originalScore,
       clampedScore: score,
-      reason: originalScore > 100 ? 'exceeded maximum' : 'below minimum'
+      reason: originalScore > model.score_range.max ? 'exceeded maximum' : 'below minimum'
     });
   } else {
     logger.debug('Risk score within valid bounds', { finalScore: score });
@@ -80,28 +109,42 @@ function calculateRisk(factors, answers) {
 
   // Determine risk level
   logger.info('Determining risk level from score', { score: score });
-  let riskLevel;
-  if (score <= 30) {
-    riskLevel = 'low';
-  } else if (score <= 60) {
-    riskLevel = 'medium';
-  } else {
-    riskLevel = 'high';
-  }
+  // Levels are ordered by max_score; the last one has no upper bound
+  const levelIndex = model.levels.findIndex(entry => entry.max_score === undefined || score <= entry.max_score);
+  const level = model.levels[levelIndex];
+  const riskLevel = level.level;
 
   logger.debug('Risk level determined', {
     score: score,
     riskLevel: riskLevel,
-    threshold: score <= 30 ? '≤30 (low)' : score <= 60 ? '31-60 (medium)' : '>60 (high)'
+    threshold: level.max_score === undefined ? 'above all bounded levels' : `≤${level.max_score}`
   });
 
   const result = {
     risk_level: riskLevel,
     score,
-    rationale: rationale.slice(0, 3) // Limit to top 3 factors
+    rationale: rationale.slice(0, 3), // Limit to top 3 factors
+    score_breakdown: {
+      factors: contributions,
+      factor_points: factorPoints,
+      quantity_adjustments: quantityAdjustments,
+      age_adjustment: describeAgeAdjustment(ageAdjustment, answers.age, agePoints),
+      raw_score: originalScore,
+      clamping: originalScore === score ? null : {
+        from: originalScore,
+        to: score,
+        bound: originalScore > model.score_range.max ? 'max' : 'min'
+      },
+      score: score,
+      band: describeBand(model, levelIndex, score)
+    },
+    model_id: model.id,
+    model_version: model.version
   };
 
   logger.info('Risk calculation completed', {
+    modelId: model.id,
+    modelVersion: model.version,
     finalRiskLevel: result.risk_level,
     finalScore: result.score,
     topFactors: result.rationale,
@@ -111,6 +154,54 @@ function calculateRisk(factors, answers) {
   return result;
 }
 
+// Weight for a factor and where it came from: the model, the field definition, or the model default
+function resolveWeight(factor, model) {
+  if (model.weights[factor] !== undefined) {
+    return { weight: model.weights[factor], source: 'model' };
+  }
+  // Fields registered from config may declare weights for their own factors
+  const fieldWeight = getFactorWeight(factor);
+  if (fieldWeight !== null) {
+    return { weight: fieldWeight, source: 'field' };
+  }
+  return { weight: model.default_weight, source: 'default' };
+}
+
+function describeAgeAdjustment(ageAdjustment, age, points) {
+  if (!ageAdjustment) {
+    return null;
+  }
+  return {
+    age: age ?? null,
+    start_age: ageAdjustment.start_age,
+    step_years: ageAdjustment.step_years,
+    points_per_step: ageAdjustment.points_per_step,
+    points: points
+  };
+}
+
+// The level band the score landed in and the distance to the next one up.
+// A band covers scores above the previous band's max_score up to its own max_score.
+function describeBand(model, levelIndex, score) {
+  const level = model.levels[levelIndex];
+  const previous = model.levels[levelIndex - 1];
+  const next = model.levels[levelIndex + 1];
+
+  return {
+    level: level.level,
+    above: previous ? previous.max_score : null,
+    max_score: level.max_score ?? null,
+    next_level: next ? {
+      level: next.level,
+      // Any score above this crosses into the next band
+      threshold: level.max_score,
+      // Points the score can still gain and stay in this band; scores can be fractional, so
+      // this is not "points needed": at 0 any further points move the score up
+      headroom: parseFloat((level.max_score - score).toFixed(2))
+    } : null
+  };
+}
+
 export {
   calculateRisk
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Joi from 'joi';
+import YAML from 'yaml';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('riskModels');
+
+const RISK_MODELS_DIR = process.env.RISK_MODELS_DIR
+  ? path.resolve(process.env.RISK_MODELS_DIR)
+  : fileURLToPath(new URL('../models', import.meta.url));
+const DEFAULT_RISK_MODEL = process.env.RISK_MODEL || 'default';
+
+const MODEL_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// id -> versions of that model, newest first
+const models = new Map();
+
+const levelSchema = Joi.object({
+  level: Joi.string().min(1).required(),
+  max_score: Joi.number()
+});
+
+const modelSchema = Joi.object({
+  id: Joi.string().pattern(/^[a-z0-9][a-z0-9_-]*$/).required(),
+  version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required(),
+  description: Joi.string().allow(''),
+  weights: Joi.object().pattern(Joi.string(), Joi.number().min(0)).required(),
+  default_weight: Joi.number().min(0).default(5),
+  age_adjustment: Joi.object({
+    start_age: Joi.number().integer().min(0).required(),
+    step_years: Joi.number().integer().min(1).required(),
+    points_per_step: Joi.number().min(0).required()
+  }).allow(null).default(null),
+  // Points proportional to a numeric answer, e.g. 0.5 per pack-year capped at 15
+  quantity_adjustments: Joi.array().items(Joi.object({
+    answer: Joi.string().required(),
+    points_per_unit: Joi.number().required(),
+    max_points: Joi.number().min(0)
+  })).default([]),
+  score_range: Joi.object({
+    min: Joi.number().required(),
+    max: Joi.number().greater(Joi.ref('min')).required()
+  }).default({ min: 0, max: 100 }),
+  levels: Joi.array().items(levelSchema).min(1).required()
+});
+
+// Levels must climb in score and end with an open-ended level that catches the rest
+function checkLevels(model) {
+  const { levels } = model;
+  levels.forEach((entry, index) => {
+    const last = index === levels.length - 1;
+    if (last && entry.max_score !== undefined) {
+      throw new Error(`last level "${entry.level}" must not set max_score`);
+    }
+    if (!last && entry.max_score === undefined) {
+      throw new Error(`level "${entry.level}" must set max_score`);
+    }
+    if (index > 0 && !last && entry.max_score <= levels[index - 1].max_score) {
+      throw new Error(`level "${entry.level}" max_score must be greater than the previous level's`);
+    }
+  });
+}
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let index = 0; index < 3; index++) {
+    if (left[index] !== right[index]) {
+      return left[index] - right[index];
+    }
+  }
+  return 0;
+}
+
+function parseModelFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath) === '.json' ? JSON.parse(content) : YAML.parse(content);
+}
+
+function registerModel(definition, source = 'code') {
+  const { error, value } = modelSchema.validate(definition);
+  if (error) {
+    throw new Error(`Invalid risk model${definition?.id ? ` "${definition.id}"` : ''} (${source}): ${error.message}`);
+  }
+  try {
+    checkLevels(value);
+  } catch (levelError) {
+    throw new Error(`Invalid risk model "${value.id}" (${source}): ${levelError.message}`);
+  }
+
+  const versions = models.get(value.id) || [];
+  if (versions.some(model => model.version === value.version)) {
+    throw new Error(`Duplicate risk model ${value.id}@${value.version} (${source})`);
+  }
+
+  const model = { ...value, source };
+  versions.push(model);
+  versions.sort((a, b) => compareVersions(b.version, a.version));
+  models.set(value.id, versions);
+
+  logger.debug('Registered risk model', {
+    modelId: model.id,
+    modelVersion: model.version,
+    source: source
+  });
+  return model;
+}
+
+function loadRiskModels(directory = RISK_MODELS_DIR) {
+  const files = fs.readdirSync(directory)
+    .filter(file => MODEL_EXTENSIONS.includes(path.extname(file)))
+    .sort();
+
+  files.forEach(file => registerModel(parseModelFile(path.join(directory, file)), file));
+
+  if (!models.has(DEFAULT_RISK_MODEL)) {
+    throw new Error(`Default risk model "${DEFAULT_RISK_MODEL}" not found in ${directory}`);
+  }
+
+  logger.info('Risk models loaded', {
+    directory: directory,
+    models: listRiskModels().map(model => `${model.id}@${model.version}`),
+    defaultModel: DEFAULT_RISK_MODEL
+  });
+}
+
+// Resolves "id" (newest version) or "id@version"; no selector means the default model.
+// Returns null when nothing matches.
+function getRiskModel(selector) {
+  const [id, version] = String(selector || DEFAULT_RISK_MODEL).split('@');
+  const versions = models.get(id);
+  if (!versions) {
+    return null;
+  }
+  if (!version) {
+    return versions[0];
+  }
+  return versions.find(model => model.version === version) || null;
+}
+
+function listRiskModels() {
+  return [...models.values()].flat().map(model => ({
+    id: model.id,
+    version: model.version,
+    description: model.description || null,
+    default: model.id === DEFAULT_RISK_MODEL && model === models.get(model.id)[0]
+  }));
+}
+
+try {
+  loadRiskModels();
+} catch (error) {
+  logger.error('Failed to load risk models', {
+    directory: RISK_MODELS_DIR,
+    error: error.message
+  });
+  throw error;
+}
+
+export {
+  DEFAULT_RISK_MODEL,
+  getRiskModel,
+  listRiskModels,
+  registerModel
+};
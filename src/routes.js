@@ -1,43 +1,77 @@
 import express from 'express';
+import { AsyncResource } from 'async_hooks';
 import multer, { MulterError } from 'multer';
-import { processHealthProfile } from './ocr.js';
-import { validateInput } from './guardrails.js';
-import { extractFactors } from './factors.js';
-import { calculateRisk } from './risk.js';
-import { generateRecommendations } from './recommendations.js';
+import { processHealthProfile, normalizeAnswers } from './ocr.js';
+import { analyzeProfile, resolveTextInput } from './pipeline.js';
+import { formatAnalysis, formatRecommendations, formatValidationFailure } from './analysisResponse.js';
+import { submitJob, isQueueFull, getJob, describeJob } from './jobs.js';
+import { openEventStream } from './sse.js';
+import { requireScope, requireScopeForUploads } from './auth.js';
+import { isSupportedUpload } from './documents.js';
+import { isSupportedLanguage, isOcrLanguageInstalled, getSupportedLanguages } from './languages.js';
+import { getRiskModel, listRiskModels } from './riskModels.js';
+import { validateAnswers } from './guardrails.js';
+import { simulateScenarios } from './simulation.js';
+import {
+  isValidSubjectId,
+  listAssessments,
+  getAssessment,
+  summarizeAssessment,
+  compareAssessments,
+  computeTrend
+} from './history.js';
 import { createLogger } from './utils/logger.js';
 
 const logger = createLogger('routes');
 
 const router = express.Router();
 
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 20;
+const SIMULATION_MAX_SCENARIOS = parseInt(process.env.SIMULATION_MAX_SCENARIOS) || 20;
+// Suggested wait before resubmitting when the job queue is full
+const JOB_RETRY_AFTER_SECONDS = 30;
+
+const uploadFileFilter = (req, file, cb) => {
+  logger.debug('Validating uploaded file', {
+    filename: file.originalname,
+    mimetype: file.mimetype,
+    size: file.size
+  });
+  
+  if (isSupportedUpload(file.mimetype)) {
+    logger.info('File validation passed - image/document type accepted');
+    cb(null, true);
+  } else {
+    logger.warn('File validation failed - invalid file type', {
+      mimetype: file.mimetype,
+      filename: file.originalname
+    });
+    cb(new Error(`Invalid file type: ${file.mimetype}. Only image and PDF files are allowed.`), false);
+  }
+};
+
+// multer calls back from the body stream's events, outside the request's async context, so each
+// route binds its callback with AsyncResource.bind to keep the request id and client in the logs
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: { 
     fileSize: 10 * 1024 * 1024, // 10MB limit
     files: 1 // Only allow 1 file
   },
-  fileFilter: (req, file, cb) => {
-    logger.debug('Validating uploaded file', {
-      filename: file.originalname,
-      mimetype: file.mimetype,
-      size: file.size
-    });
-    
-    if (file.mimetype.startsWith('image/')) {
-      logger.info('File validation passed - image type accepted');
-      cb(null, true);
-    } else {
-      logger.warn('File validation failed - invalid file type', {
-        mimetype: file.mimetype,
-        filename: file.originalname
-      });
-      cb(new Error(`Invalid file type: ${file.mimetype}. Only image files are allowed.`), false);
-    }
-  }
+  fileFilter: uploadFileFilter
+});
+
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit per file
+    files: BATCH_MAX_FILES
+  },
+  fileFilter: uploadFileFilter
 });
 
-const handleMulterError = (error, req, res, next) => {
+const handleMulterError = (error, req, res, next, { maxFiles = 1, fieldName = 'image' } = {}) => {
   if (error instanceof multer.MulterError) {
     logger.error('Multer validation error', {
       code: error.code,
@@ -53,10 +87,12 @@ const handleMulterError = (error, req, res, next) => {
         message = 'File size too large. Maximum allowed size is 10MB.';
         break;
       case 'LIMIT_FILE_COUNT':
-        message = 'Too many files uploaded. Only 1 file is allowed.';
+        message = maxFiles === 1
+          ? 'Too many files uploaded. Only 1 file is allowed.'
+          : `Too many files uploaded. Maximum allowed is ${maxFiles}.`;
         break;
       case 'LIMIT_UNEXPECTED_FILE':
-        message = 'Unexpected file field. Please use "image" field name.';
+        message = `Unexpected file field. Please use "${fieldName}" field name.`;
         break;
       default:
         message = `Upload error: ${error.message}`;
@@ -81,33 +117,96 @@ const handleMulterError = (error, req, res, next) => {
   next(error);
 };
 
+// Rejects unknown survey languages; runs after multer so multipart fields are available
+const validateLanguage = (req, res, next) => {
+  const { language } = req.body || {};
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    logger.warn('Unsupported language requested', { language: language });
+    return res.status(400).json({
+      status: 'error',
+      type: 'unsupported_language',
+      message: `Unsupported language: ${language}`,
+      supported: ['auto', ...getSupportedLanguages().map(entry => entry.code)]
+    });
+  }
+
+  const hasUploads = !!req.file || (req.files || []).length > 0;
+  if (hasUploads && language !== undefined && !isOcrLanguageInstalled(language)) {
+    logger.warn('OCR traineddata not installed for requested language', { language: language });
+    return res.status(400).json({
+      status: 'error',
+      type: 'ocr_language_unavailable',
+      message: `OCR is not available for language: ${language}`
+    });
+  }
+  next();
+};
+
+// Rejects unknown risk model selectors ("id" or "id@version") before any work is done
+const validateRiskModel = (req, res, next) => {
+  const { model } = req.body || {};
+  if (model !== undefined && !getRiskModel(model)) {
+    logger.warn('Unknown risk model requested', { model: model });
+    return res.status(400).json({
+      status: 'error',
+      type: 'unknown_risk_model',
+      message: `Unknown risk model: ${model}`,
+      available: listRiskModels().map(entry => `${entry.id}@${entry.version}`)
+    });
+  }
+  next();
+};
+
+function invalidSubjectResponse(subjectId) {
+  return {
+    status: 'error',
+    type: 'invalid_subject_id',
+    message: `Invalid subject id: ${subjectId}. Use 1-64 letters, digits, "_" or "-".`
+  };
+}
+
+// Checks the optional subject_id that links an analysis to a subject's history
+const validateSubjectId = (req, res, next) => {
+  const subjectId = req.body?.subject_id;
+  if (subjectId !== undefined && !isValidSubjectId(subjectId)) {
+    logger.warn('Invalid subject id', { subjectId: subjectId });
+    return res.status(400).json(invalidSubjectResponse(subjectId));
+  }
+  next();
+};
+
 // Main endpoint for health risk analysis
-router.post('/analyze', (req, res, next) => {
-  upload.single('image')(req, res, (err) => {
+router.post('/analyze', requireScope('analyze'), (req, res, next) => {
+  upload.single('image')(req, res, AsyncResource.bind((err) => {
     if (err) {
       return handleMulterError(err, req, res, next);
     }
     next();
-  });
-}, async (req, res) => {
+  }));
+}, requireScopeForUploads, validateLanguage, validateRiskModel, validateSubjectId, async (req, res) => {
   try {
     logger.info('Starting health risk analysis', {
       hasFile: !!req.file,
       hasTextData: !!(req.body.text || req.body.data)
     });
     
-    let parsedData;
+    let outcome;
     
-    // Step 1: OCR/Text Parsing
     if (req.file) {
-      parsedData = await processHealthProfile(req.file.buffer, 'image');
+      outcome = await analyzeProfile(req.file.buffer, 'image', {
+        language: req.body.language,
+        mimetype: req.file.mimetype,
+        preprocess: req.body.preprocess,
+        model: req.body.model,
+        subjectId: req.body.subject_id
+      });
     } else if (req.body.text || req.body.data) {
       // Handle text input with better error handling
       logger.info('Processing text input');
       let textInput;
       
       try {
-        textInput = req.body.text || JSON.stringify(req.body.data);
+        textInput = resolveTextInput(req.body);
       } catch (jsonError) {
         logger.warn('Failed to process input data', { 
           error: jsonError.message,
@@ -121,54 +220,25 @@ router.post('/analyze', (req, res, next) => {
         });
       }
       
-      parsedData = await processHealthProfile(textInput, 'text');
+      outcome = await analyzeProfile(textInput, 'text', {
+        language: req.body.language,
+        model: req.body.model,
+        subjectId: req.body.subject_id
+      });
     } else {
       logger.warn('No input data provided');
       return res.status(400).json({
         status: 'error',
+        type: 'missing_input',
         message: 'Please provide either text data or an image file'
       });
     }
 
-    // Step 2 validation
-    const validation = validateInput(parsedData);
-    if (!validation.isValid) {
-      logger.error('Input validation failed', { 
-        errors: validation.response 
-      });
-      return res.status(400).json(validation.response);
-    }
-
-    // Step 3: Factor Extraction
-    const factorData = extractFactors(parsedData.answers);
-
-    // Step 4: Risk Classification
-    const riskData = calculateRisk(factorData.factors, parsedData.answers);
-
-    // Step 5: Recommendations
-    logger.info('Generating AI-powered recommendations', { 
-      riskLevel: riskData.risk_level,
-      factorsCount: factorData.factors.length 
-    });
-    const recommendations = await generateRecommendations(
-      riskData.risk_level, 
-      factorData.factors, 
-      parsedData.answers
-    );    // Combine all results
-    const result = {
-      ...parsedData,
-      ...factorData,
-      ...riskData,
-      ...recommendations,
-      status: 'ok'
-    };
-
-    logger.info('Health analysis completed successfully', {
-      riskLevel: result.risk_level,
-      factorsCount: result.factors?.length || 0
-    });
+    if (!outcome.ok) {
+      return res.status(400).json(formatAnalysis(outcome, req.apiVersion));
+    }
 
-    res.json(result);
+    res.json(formatAnalysis(outcome, req.apiVersion));
 
   } catch (error) {
     logger.error('Analysis error occurred', {
@@ -179,20 +249,641 @@ router.post('/analyze', (req, res, next) => {
     });
     res.status(500).json({
       status: 'error',
+      type: 'analysis_failed',
       message: error.message || 'Failed to analyze health profile'
     });
   }
 });
 
-// Separate OCR endpoint for testing
-router.post('/ocr', (req, res, next) => {
-  upload.single('image')(req, res, (err) => {
+// Streaming variant of /analyze: the same input, answered as Server-Sent Events.
+// Request errors are plain JSON like /analyze; once the stream is open every outcome,
+// including failures, arrives as a terminal `result` or `error` event.
+router.post('/analyze/stream', requireScope('analyze'), (req, res, next) => {
+  upload.single('image')(req, res, AsyncResource.bind((err) => {
     if (err) {
       return handleMulterError(err, req, res, next);
     }
     next();
+  }));
+}, requireScopeForUploads, validateLanguage, validateRiskModel, validateSubjectId, async (req, res) => {
+  let input;
+  let type;
+
+  if (req.file) {
+    input = req.file.buffer;
+    type = 'image';
+  } else if (req.body.text || req.body.data) {
+    try {
+      input = resolveTextInput(req.body);
+      type = 'text';
+    } catch (jsonError) {
+      logger.warn('Failed to process input data for stream', { error: jsonError.message });
+      return res.status(400).json({
+        status: 'error',
+        type: 'invalid_input',
+        message: 'Invalid input data format. Unable to process the provided data.'
+      });
+    }
+  } else {
+    logger.warn('No input data provided for stream');
+    return res.status(400).json({
+      status: 'error',
+      type: 'missing_input',
+      message: 'Please provide either text data or an image file'
+    });
+  }
+
+  logger.info('Starting streamed health risk analysis', { type: type });
+  const stream = openEventStream(res);
+  let currentStage = 'start';
+
+  try {
+    const outcome = await analyzeProfile(input, type, {
+      language: req.body.language,
+      mimetype: req.file?.mimetype,
+      preprocess: req.body.preprocess,
+      model: req.body.model,
+      subjectId: req.body.subject_id,
+      onStage: stage => {
+        currentStage = stage;
+        stream.send('stage', { stage });
+      },
+      onProgress: percent => stream.send('ocr_progress', { progress: percent }),
+      onPartial: (name, data) => stream.send(name, name === 'recommendations' ? formatRecommendations(data, req.apiVersion) : data),
+      onRecommendation: (item, attempt) => stream.send('recommendation', {
+        ...(req.apiVersion === 'v2' ? item : { text: item.text }),
+        attempt,
+        provisional: true
+      })
+    });
+
+    if (!outcome.ok) {
+      return stream.end('error', {
+        status: 'error',
+        type: outcome.response.status,
+        stage: currentStage,
+        message: outcome.response.reason,
+        details: formatAnalysis(outcome, req.apiVersion)
+      });
+    }
+    // Events bypass the JSON envelope, so the v2 result carries its request id itself
+    stream.end('result', formatAnalysis(outcome, req.apiVersion, { request_id: req.id }));
+
+  } catch (error) {
+    logger.error('Streamed analysis error occurred', {
+      error: error.message,
+      stack: error.stack,
+      stage: currentStage
+    });
+    stream.end('error', {
+      status: 'error',
+      type: 'analysis_failed',
+      stage: currentStage,
+      message: error.message || 'Failed to analyze health profile'
+    });
+  }
+});
+
+// Normalizes JSON profiles and uploaded images into a flat list of batch items
+function collectBatchItems(req) {
+  let profiles = req.body.profiles || [];
+
+  // Multipart requests carry profiles as a JSON string field
+  if (typeof profiles === 'string') {
+    profiles = JSON.parse(profiles);
+  }
+  if (!Array.isArray(profiles)) {
+    throw new Error('"profiles" must be an array');
+  }
+
+  const items = profiles.map((profile, index) => ({
+    index,
+    input_type: 'profile',
+    language: req.body.language,
+    model: req.body.model,
+    profile
+  }));
+
+  (req.files || []).forEach(file => {
+    items.push({
+      index: items.length,
+      input_type: 'image',
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      language: req.body.language,
+      preprocess: req.body.preprocess,
+      model: req.body.model,
+      buffer: file.buffer
+    });
+  });
+
+  return items;
+}
+
+async function analyzeBatchItem(item) {
+  if (item.input_type === 'image') {
+    return analyzeProfile(item.buffer, 'image', {
+      language: item.language,
+      mimetype: item.mimetype,
+      preprocess: item.preprocess,
+      model: item.model
+    });
+  }
+
+  const { profile } = item;
+  let textInput;
+  if (typeof profile === 'string') {
+    textInput = profile;
+  } else if (profile && typeof profile === 'object') {
+    // Accept { text }, { data } or a bare answers object
+    textInput = resolveTextInput(profile) || JSON.stringify(profile);
+  }
+
+  if (!textInput) {
+    return {
+      ok: false,
+      response: {
+        status: 'error',
+        type: 'invalid_input',
+        message: 'Profile must be a text string or an object'
+      }
+    };
+  }
+
+  // Wrapped profiles ({ text, language }) may override the batch language
+  const wrapped = profile && typeof profile === 'object' && (profile.text || profile.data);
+  const language = wrapped && profile.language !== undefined ? profile.language : item.language;
+  if (language !== undefined && !isSupportedLanguage(language)) {
+    return {
+      ok: false,
+      response: {
+        status: 'error',
+        type: 'unsupported_language',
+        message: `Unsupported language: ${language}`
+      }
+    };
+  }
+
+  // Wrapped profiles may also name the subject whose history they belong to
+  const subjectId = wrapped ? profile.subject_id : undefined;
+  if (subjectId !== undefined && !isValidSubjectId(subjectId)) {
+    return { ok: false, response: invalidSubjectResponse(subjectId) };
+  }
+
+  return analyzeProfile(textInput, 'text', { language, model: item.model, subjectId });
+}
+
+function summarizeBatch(results) {
+  const summary = {
+    total: results.length,
+    succeeded: 0,
+    failed: 0,
+    risk_levels: { low: 0, medium: 0, high: 0 },
+    failed_items: []
+  };
+
+  results.forEach(result => {
+    if (result.status === 'ok') {
+      summary.succeeded++;
+      summary.risk_levels[result.risk_level] = (summary.risk_levels[result.risk_level] || 0) + 1;
+    } else {
+      summary.failed++;
+      summary.failed_items.push({
+        index: result.index,
+        input_type: result.input_type,
+        status: result.status,
+        reason: result.reason || result.message
+      });
+    }
   });
-}, async (req, res) => {
+
+  return summary;
+}
+
+// Batch endpoint: analyzes many JSON profiles and/or images in one request
+router.post('/analyze/batch', requireScope('analyze'), (req, res, next) => {
+  batchUpload.array('images', BATCH_MAX_FILES)(req, res, AsyncResource.bind((err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next, { maxFiles: BATCH_MAX_FILES, fieldName: 'images' });
+    }
+    next();
+  }));
+}, requireScopeForUploads, validateLanguage, validateRiskModel, async (req, res) => {
+  let items;
+  try {
+    items = collectBatchItems(req);
+  } catch (error) {
+    logger.warn('Invalid batch payload', { error: error.message });
+    return res.status(400).json({
+      status: 'error',
+      type: 'invalid_input',
+      message: `Invalid batch payload: ${error.message}`
+    });
+  }
+
+  if (items.length === 0) {
+    logger.warn('Empty batch submitted');
+    return res.status(400).json({
+      status: 'error',
+      type: 'missing_input',
+      message: 'Please provide a "profiles" array and/or "images" files'
+    });
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    logger.warn('Batch too large', { items: items.length, maxItems: BATCH_MAX_ITEMS });
+    return res.status(400).json({
+      status: 'error',
+      type: 'batch_too_large',
+      message: `Too many items in batch. Maximum allowed is ${BATCH_MAX_ITEMS}.`
+    });
+  }
+
+  logger.info('Starting batch health risk analysis', {
+    totalItems: items.length,
+    images: items.filter(item => item.input_type === 'image').length
+  });
+
+  // Items run sequentially so OCR does not saturate the CPU
+  const entries = [];
+  for (const item of items) {
+    const meta = { index: item.index, input_type: item.input_type };
+    if (item.filename) {
+      meta.filename = item.filename;
+    }
+
+    try {
+      entries.push({ meta, outcome: await analyzeBatchItem(item) });
+    } catch (error) {
+      logger.error('Batch item failed', {
+        index: item.index,
+        error: error.message,
+        stack: error.stack
+      });
+      entries.push({
+        meta,
+        outcome: {
+          ok: false,
+          response: {
+            status: 'error',
+            type: 'analysis_failed',
+            message: error.message || 'Failed to analyze health profile'
+          }
+        }
+      });
+    }
+  }
+
+  // The summary reads the v1 fields, whichever version the results are returned in
+  const summary = summarizeBatch(entries.map(({ meta, outcome }) => ({ ...meta, ...outcome.response })));
+  const results = entries.map(({ meta, outcome }) => ({ ...meta, ...formatAnalysis(outcome, req.apiVersion) }));
+
+  logger.info('Batch health analysis completed', {
+    total: summary.total,
+    succeeded: summary.succeeded,
+    failed: summary.failed
+  });
+
+  res.json({
+    status: 'ok',
+    summary,
+    results
+  });
+});
+
+function queueFullResponse(res) {
+  return res.status(503).set('Retry-After', String(JOB_RETRY_AFTER_SECONDS)).json({
+    status: 'error',
+    type: 'queue_full',
+    message: 'The job queue is full. Try again later.'
+  });
+}
+
+// Job mode: queue an analysis and return a job id immediately
+router.post('/jobs', requireScope('analyze'), (req, res, next) => {
+  // Checked before the upload is read, and again on submit
+  if (isQueueFull()) {
+    logger.warn('Job submission rejected before upload, queue is full');
+    return queueFullResponse(res);
+  }
+  upload.single('image')(req, res, AsyncResource.bind((err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+    next();
+  }));
+}, requireScopeForUploads, validateLanguage, validateRiskModel, validateSubjectId, (req, res) => {
+  let job;
+
+  if (req.file) {
+    job = submitJob(req.file.buffer, 'image', {
+      language: req.body.language,
+      mimetype: req.file.mimetype,
+      preprocess: req.body.preprocess,
+      model: req.body.model,
+      subjectId: req.body.subject_id
+    });
+  } else if (req.body.text || req.body.data) {
+    let textInput;
+    try {
+      textInput = resolveTextInput(req.body);
+    } catch (jsonError) {
+      logger.warn('Failed to process input data for job', { error: jsonError.message });
+      return res.status(400).json({
+        status: 'error',
+        type: 'invalid_input',
+        message: 'Invalid input data format. Unable to process the provided data.'
+      });
+    }
+    job = submitJob(textInput, 'text', {
+      language: req.body.language,
+      model: req.body.model,
+      subjectId: req.body.subject_id
+    });
+  } else {
+    logger.warn('No input data provided for job');
+    return res.status(400).json({
+      status: 'error',
+      type: 'missing_input',
+      message: 'Please provide either text data or an image file'
+    });
+  }
+
+  if (!job) {
+    return queueFullResponse(res);
+  }
+
+  res.status(202)
+    .location(`${req.baseUrl}/jobs/${job.id}`)
+    .json({
+      status: 'accepted',
+      job: describeJob(job),
+      status_url: `${req.baseUrl}/jobs/${job.id}`,
+      result_url: `${req.baseUrl}/jobs/${job.id}/result`
+    });
+});
+
+router.get('/jobs/:id', requireScope('analyze'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    logger.warn('Job not found', { jobId: req.params.id });
+    return res.status(404).json({
+      status: 'error',
+      type: 'not_found',
+      message: 'Job not found'
+    });
+  }
+
+  res.json({ status: 'ok', job: describeJob(job) });
+});
+
+router.get('/jobs/:id/result', requireScope('analyze'), (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    logger.warn('Job not found', { jobId: req.params.id });
+    return res.status(404).json({
+      status: 'error',
+      type: 'not_found',
+      message: 'Job not found'
+    });
+  }
+
+  if (job.status === 'failed') {
+    return res.status(500).json({
+      status: 'error',
+      type: 'job_failed',
+      message: job.error
+    });
+  }
+
+  if (job.status !== 'completed') {
+    return res.status(409).json({
+      status: 'error',
+      type: 'job_not_ready',
+      message: `Job is still ${job.status}`,
+      job: describeJob(job)
+    });
+  }
+
+  // Same status as /analyze: a validation failure is a 400
+  res.status(job.outcome.ok ? 200 : 400).json(formatAnalysis(job.outcome, req.apiVersion, { job_id: job.id }));
+});
+
+// What-if simulation: rescore baseline answers under hypothetical lifestyle changes
+router.post('/simulate', requireScope('analyze'), validateRiskModel, (req, res) => {
+  const { answers, scenarios, model } = req.body || {};
+
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    logger.warn('Simulation requested without baseline answers');
+    return res.status(400).json({
+      status: 'error',
+      type: 'invalid_input',
+      message: 'Please provide a baseline "answers" object'
+    });
+  }
+
+  const validScenarios = Array.isArray(scenarios) && scenarios.length > 0 &&
+    scenarios.every(scenario => scenario && typeof scenario === 'object' &&
+      scenario.changes && typeof scenario.changes === 'object' && !Array.isArray(scenario.changes));
+  if (!validScenarios) {
+    logger.warn('Simulation requested with malformed scenarios');
+    return res.status(400).json({
+      status: 'error',
+      type: 'invalid_input',
+      message: 'Please provide a "scenarios" array of { "name", "changes" } objects'
+    });
+  }
+
+  if (scenarios.length > SIMULATION_MAX_SCENARIOS) {
+    logger.warn('Too many simulation scenarios', {
+      scenarios: scenarios.length,
+      maxScenarios: SIMULATION_MAX_SCENARIOS
+    });
+    return res.status(400).json({
+      status: 'error',
+      type: 'too_many_scenarios',
+      message: `Too many scenarios. Maximum allowed is ${SIMULATION_MAX_SCENARIOS}.`
+    });
+  }
+
+  // Free-text amounts ("10 cigarettes/day") are read the same way /analyze reads them
+  const baseline = normalizeAnswers(answers);
+  const validation = validateAnswers(baseline.answers);
+  if (!validation.isValid) {
+    return res.status(400).json(req.apiVersion === 'v2' ? formatValidationFailure(validation.response) : validation.response);
+  }
+
+  try {
+    const riskModel = getRiskModel(model);
+    const simulation = simulateScenarios(baseline.answers, scenarios, riskModel);
+    res.json({
+      status: 'ok',
+      ...simulation,
+      model_id: riskModel.id,
+      model_version: riskModel.version
+    });
+  } catch (error) {
+    logger.error('Simulation failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      status: 'error',
+      type: 'simulation_failed',
+      message: 'Failed to simulate scenarios'
+    });
+  }
+});
+
+// Loads a subject's assessments, answering 404 itself when there are none
+async function loadSubjectHistory(req, res) {
+  const { subjectId } = req.params;
+  if (!isValidSubjectId(subjectId)) {
+    res.status(400).json(invalidSubjectResponse(subjectId));
+    return null;
+  }
+
+  const assessments = await listAssessments(subjectId);
+  if (assessments.length === 0) {
+    logger.warn('No history for subject', { subjectId: subjectId });
+    res.status(404).json({
+      status: 'error',
+      type: 'not_found',
+      message: 'No assessments found for subject'
+    });
+    return null;
+  }
+  return assessments;
+}
+
+function historyErrorResponse(res, error, subjectId) {
+  logger.error('History lookup failed', {
+    subjectId: subjectId,
+    error: error.message,
+    stack: error.stack
+  });
+  res.status(500).json({
+    status: 'error',
+    type: 'history_unavailable',
+    message: 'Failed to read assessment history'
+  });
+}
+
+// A subject's assessments, oldest first, with the overall trend
+router.get('/subjects/:subjectId/assessments', requireScope('analyze'), async (req, res) => {
+  try {
+    const assessments = await loadSubjectHistory(req, res);
+    if (!assessments) {
+      return;
+    }
+
+    const limit = parseInt(req.query.limit);
+    const listed = limit > 0 ? assessments.slice(-limit) : assessments;
+    res.json({
+      status: 'ok',
+      subject_id: req.params.subjectId,
+      total: assessments.length,
+      assessments: listed.map(summarizeAssessment),
+      trend: computeTrend(assessments)
+    });
+  } catch (error) {
+    historyErrorResponse(res, error, req.params.subjectId);
+  }
+});
+
+router.get('/subjects/:subjectId/assessments/:assessmentId', requireScope('analyze'), async (req, res) => {
+  try {
+    if (!isValidSubjectId(req.params.subjectId)) {
+      return res.status(400).json(invalidSubjectResponse(req.params.subjectId));
+    }
+    const assessment = await getAssessment(req.params.subjectId, req.params.assessmentId);
+    if (!assessment) {
+      return res.status(404).json({
+        status: 'error',
+        type: 'not_found',
+        message: 'Assessment not found'
+      });
+    }
+    res.json({ status: 'ok', assessment });
+  } catch (error) {
+    historyErrorResponse(res, error, req.params.subjectId);
+  }
+});
+
+// Compares two assessments (?from=&to= ids); defaults to the previous and latest ones
+router.get('/subjects/:subjectId/compare', requireScope('analyze'), async (req, res) => {
+  try {
+    const assessments = await loadSubjectHistory(req, res);
+    if (!assessments) {
+      return;
+    }
+
+    const findById = id => assessments.find(record => record.assessment_id === id);
+    const to = req.query.to ? findById(req.query.to) : assessments[assessments.length - 1];
+    const from = req.query.from ? findById(req.query.from) : assessments[assessments.length - 2];
+
+    if ((req.query.from && !from) || (req.query.to && !to)) {
+      return res.status(404).json({
+        status: 'error',
+        type: 'not_found',
+        message: 'Assessment not found'
+      });
+    }
+    if (!from) {
+      return res.status(409).json({
+        status: 'error',
+        type: 'insufficient_history',
+        message: 'At least two assessments are needed to compare'
+      });
+    }
+
+    // Keep the comparison chronological whatever order the ids were given in
+    const ordered = assessments.indexOf(from) <= assessments.indexOf(to) ? [from, to] : [to, from];
+    res.json({
+      status: 'ok',
+      subject_id: req.params.subjectId,
+      comparison: compareAssessments(...ordered)
+    });
+  } catch (error) {
+    historyErrorResponse(res, error, req.params.subjectId);
+  }
+});
+
+router.get('/subjects/:subjectId/trend', requireScope('analyze'), async (req, res) => {
+  try {
+    const assessments = await loadSubjectHistory(req, res);
+    if (!assessments) {
+      return;
+    }
+    res.json({
+      status: 'ok',
+      subject_id: req.params.subjectId,
+      trend: computeTrend(assessments)
+    });
+  } catch (error) {
+    historyErrorResponse(res, error, req.params.subjectId);
+  }
+});
+
+// Languages available for survey parsing and OCR
+router.get('/languages', (req, res) => {
+  res.json({ status: 'ok', languages: getSupportedLanguages() });
+});
+
+// Risk models available for scoring, every loaded version included
+router.get('/risk-models', (req, res) => {
+  res.json({ status: 'ok', risk_models: listRiskModels() });
+});
+
+// Separate OCR endpoint for testing
+router.post('/ocr', requireScope('ocr'), (req, res, next) => {
+  upload.single('image')(req, res, AsyncResource.bind((err) => {
+    if (err) {
+      return handleMulterError(err, req, res, next);
+    }
+    next();
+  }));
+}, validateLanguage, async (req, res) => {
   try {
     logger.info('OCR testing endpoint called', {
       hasFile: !!req.file
@@ -202,6 +893,7 @@ router.post('/ocr', (req, res, next) => {
       logger.warn('No image file provided for OCR test');
       return res.status(400).json({
         status: 'error',
+        type: 'missing_input',
         message: 'Please provide an image file'
       });
     }
@@ -211,10 +903,14 @@ router.post('/ocr', (req, res, next) => {
       size: req.file.size
     });
 
-    const result = await processHealthProfile(req.file.buffer, 'image');
+    const result = await processHealthProfile(req.file.buffer, 'image', {
+      language: req.body.language,
+      mimetype: req.file.mimetype,
+      preprocess: req.body.preprocess
+    });
     
     logger.info('OCR processing completed successfully');
-    res.json(result);
+    res.json({ status: 'ok', ...result });
     
   } catch (error) {
     logger.error('OCR processing failed', {
@@ -224,6 +920,7 @@ router.post('/ocr', (req, res, next) => {
     });
     res.status(500).json({
       status: 'error',
+      type: 'ocr_failed',
       message: 'Failed to process image'
     });
   }
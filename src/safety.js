@@ -0,0 +1,159 @@
+import { generateStaticRecommendations } from './recommendations.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('safety');
+
+export const MEDICAL_DISCLAIMER = 'This assessment is for informational purposes only and is not a substitute for ' +
+  'professional medical advice, diagnosis or treatment. Talk to a qualified healthcare provider about your health.';
+
+const MEDICATIONS = '(?:medications?|medicines?|meds|pills|tablets|capsules|prescriptions?|drugs|insulin|metformin|' +
+  'statins?|aspirin|ibuprofen|blood thinners?|antidepressants?|beta[- ]blockers?|ace inhibitors?|diuretics?|supplements?)';
+const DISEASES = '(?:diabetes|prediabetes|pre-diabetes|hypertension|heart disease|coronary artery disease|cancer|depression|' +
+  'copd|sleep apnea|fatty liver|kidney disease|heart failure|dementia|stroke)';
+const CLINICIAN = /\b(?:doctor|clinician|physician|healthcare provider|health care provider|gp|pharmacist|nurse|specialist|medical professional)s?\b/i;
+// Rest of a clause: stops at a sentence end, ";", "," or a joined clause ("and", "then")
+const CLAUSE = '(?:(?!\\b(?:and|then)\\b)[^.;,!?])*';
+// A question put to a clinician, whose object is what may mention medication: "ask your doctor
+// whether/about X", "discuss X with your doctor"
+const DEFERRED_QUESTION = new RegExp(
+  `\\b(?:ask|talk (?:to|with)|consult|check with|speak (?:to|with)|see)\\s+(?:your |a |an )?${CLINICIAN.source}\\s+` +
+  `(?:about|whether|if|before|regarding)\\b${CLAUSE}|\\b(?:discuss|talk about)\\b${CLAUSE}\\bwith (?:your |a |an )?${CLINICIAN.source}`,
+  'gi'
+);
+
+// `term` within the same sentence as a medication, on either side ("10 ml of insulin", "insulin dose")
+function nearMedication(term) {
+  return `\\b${term}[^.]{0,40}\\b${MEDICATIONS}\\b|\\b${MEDICATIONS}\\b[^.]{0,40}\\b${term}`;
+}
+
+// Checked in order; the first matching rule decides. `block` drops the item, `rewrite` replaces its text.
+// `deferrable` rules ignore the object of a question put to a clinician ("Ask your doctor whether
+// you should stop taking statins"), but not anything outside that clause.
+const RULES = [
+  {
+    id: 'medication_change',
+    action: 'block',
+    deferrable: true,
+    pattern: new RegExp(`\\b(?:stop|stopping|discontinue|quit|skip|reduce|lower|increase|double|halve|change|switch|come off|taper)\\b[^.]{0,40}\\b${MEDICATIONS}\\b|\\bno (?:longer )?need (?:for )?(?:your )?${MEDICATIONS}\\b`, 'i')
+  },
+  {
+    id: 'dosage',
+    action: 'block',
+    deferrable: true,
+    // Millilitres and "dose" also describe water or exercise, so they count only next to a medication
+    pattern: new RegExp([
+      '\\b\\d+(?:[.,]\\d+)?\\s?(?:mg|mcg|µg|micrograms?|milligrams?|iu)\\b',
+      nearMedication('\\d+(?:[.,]\\d+)?\\s?(?:ml|millilit(?:er|re)s?)\\b'),
+      nearMedication('(?:dose|dosage)s?\\b'),
+      `\\btake \\d+\\s+${MEDICATIONS}\\b`
+    ].join('|'), 'i')
+  },
+  {
+    id: 'diagnosis',
+    action: 'block',
+    pattern: new RegExp(`\\b(?:you|your results?|this|these)\\s+(?:have|has|show|shows|indicate|indicates|suggest|suggests|confirm|confirms|are suffering from|likely have|probably have|have developed)\\b[^.]{0,30}\\b${DISEASES}\\b|\\byou(?:'re| are) (?:diabetic|prediabetic|hypertensive)\\b`, 'i')
+  },
+  {
+    id: 'unsafe_claim',
+    action: 'block',
+    pattern: /\b(?:cures?|cured|guaranteed?|miracle|detox|cleanse)\b|100\s?%|\beliminates? (?:the |all |your )?risk\b|\brevers(?:e|es|ed) (?:your )?(?:diabetes|heart disease)\b|\bno need (?:to see|for) (?:a |your )?(?:doctor|clinician)\b|\binstead of (?:seeing )?(?:a |your )?(?:doctor|clinician|medications?)\b|\bfast(?:ing)? for \d+ days\b/i
+  },
+  {
+    // Medication may be mentioned only as something to raise with a clinician
+    id: 'medication_advice',
+    action: 'rewrite',
+    deferrable: true,
+    pattern: new RegExp(`\\b${MEDICATIONS}\\b`, 'i'),
+    rewrite: recommendation => ({
+      ...recommendation,
+      text: 'Ask your healthcare provider whether medication is right for you',
+      category: 'medical'
+    })
+  }
+];
+
+const ESCALATION = {
+  text: 'See a clinician soon for a full health assessment',
+  category: 'medical',
+  priority: 'high',
+  factors: [],
+  urgency: 'soon'
+};
+
+function matchRule(text) {
+  const undeferred = text.replace(DEFERRED_QUESTION, ' ');
+  return RULES.find(candidate => candidate.pattern.test(candidate.deferrable ? undeferred : text));
+}
+
+function screen(recommendations, summary) {
+  return recommendations.flatMap(recommendation => {
+    const rule = matchRule(recommendation.text);
+    if (!rule) {
+      return [recommendation];
+    }
+
+    logger.warn(rule.action === 'block' ? 'Blocked unsafe recommendation' : 'Rewrote unsafe recommendation', {
+      rule: rule.id,
+      category: recommendation.category,
+      text: recommendation.text
+    });
+    summary[rule.action === 'block' ? 'blocked' : 'rewritten'].push({ rule: rule.id, category: recommendation.category });
+    return rule.action === 'block' ? [] : [rule.rewrite(recommendation)];
+  });
+}
+
+// Applies the same rules to a single provisional (streamed) item, without logging or counting;
+// applySafetyGuardrails on the final result reports it. Returns the item, its rewrite, or null.
+export function screenRecommendation(recommendation) {
+  const rule = matchRule(recommendation.text);
+  if (!rule) {
+    return recommendation;
+  }
+  return rule.action === 'block' ? null : rule.rewrite(recommendation);
+}
+
+// Screens recommendations before they reach users: unsafe items are blocked or rewritten,
+// an empty result falls back to the static set, and `escalate` (the profile is in the
+// model's top risk level) guarantees a non-routine "see a clinician" item. Adds `disclaimer` and `safety`.
+export function applySafetyGuardrails(result, { riskLevel, factors, escalate = false }) {
+  const summary = { blocked: [], rewritten: [], escalated: false, fell_back_to_static: false };
+
+  let screened = result;
+  let recommendations = screen(result.recommendations, summary);
+  if (recommendations.length === 0) {
+    logger.warn('All recommendations were filtered out, falling back to static recommendations', {
+      source: result.source,
+      blocked: summary.blocked.length
+    });
+    screened = generateStaticRecommendations(riskLevel, factors);
+    recommendations = screen(screened.recommendations, summary);
+    summary.fell_back_to_static = true;
+  }
+
+  // Several rewrites can produce the same text
+  recommendations = recommendations.filter((recommendation, index) =>
+    recommendations.findIndex(other => other.text === recommendation.text) === index);
+
+  const hasClinicianVisit = recommendations.some(recommendation =>
+    CLINICIAN.test(recommendation.text) && recommendation.urgency !== 'routine');
+  if (escalate && !hasClinicianVisit) {
+    recommendations = [ESCALATION, ...recommendations];
+    summary.escalated = true;
+    logger.info('Escalated high-risk profile to clinician review', { riskLevel: riskLevel });
+  }
+
+  logger.info('Recommendation safety screening completed', {
+    source: screened.source,
+    blocked: summary.blocked.map(entry => entry.rule),
+    rewritten: summary.rewritten.map(entry => entry.rule),
+    escalated: summary.escalated,
+    fellBackToStatic: summary.fell_back_to_static
+  });
+
+  return {
+    ...screened,
+    recommendations,
+    disclaimer: MEDICAL_DISCLAIMER,
+    safety: summary
+  };
+}
@@ -0,0 +1,162 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// No logger import here: utils/logger.js uses redactLogValue, so this module must stay dependency-free
+
+// Per-deployment input policy.
+// INJECTION_POLICY: 'neutralize' removes instruction-like phrases, 'reject' fails validation, 'off' does nothing.
+// PII_PROMPT_POLICY / PII_LOG_POLICY: 'redact' masks PII in outbound LLM prompts / log lines, 'off' leaves them.
+// PII_TYPES: comma-separated subset of the PII detectors below.
+const INJECTION_POLICY = process.env.INJECTION_POLICY || 'neutralize';
+const PII_PROMPT_POLICY = process.env.PII_PROMPT_POLICY || 'redact';
+const PII_LOG_POLICY = process.env.PII_LOG_POLICY || 'redact';
+
+const INJECTION_POLICIES = ['neutralize', 'reject', 'off'];
+const PII_POLICIES = ['redact', 'off'];
+
+// Instruction-like content that has no place in a health survey answer
+const INJECTION_PATTERNS = [
+  {
+    id: 'override_instructions',
+    pattern: /\b(?:ignore|disregard|forget|override|bypass|ignora|olvida|ignorez|oubliez)\b[^.\n]{0,40}?\b(?:instructions?|prompts?|rules|directions|guidelines|context|instrucciones|reglas|consignes|règles)\b/giu
+  },
+  {
+    id: 'role_change',
+    pattern: /\b(?:you are now|you're now|from now on,? you|act as (?:if|an? (?:ai|assistant|chatbot|language model))|pretend (?:to be|you are)|roleplay as|ahora eres|tu es maintenant)\b/giu
+  },
+  {
+    id: 'prompt_probe',
+    pattern: /\b(?:system|developer) (?:prompt|message|mode)\b|\bjailbreak\b|\bnew instructions?\b/giu
+  },
+  {
+    id: 'output_control',
+    pattern: /\b(?:respond|reply|answer|output|return|print|say)\b\s+(?:only\s+)?(?:with|the following)\b/giu
+  },
+  {
+    id: 'role_marker',
+    pattern: /^\s*(?:system|assistant|user)\s*:|<\/?(?:system|assistant|user|im_start|im_end)\b[^>]*>|\[\/?(?:INST|SYS)\]|<<\/?SYS>>/gimu
+  }
+];
+
+// A value is only masked as a name when it follows a form label ("Name:"), an introduction or an honorific
+const NAME_LABELS = '(?:(?:full name|patient name|patient|name|nombre(?: completo)?|nom(?: complet)?|नाम)\\s*[:=]|my name is|me llamo|je m\'appelle|मेरा नाम)';
+const NAME_WORD = '(?![\\p{L}\'.-]*\\s*:)[\\p{L}\'.-]+';
+
+// Checked in order, so labelled IDs are masked before the phone detector sees their digits
+const PII_PATTERNS = [
+  {
+    type: 'email',
+    pattern: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu
+  },
+  {
+    type: 'id_number',
+    pattern: /\b(?:ssn|social security(?: number)?|passport(?: number)?|mrn|medical record(?: number)?|patient id|id number|national id|insurance(?: number)?|aadhaar|dni|nie|nss|nir)\b\s*(?:no\.?|number|#)?\s*[:#]?\s*(?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{3,}|\b\d{3}-\d{2}-\d{4}\b|\b\d{4}[ -]\d{4}[ -]\d{4}\b/giu
+  },
+  {
+    type: 'phone',
+    pattern: /\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]?\d{2,4}){1,3}\b|\(?\b\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}\b|\b\d{10}\b/gu
+  },
+  {
+    type: 'name',
+    pattern: new RegExp(`(?<=(?:^|[^\\p{L}])${NAME_LABELS}\\s*)${NAME_WORD}(?:[ \\t]+${NAME_WORD}){0,3}|(?<=\\b(?:Mr|Mrs|Ms|Dr|Sr|Sra|Mme|Mlle)\\.?\\s+)\\p{Lu}[\\p{L}'-]+(?:\\s+\\p{Lu}[\\p{L}'-]+){0,2}`, 'giu')
+  }
+];
+
+function parseList(value, fallback) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback;
+}
+
+const PII_TYPES = parseList(process.env.PII_TYPES, PII_PATTERNS.map(entry => entry.type));
+
+[['INJECTION_POLICY', INJECTION_POLICY, INJECTION_POLICIES],
+  ['PII_PROMPT_POLICY', PII_PROMPT_POLICY, PII_POLICIES],
+  ['PII_LOG_POLICY', PII_LOG_POLICY, PII_POLICIES]].forEach(([name, value, allowed]) => {
+  if (!allowed.includes(value)) {
+    throw new Error(`Unknown ${name} "${value}" (expected one of: ${allowed.join(', ')})`);
+  }
+});
+const unknownTypes = PII_TYPES.filter(type => !PII_PATTERNS.some(entry => entry.type === type));
+if (unknownTypes.length > 0) {
+  throw new Error(`Unknown PII_TYPES: ${unknownTypes.join(', ')}`);
+}
+
+export function getInputPolicy() {
+  return {
+    injection: INJECTION_POLICY,
+    pii_in_prompts: PII_PROMPT_POLICY,
+    pii_in_logs: PII_LOG_POLICY,
+    pii_types: PII_TYPES
+  };
+}
+
+// Ids of the instruction-like patterns found in `text`
+export function findInjection(text) {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return INJECTION_PATTERNS.filter(entry => text.search(entry.pattern) !== -1).map(entry => entry.id);
+}
+
+// `replacement` receives each match; the default marks it as [removed]
+export function neutralizeInjection(text, replacement = () => '[removed]') {
+  return INJECTION_PATTERNS.reduce((result, entry) => result.replace(entry.pattern, replacement), text);
+}
+
+// Screens raw survey text under INJECTION_POLICY. Neutralized phrases are blanked with spaces
+// of the same length, so match offsets into OCR pages stay valid.
+// Returns { text, detected, action } where action is 'none', 'neutralized', 'rejected' or 'allowed'.
+export function screenInput(text) {
+  const detected = findInjection(text);
+  if (detected.length === 0) {
+    return { text, detected, action: 'none' };
+  }
+  switch (INJECTION_POLICY) {
+    case 'neutralize':
+      return { text: neutralizeInjection(text, match => ' '.repeat(match.length)), detected, action: 'neutralized' };
+    case 'reject':
+      return { text, detected, action: 'rejected' };
+    default:
+      return { text, detected, action: 'allowed' };
+  }
+}
+
+// Masks PII as [email], [phone], ... Returns { text, redacted } with a count per type found.
+export function redactPii(text, types = PII_TYPES) {
+  const redacted = {};
+  const result = PII_PATTERNS
+    .filter(entry => types.includes(entry.type))
+    .reduce((current, entry) => current.replace(entry.pattern, () => {
+      redacted[entry.type] = (redacted[entry.type] || 0) + 1;
+      return `[${entry.type}]`;
+    }), text);
+  return { text: result, redacted };
+}
+
+// Prepares user-supplied text for interpolation into a prompt: instruction-like content is
+// always neutralized here (a rejected input never gets this far), quote delimiters are
+// broken up, blanked runs collapsed, and PII is masked unless PII_PROMPT_POLICY is 'off'.
+export function sanitizeForPrompt(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  const neutralized = neutralizeInjection(text).replace(/"{3,}|`{3,}/g, '"').replace(/[ \t]{2,}/g, ' ');
+  return PII_PROMPT_POLICY === 'redact' ? redactPii(neutralized).text : neutralized;
+}
+
+// Masks PII in every string of a log message or meta value under PII_LOG_POLICY
+export function redactLogValue(value) {
+  if (PII_LOG_POLICY === 'off') {
+    return value;
+  }
+  if (typeof value === 'string') {
+    return redactPii(value).text;
+  }
+  if (Array.isArray(value)) {
+    return value.map(redactLogValue);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, redactLogValue(entry)]));
+  }
+  return value;
+}
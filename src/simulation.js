@@ -0,0 +1,129 @@
+import { extractFactors } from './factors.js';
+import { calculateRisk } from './risk.js';
+import { validateScenario } from './guardrails.js';
+import { calculateBmi } from './units.js';
+import { normalizeAnswers } from './ocr.js';
+import { getFields } from './fields/index.js';
+import { QUANTITY_FIELDS } from './quantities.js';
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('simulation');
+
+function scoreAnswers(answers, model) {
+  const { factors } = extractFactors(answers);
+  const risk = calculateRisk(factors, answers, model);
+  return {
+    score: risk.score,
+    risk_level: risk.risk_level,
+    factors
+  };
+}
+
+// Drops quantities derived from an answer the scenario changes ("exercise_minutes" when it sets
+// "exercise"), unless the scenario sets them too, so they cannot outrank the new answer
+function clearStaleQuantities(answers, changes) {
+  const cleared = { ...answers };
+  getFields()
+    .filter(field => field.quantity && field.name in changes)
+    .forEach(field => {
+      QUANTITY_FIELDS[field.quantity]
+        .filter(name => !(name in changes))
+        .forEach(name => {
+          delete cleared[name];
+        });
+    });
+  return cleared;
+}
+
+function levelRank(model, level) {
+  return model.levels.findIndex(entry => entry.level === level);
+}
+
+// Reruns factor extraction and scoring for each scenario against a validated baseline
+// (normalized with normalizeAnswers). Each scenario is { name?, changes }; changes are
+// normalized the same way, and invalid scenarios are reported, not thrown.
+export function simulateScenarios(answers, scenarios, model) {
+  logger.info('Starting what-if simulation', {
+    modelId: model.id,
+    modelVersion: model.version,
+    scenarios: scenarios.length
+  });
+
+  const baseline = scoreAnswers(answers, model);
+
+  const results = scenarios.map((scenario, index) => {
+    const name = scenario.name || `scenario ${index + 1}`;
+    const { answers: changes, unreadable } = normalizeAnswers(scenario.changes);
+    if (unreadable.length > 0) {
+      logger.warn('Scenario answer could not be read', { scenario: name, fields: unreadable });
+      return {
+        index,
+        name,
+        changes: scenario.changes,
+        status: 'invalid_scenario',
+        reason: `"${unreadable[0]}" could not be read`,
+        field: unreadable[0]
+      };
+    }
+    const validation = validateScenario(answers, changes);
+    if (!validation.isValid) {
+      return { index, name, changes: scenario.changes, ...validation.response };
+    }
+
+    const scenarioAnswers = { ...clearStaleQuantities(answers, changes), ...changes };
+    // A new height or weight moves BMI unless the scenario sets BMI itself
+    const changesBody = 'height' in changes || 'weight' in changes;
+    if (changesBody && !('bmi' in changes) &&
+      typeof scenarioAnswers.height === 'number' && typeof scenarioAnswers.weight === 'number') {
+      scenarioAnswers.bmi = calculateBmi(scenarioAnswers.height, scenarioAnswers.weight);
+    }
+
+    const outcome = scoreAnswers(scenarioAnswers, model);
+    const result = {
+      index,
+      name,
+      changes: scenario.changes,
+      status: 'ok',
+      score: outcome.score,
+      risk_level: outcome.risk_level,
+      score_delta: outcome.score - baseline.score,
+      // Negative when the scenario moves the profile into a lower risk band
+      level_delta: levelRank(model, outcome.risk_level) - levelRank(model, baseline.risk_level),
+      factors_removed: baseline.factors.filter(factor => !outcome.factors.includes(factor)),
+      factors_added: outcome.factors.filter(factor => !baseline.factors.includes(factor))
+    };
+
+    logger.debug('Scenario simulated', {
+      scenario: name,
+      score: result.score,
+      scoreDelta: result.score_delta,
+      levelDelta: result.level_delta
+    });
+    return result;
+  });
+
+  // The largest move in either direction; ties keep the first scenario
+  const largestImpact = results
+    .filter(result => result.status === 'ok' && result.score_delta !== 0)
+    .reduce((best, result) => (
+      !best || Math.abs(result.score_delta) > Math.abs(best.score_delta) ? result : best
+    ), null);
+
+  logger.info('What-if simulation completed', {
+    baselineScore: baseline.score,
+    simulated: results.filter(result => result.status === 'ok').length,
+    rejected: results.filter(result => result.status !== 'ok').length,
+    largestImpact: largestImpact?.name || null
+  });
+
+  return {
+    baseline,
+    scenarios: results,
+    largest_impact: largestImpact ? {
+      index: largestImpact.index,
+      name: largestImpact.name,
+      score_delta: largestImpact.score_delta,
+      level_delta: largestImpact.level_delta
+    } : null
+  };
+}
@@ -0,0 +1,54 @@
+import { createLogger } from './utils/logger.js';
+
+const logger = createLogger('sse');
+
+// Comment lines sent while a stage is busy so proxies do not close an idle stream
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
+
+// Switches `res` to a Server-Sent Events stream.
+// send(event, data) writes one event with a JSON payload; end(event, data) writes the
+// terminal event and closes the stream. Writes after the client disconnects are dropped.
+export function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let eventId = 0;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!closed) {
+      closed = true;
+      logger.warn('Client closed event stream before the terminal event', { eventsSent: eventId });
+    }
+  });
+
+  const stream = {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) {
+        return;
+      }
+      eventId++;
+      res.write(`id: ${eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end(event, data) {
+      stream.send(event, data);
+      if (!closed) {
+        closed = true;
+        clearInterval(heartbeat);
+        res.end();
+        logger.debug('Event stream completed', { terminalEvent: event, eventsSent: eventId });
+      }
+    }
+  };
+  return stream;
+}
@@ -0,0 +1,92 @@
+// Unit conversion for measurement fields. Lengths are normalized to centimetres
+// and masses to kilograms; unit words cover every survey language.
+const DIMENSIONS = {
+  length: {
+    base: 'cm',
+    units: {
+      cm: 1, centimeter: 1, centimeters: 1, centimetre: 1, centimetres: 1, 'centímetros': 1, 'सेमी': 1,
+      mm: 0.1,
+      m: 100, meter: 100, meters: 100, metre: 100, metres: 100, metros: 100, metro: 100, 'mètres': 100, 'मीटर': 100,
+      in: 2.54, inch: 2.54, inches: 2.54, '"': 2.54, '″': 2.54, pulgadas: 2.54, pulgada: 2.54, pouces: 2.54, pouce: 2.54, 'इंच': 2.54,
+      ft: 30.48, feet: 30.48, foot: 30.48, "'": 30.48, '′': 30.48, pies: 30.48, pie: 30.48, pieds: 30.48, pied: 30.48, 'फुट': 30.48
+    },
+    // Unit of a second number following the first ("5 ft 10", "5'10")
+    trailing: { ft: 'in', feet: 'in', foot: 'in', "'": 'in', '′': 'in', pies: 'in', pie: 'in', pieds: 'in', pied: 'in', 'फुट': 'in', m: 'cm' },
+    // A bare number is read by magnitude: 1.78 is metres, 5.9 feet, 178 centimetres
+    guessUnit: value => (value < 3 ? 'm' : value <= 8 ? 'ft' : 'cm')
+  },
+  mass: {
+    base: 'kg',
+    units: {
+      kg: 1, kgs: 1, kilo: 1, kilos: 1, kilogram: 1, kilograms: 1, kilogramme: 1, kilogrammes: 1, kilogramos: 1, 'किलो': 1, 'किग्रा': 1,
+      g: 0.001,
+      lb: 0.45359237, lbs: 0.45359237, pound: 0.45359237, pounds: 0.45359237, libras: 0.45359237, libra: 0.45359237,
+      livres: 0.45359237, livre: 0.45359237, 'पाउंड': 0.45359237,
+      st: 6.35029318, stone: 6.35029318, stones: 6.35029318
+    },
+    trailing: { st: 'lb', stone: 'lb', stones: 'lb' },
+    guessUnit: () => 'kg'
+  }
+};
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Regex source for a value with optional units, including compound values like 5'10" or 11 st 4 lb
+export function measurementPattern(dimension, number) {
+  const units = Object.keys(DIMENSIONS[dimension].units)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  // Units made of letters must end at a word boundary so "m" does not eat "more"
+  const unit = `(?:${units})(?![\\p{L}])`;
+  return `${number}[ \\t]*(?:${unit})?(?:[ \\t]*${number}[ \\t]*(?:${unit})?)?`;
+}
+
+// Converts "5 ft 10 in", "1,78 m", "165 lbs", 178 or { value, unit } to the base unit.
+// Returns null when the value cannot be read.
+export function toBaseUnit(dimension, raw) {
+  const definition = DIMENSIONS[dimension];
+
+  if (typeof raw === 'number') {
+    return round(raw * definition.units[definition.guessUnit(raw)]);
+  }
+  if (raw && typeof raw === 'object') {
+    const factor = definition.units[String(raw.unit).toLowerCase()];
+    return typeof raw.value === 'number' && factor ? round(raw.value * factor) : null;
+  }
+  if (typeof raw !== 'string') {
+    return null;
+  }
+
+  const parts = [...raw.toLowerCase().matchAll(/(\d+(?:[.,]\d+)?)\s*([^\d\s.,]+)?/gu)];
+  if (parts.length === 0 || parts.length > 2) {
+    return null;
+  }
+
+  let total = 0;
+  let previousUnit = null;
+  for (const [, number, unitText] of parts) {
+    const value = parseFloat(number.replace(',', '.'));
+    const unit = unitText
+      ? unitText.replace(/\.$/, '')
+      : (previousUnit && definition.trailing[previousUnit]) || (parts.length === 1 ? definition.guessUnit(value) : null);
+    const factor = definition.units[unit];
+    if (!factor) {
+      return null;
+    }
+    total += value * factor;
+    previousUnit = unit;
+  }
+  return round(total);
+}
+
+export function calculateBmi(heightCm, weightKg) {
+  const metres = heightCm / 100;
+  return round(weightKg / (metres * metres));
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(1));
+}
@@ -1,13 +1,39 @@
 import winston from 'winston';
 import dotenv from 'dotenv';
+import { redactLogValue } from '../sanitize.js';
+import { getRequestContext } from './requestContext.js';
 
 // Load environment variables
 dotenv.config();
 
+// Masks PII in the message and every meta value before any transport sees it (PII_LOG_POLICY)
+const redactPii = winston.format(info => {
+  Object.keys(info)
+    .filter(key => key !== 'level' && key !== 'module')
+    .forEach(key => {
+      info[key] = redactLogValue(info[key]);
+    });
+  return info;
+});
+
+// Tags lines logged while serving a request with its id and, once authenticated, its client
+const addRequestContext = winston.format(info => {
+  const { requestId, clientId } = getRequestContext() || {};
+  if (requestId && info.requestId === undefined) {
+    info.requestId = requestId;
+  }
+  if (clientId && info.client === undefined) {
+    info.client = clientId;
+  }
+  return info;
+});
+
 // Create base Winston logger configuration
 const baseLogger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    redactPii(),
+    addRequestContext(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.errors({ stack: true })
   ),
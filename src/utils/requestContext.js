@@ -0,0 +1,28 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+// Per-request values (such as the request id and the authenticated client) visible to
+// everything the request runs, including async work, without threading them through every call
+const storage = new AsyncLocalStorage();
+
+// Caller-supplied X-Request-Id values are kept when they are short, plain tokens
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function runWithContext(context, callback) {
+  return storage.run(context, callback);
+}
+
+function getRequestContext() {
+  return storage.getStore();
+}
+
+// Middleware: gives the request an id (req.id, echoed in X-Request-Id) and runs the rest of
+// the request in a context that carries it
+function assignRequestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  runWithContext({ requestId: req.id }, next);
+}
+
+export { runWithContext, getRequestContext, assignRequestId };
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeProfile } from '../src/pipeline.js';
+import { formatAnalysis, formatRecommendations } from '../src/analysisResponse.js';
+
+const PROFILE = 'Age: 61, Smoker: yes, Exercise: never, Diet: fast food, BMI: 31';
+
+test('v1 lists recommendation texts in generation order, v2 the structured items by priority', async () => {
+  const outcome = await analyzeProfile(PROFILE, 'text');
+
+  const v1 = formatAnalysis(outcome, 'v1');
+  assert.equal(v1.source, 'static');
+  assert.deepEqual(v1.recommendations, [
+    'Quit smoking with professional support',
+    'Walk 30 minutes daily',
+    'Reduce sugar and increase vegetables',
+    'Consult healthcare provider for weight management',
+    'Practice stress management techniques'
+  ]);
+
+  const v2 = formatAnalysis(outcome, 'v2');
+  assert.deepEqual(v2.recommendations.items.map(item => item.text), [
+    'Quit smoking with professional support',
+    'Consult healthcare provider for weight management',
+    'Walk 30 minutes daily',
+    'Reduce sugar and increase vegetables',
+    'Practice stress management techniques'
+  ]);
+  v2.recommendations.items.forEach(item => {
+    assert.ok(['diet', 'activity', 'substance', 'sleep', 'medical'].includes(item.category));
+    assert.ok(['high', 'medium', 'low'].includes(item.priority));
+  });
+});
+
+test('v1 keeps the first five and its source name, v2 picks the five most pressing', () => {
+  const item = (text, priority) => ({ text, category: 'activity', priority, factors: [], urgency: 'routine' });
+  const result = {
+    recommendations: ['a', 'b', 'c', 'd', 'e'].map(text => item(text, 'low')).concat(item('f', 'high')),
+    source: 'llm',
+    llm: { provider: 'openai', model: 'gpt-4o-mini' }
+  };
+
+  const v1 = formatRecommendations(result, 'v1');
+  assert.deepEqual(v1.recommendations, ['a', 'b', 'c', 'd', 'e']);
+  assert.equal(v1.source, 'gemini-ai');
+
+  const v2 = formatRecommendations(result, 'v2');
+  assert.deepEqual(v2.recommendations.map(entry => entry.text), ['f', 'a', 'b', 'c', 'd']);
+  assert.equal(v2.source, 'llm');
+});
+
+test('v2 keeps the OCR and extraction stages apart', async () => {
+  const outcome = await analyzeProfile(PROFILE, 'text');
+  const v2 = formatAnalysis(outcome, 'v2');
+
+  assert.equal(v2.input.ocr, null);
+  assert.equal(typeof v2.extraction.confidence, 'number');
+  assert.equal(v2.risk.level, outcome.response.risk_level);
+  assert.deepEqual(v2.meta.model, { id: outcome.response.model_id, version: outcome.response.model_version });
+});
@@ -0,0 +1,118 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+process.env.API_AUTH = 'off';
+const { startApi } = await import('./helpers/api.js');
+const { openApiDocuments } = await import('../src/openapi.js');
+const { apiEnvelope } = await import('../src/apiContract.js');
+
+const api = await startApi();
+after(() => api.close());
+
+const PROFILE = 'Age: 45, Smoker: no, Exercise: daily, Diet: balanced';
+
+test('v2 rejects a request body that does not match the schema', async () => {
+  const response = await api.request('/v2/analyze', { method: 'POST', body: { data: PROFILE } });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.equal(body.type, 'invalid_input');
+  assert.equal(body.errors[0].path, '/data');
+});
+
+test('v1 takes the bodies the original API took', async () => {
+  const response = await api.request('/v1/analyze', { method: 'POST', body: { data: PROFILE } });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(body.api_version, '1.0');
+});
+
+test('responses are checked against the OpenAPI document', async () => {
+  // NODE_ENV=test turns on strict response validation, so a contract break answers 500
+  const response = await api.request('/v2/analyze', { method: 'POST', body: { text: PROFILE } });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.status, 'ok');
+  assert.equal(typeof body.meta.request_id, 'string');
+});
+
+// JSON pointer tokens, escaped the way src/apiContract.js escapes them: /jobs/{id} -> ~1jobs~1%7Bid%7D
+const pointer = (...tokens) => tokens.map(token => encodeURIComponent(token.replace(/~/g, '~0').replace(/\//g, '~1'))).join('/');
+
+test('every request and response schema in both documents compiles', () => {
+  Object.entries(openApiDocuments).forEach(([version, document]) => {
+    const ajv = new Ajv2020({ strict: false, validateFormats: false });
+    ajv.addSchema(document, version);
+    Object.entries(document.paths).forEach(([path, item]) => {
+      Object.entries(item).forEach(([method, operation]) => {
+        const locations = Object.entries(operation.responses)
+          .filter(([, response]) => response.content?.['application/json'])
+          .map(([status]) => pointer('paths', path, method, 'responses', status, 'content', 'application/json', 'schema'));
+        if (operation.requestBody?.content['application/json']) {
+          locations.push(pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema'));
+        }
+        locations.forEach(location => {
+          assert.doesNotThrow(() => ajv.compile({ $ref: `${version}#/${location}` }), `${version} ${location}`);
+        });
+      });
+    });
+  });
+});
+
+test('each version answers with its own envelope', async () => {
+  const v1 = await api.request('/v1/languages');
+  const v2 = await api.request('/v2/languages', { headers: { 'X-Request-Id': 'contract-1' } });
+  const [v1Body, v2Body] = await Promise.all([v1.json(), v2.json()]);
+
+  assert.equal(v1.headers.get('api-version'), '1.0');
+  assert.equal(v1Body.api_version, '1.0');
+  assert.equal(v1Body.meta, undefined);
+  assert.equal(v2.headers.get('api-version'), '2.0');
+  assert.deepEqual(v2Body.meta, { request_id: 'contract-1' });
+});
+
+test('v2 reports every mismatch in a request body', async () => {
+  const response = await api.request('/v2/analyze', { method: 'POST', body: { text: PROFILE, language: 42, model: [] } });
+  const body = await response.json();
+
+  assert.equal(response.status, 400);
+  assert.match(body.message, /^Request body does not match the API schema: /);
+  assert.deepEqual(body.errors.map(error => error.path).sort(), ['/language', '/model']);
+});
+
+test('undocumented routes answer with the documented error shape', async () => {
+  const response = await api.request('/v2/no-such-route');
+  const body = await response.json();
+
+  assert.equal(response.status, 404);
+  assert.equal(body.type, 'not_found');
+});
+
+test('a response that breaks the contract becomes a 500 in strict mode', async () => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.apiVersion = 'v2';
+    next();
+  });
+  app.use(apiEnvelope);
+  app.get('/api/v2/languages', (req, res) => res.json({ status: 'ok', languages: 'en' }));
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v2/languages`);
+    const body = await response.json();
+
+    assert.equal(response.status, 500);
+    assert.equal(body.type, 'response_validation_failed');
+    assert.ok(body.errors.length > 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
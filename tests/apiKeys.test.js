@@ -0,0 +1,37 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEYS_FILE = path.join(directory, 'keys.json');
+process.env.API_KEYS_RELOAD_SECONDS = '0.5';
+const { issueKey, verifyKey } = await import('../src/apiKeys.js');
+
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+test('keys are verified from memory between reloads', async () => {
+  const { key, record } = issueKey({ client: 'clinic-a', scopes: ['analyze'] });
+  const statSync = mock.method(fs, 'statSync');
+
+  for (let i = 0; i < 20; i++) {
+    assert.equal(verifyKey(key).id, record.id);
+  }
+  assert.equal(statSync.mock.callCount(), 0);
+  statSync.mock.restore();
+});
+
+test('a key revoked in the file by another process stops working after the reload interval', async () => {
+  const { key, record } = issueKey({ client: 'clinic-b', scopes: ['analyze'] });
+  assert.ok(verifyKey(key));
+
+  // What the CLI does in its own process: rewrite the file
+  const stored = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'));
+  stored.keys.find(entry => entry.id === record.id).revoked_at = new Date().toISOString();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  fs.writeFileSync(process.env.API_KEYS_FILE, JSON.stringify(stored));
+
+  await new Promise(resolve => setTimeout(resolve, 600));
+  assert.equal(verifyKey(key), null);
+});
@@ -0,0 +1,109 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-auth-'));
+process.env.API_AUTH = 'keys';
+process.env.API_KEYS_FILE = path.join(directory, 'keys.json');
+const { issueKey } = await import('../src/apiKeys.js');
+const { startApi } = await import('./helpers/api.js');
+
+const api = await startApi();
+after(async () => {
+  await api.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const bearer = key => ({ Authorization: `Bearer ${key}` });
+const keyFor = options => issueKey({ client: 'clinic-test', scopes: ['analyze'], ...options }).key;
+
+test('requests without a valid key are refused with 401', async () => {
+  const missing = await api.request('/v2/languages');
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await missing.json()).type, 'unauthorized');
+
+  const invalid = await api.request('/v2/languages', { headers: bearer('hra_not-a-real-key') });
+  assert.equal(invalid.status, 401);
+  assert.match((await invalid.json()).message, /Invalid or revoked/);
+});
+
+test('a key is accepted as a bearer token or in X-API-Key, with its limits in the headers', async () => {
+  const key = keyFor({ rate_limit_per_minute: 10, daily_quota: 100 });
+
+  const first = await api.request('/v2/languages', { headers: bearer(key) });
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('x-ratelimit-limit'), '10');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '9');
+  assert.equal(first.headers.get('x-quota-limit'), '100');
+  assert.equal(first.headers.get('x-quota-remaining'), '99');
+
+  const second = await api.request('/v1/languages', { headers: { 'X-API-Key': key } });
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get('x-ratelimit-remaining'), '8');
+});
+
+test('a key without the route scope is refused with 403', async () => {
+  const key = keyFor();
+
+  const admin = await api.request('/v2/admin/keys', { headers: bearer(key) });
+  assert.equal(admin.status, 403);
+  const body = await admin.json();
+  assert.equal(body.type, 'forbidden');
+  assert.equal(body.message, 'This API key does not have the "admin" scope');
+
+  const ocr = await api.request('/v1/ocr', { method: 'POST', headers: bearer(key) });
+  assert.equal(ocr.status, 403);
+  assert.match((await ocr.json()).message, /"ocr" scope/);
+});
+
+test('requests over the per-minute limit get 429 with Retry-After', async () => {
+  const key = keyFor({ rate_limit_per_minute: 2 });
+
+  assert.equal((await api.request('/v2/languages', { headers: bearer(key) })).status, 200);
+  assert.equal((await api.request('/v2/languages', { headers: bearer(key) })).status, 200);
+  const limited = await api.request('/v2/languages', { headers: bearer(key) });
+  const body = await limited.json();
+
+  assert.equal(limited.status, 429);
+  assert.equal(body.type, 'rate_limited');
+  const retryAfter = Number(limited.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60);
+  assert.equal(body.retry_after_seconds, retryAfter);
+
+  // Limits are per key: another client is unaffected
+  assert.equal((await api.request('/v2/languages', { headers: bearer(keyFor()) })).status, 200);
+});
+
+test('a used-up daily quota is refused until the next UTC day', async () => {
+  const key = keyFor({ daily_quota: 1 });
+
+  assert.equal((await api.request('/v2/languages', { headers: bearer(key) })).status, 200);
+  const refused = await api.request('/v2/languages', { headers: bearer(key) });
+  const body = await refused.json();
+
+  assert.equal(refused.status, 429);
+  assert.equal(body.type, 'quota_exceeded');
+  assert.match(body.message, /Daily quota of 1 requests/);
+  const retryAfter = Number(refused.headers.get('retry-after'));
+  assert.ok(retryAfter >= 1 && retryAfter <= 24 * 60 * 60);
+});
+
+test('an admin key issues and revokes keys over the API', async () => {
+  const admin = bearer(keyFor({ scopes: ['admin'] }));
+
+  const issued = await api.request('/v2/admin/keys', {
+    method: 'POST',
+    headers: admin,
+    body: { client: 'clinic-new', scopes: ['analyze'], rate_limit_per_minute: 5 }
+  });
+  assert.equal(issued.status, 201);
+  const { key, api_key: record } = await issued.json();
+  assert.equal((await api.request('/v2/languages', { headers: bearer(key) })).status, 200);
+
+  const revoked = await api.request(`/v2/admin/keys/${record.id}`, { method: 'DELETE', headers: admin });
+  assert.equal(revoked.status, 200);
+  assert.equal((await api.request('/v2/languages', { headers: bearer(key) })).status, 401);
+});
@@ -0,0 +1,53 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.API_AUTH = 'off';
+process.env.BATCH_MAX_ITEMS = '3';
+const { startApi } = await import('./helpers/api.js');
+
+const api = await startApi();
+after(() => api.close());
+
+const batch = (version, body) => api.request(`/${version}/analyze/batch`, { method: 'POST', body });
+
+test('failed items are reported next to the ones that were scored', async () => {
+  const response = await batch('v1', {
+    profiles: [
+      'Age: 45, Smoker: yes, Exercise: never, Diet: fast food',
+      { text: 'Edad: 30, Fumador: no, Ejercicio: a menudo, Dieta: equilibrada', language: 'es' },
+      'Age: 45'
+    ]
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.summary.total, 3);
+  assert.equal(body.summary.succeeded, 2);
+  assert.equal(body.summary.failed, 1);
+  assert.deepEqual(body.summary.failed_items, [
+    { index: 2, input_type: 'profile', status: 'incomplete_profile', reason: body.results[2].reason }
+  ]);
+  assert.deepEqual(body.results.map(result => result.index), [0, 1, 2]);
+  assert.equal(body.results[1].language.code, 'es');
+});
+
+test('an item that is neither text nor an object fails alone', async () => {
+  const response = await batch('v2', { profiles: [42, 'Age: 30, Smoker: no, Exercise: daily, Diet: balanced'] });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.results[0].type, 'invalid_input');
+  assert.equal(body.results[1].status, 'ok');
+  assert.equal(typeof body.results[1].risk.level, 'string');
+  assert.equal(body.summary.failed_items[0].status, 'error');
+});
+
+test('empty and oversized batches are rejected', async () => {
+  const empty = await batch('v1', { profiles: [] });
+  assert.equal(empty.status, 400);
+  assert.equal((await empty.json()).type, 'missing_input');
+
+  const oversized = await batch('v1', { profiles: ['a', 'b', 'c', 'd'] });
+  assert.equal(oversized.status, 400);
+  assert.equal((await oversized.json()).type, 'batch_too_large');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyDiet } from '../src/diet.js';
+
+function factorsOf(text) {
+  const { risk_factors: risk, protective_factors: protective } = classifyDiet(text);
+  return { risk, protective };
+}
+
+test('synonyms map onto risk and protective factors', () => {
+  assert.deepEqual(factorsOf('takeout and soda most days'), { risk: ['poor diet'], protective: [] });
+  assert.deepEqual(factorsOf('fried food, salads and lentils'), {
+    risk: ['high fat intake'],
+    protective: ['fruit and vegetables', 'high fiber intake']
+  });
+  assert.deepEqual(factorsOf('vegetariana, muchas verduras'), {
+    risk: [],
+    protective: ['plant-based diet', 'fruit and vegetables']
+  });
+});
+
+test('negated terms add nothing, negated protective terms count as poor diet', () => {
+  assert.deepEqual(factorsOf('no fast food'), { risk: [], protective: [] });
+  assert.deepEqual(factorsOf('sugar-free'), { risk: [], protective: [] });
+  assert.deepEqual(factorsOf('no vegetables'), { risk: ['poor diet'], protective: [] });
+  assert.deepEqual(factorsOf('low fiber and no fruit'), { risk: ['poor diet'], protective: [] });
+});
+
+test('a negation stops at scope breaks', () => {
+  assert.deepEqual(factorsOf('no soda but lots of sweets'), { risk: ['poor diet'], protective: [] });
+  assert.deepEqual(factorsOf('less sugar and more vegetables'), { risk: [], protective: ['fruit and vegetables'] });
+});
+
+test('a negation does not carry past a comma into the next item', () => {
+  assert.deepEqual(factorsOf('no soda, salads every day'), { risk: [], protective: ['fruit and vegetables'] });
+  assert.deepEqual(factorsOf('low sugar, vegetarian'), { risk: [], protective: ['plant-based diet'] });
+});
+
+test('a negation does not reach a term of the other kind', () => {
+  assert.deepEqual(factorsOf('no soda and salads'), { risk: [], protective: ['fruit and vegetables'] });
+  assert.deepEqual(factorsOf('no soda or salads'), { risk: [], protective: ['fruit and vegetables'] });
+  assert.deepEqual(factorsOf('no soda and no salads'), { risk: ['poor diet'], protective: [] });
+});
+
+test('a negation carries over alternatives of the same kind', () => {
+  assert.deepEqual(factorsOf('rarely eat fried food or sweets or cakes or desserts'), { risk: [], protective: [] });
+  assert.deepEqual(factorsOf('sin refrescos ni dulces'), { risk: [], protective: [] });
+  assert.deepEqual(factorsOf('pas de soda ou de bonbons'), { risk: [], protective: [] });
+});
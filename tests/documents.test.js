@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { buildPdf } from './helpers/pdf.js';
+
+process.env.DOCUMENT_MAX_PAGES = '3';
+const { extractPages, isSupportedUpload } = await import('../src/documents.js');
+const { processHealthProfile } = await import('../src/ocr.js');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+test('PDF and image uploads are accepted, other documents are not', () => {
+  assert.equal(isSupportedUpload('application/pdf'), true);
+  assert.equal(isSupportedUpload('image/tiff'), true);
+  assert.equal(isSupportedUpload('application/msword'), false);
+});
+
+test('digital PDF pages use their text layer and scanned pages are rasterized', async () => {
+  const pages = await extractPages(buildPdf([
+    ['Age: 45', 'Smoker: no'],
+    ['Exercise: daily', 'Diet: balanced', 'Alcohol: none'],
+    []
+  ]), 'application/pdf');
+
+  assert.deepEqual(pages.map(page => [page.page, page.source]), [
+    [1, 'rasterized'], // too little text to trust as a text layer
+    [2, 'text-layer'],
+    [3, 'rasterized']
+  ]);
+  assert.equal(pages[1].text, 'Exercise: daily\nDiet: balanced\nAlcohol: none');
+  assert.equal(pages[1].image, undefined);
+  assert.deepEqual(pages[2].image.subarray(0, 4), PNG_SIGNATURE);
+});
+
+test('pages past DOCUMENT_MAX_PAGES are not processed', async () => {
+  const lines = ['Exercise: daily', 'Diet: balanced', 'Alcohol: none'];
+  const pages = await extractPages(buildPdf([lines, lines, lines, lines, lines]), 'application/pdf');
+
+  assert.deepEqual(pages.map(page => page.page), [1, 2, 3]);
+});
+
+test('a TIFF page is converted to PNG for OCR', async () => {
+  const tiff = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#ffffff' } }).tiff().toBuffer();
+  const pages = await extractPages(tiff, 'image/tiff');
+
+  assert.equal(pages.length, 1);
+  assert.equal(pages[0].source, 'tiff-page');
+  assert.deepEqual(pages[0].image.subarray(0, 4), PNG_SIGNATURE);
+});
+
+test('a plain image upload is a single page passed through as-is', async () => {
+  const image = Buffer.from('not decoded');
+  assert.deepEqual(await extractPages(image, 'image/png'), [{ page: 1, image, source: 'image' }]);
+});
+
+test('a multi-page digital PDF is parsed from its text layers without OCR', async () => {
+  const pdf = buildPdf([
+    ['Age: 45', 'Smoker: no', 'Alcohol: none'],
+    ['Exercise: daily', 'Diet: balanced', 'Sleep: 8 hours']
+  ]);
+  const parsed = await processHealthProfile(pdf, 'image', { mimetype: 'application/pdf' });
+
+  assert.equal(parsed.answers.age, 45);
+  assert.equal(parsed.answers.smoker, false);
+  assert.equal(parsed.answers.exercise, 'daily');
+  assert.deepEqual(parsed.missing_fields, []);
+  assert.equal(parsed.confidence, 1);
+  assert.deepEqual(parsed.pages.map(page => [page.page, page.source, page.confidence]), [
+    [1, 'text-layer', 1],
+    [2, 'text-layer', 1]
+  ]);
+  assert.equal(parsed.field_pages.age, 1);
+  assert.equal(parsed.field_pages.diet, 2);
+  assert.deepEqual(parsed.field_confidence.diet, { confidence: 1, bbox: null, page: 2, words: [] });
+});
@@ -0,0 +1,77 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { recognition, mockTesseract } from './helpers/tesseract.js';
+
+process.env.OCR_POOL_SIZE = '1';
+const { processHealthProfile } = await import('../src/ocr.js');
+const { analyzeProfile } = await import('../src/pipeline.js');
+const { initOcrPool, shutdownOcrPool } = await import('../src/ocrPool.js');
+
+const SURVEY = ['Age: 45', 'Smoker: no', 'Exercise: daily', 'Diet: balanced'];
+
+const page = () => sharp({ create: { width: 400, height: 120, channels: 3, background: '#ffffff' } }).png().toBuffer();
+
+async function scan(options) {
+  mockTesseract(() => recognition(SURVEY, options));
+  await initOcrPool();
+  return page();
+}
+
+afterEach(async () => {
+  await shutdownOcrPool();
+  mock.restoreAll();
+});
+
+test('each field carries the confidence and box of the words its value was read from', async () => {
+  const image = await scan({ wordConfidence: { 45: 50, daily: 70 } });
+  const parsed = await processHealthProfile(image, 'image', { mimetype: 'image/png', preprocess: 'none' });
+
+  assert.deepEqual(parsed.field_confidence.age, {
+    confidence: 0.5,
+    bbox: { x0: 100, y0: 0, x1: 190, y1: 20 },
+    page: 1,
+    words: ['45']
+  });
+  assert.equal(parsed.field_confidence.exercise.confidence, 0.7);
+  assert.deepEqual(parsed.field_confidence.exercise.bbox, { x0: 100, y0: 60, x1: 190, y1: 80 });
+  assert.equal(parsed.field_confidence.diet.confidence, 0.9);
+  assert.deepEqual(parsed.field_pages, { age: 1, smoker: 1, exercise: 1, diet: 1 });
+});
+
+test('boxes are mapped back to the original resolution after upscaling', async () => {
+  const image = await scan();
+  const parsed = await processHealthProfile(image, 'image', { mimetype: 'image/png', preprocess: 'upscale' });
+
+  assert.deepEqual(parsed.pages[0].preprocessing.steps_applied, ['upscale']);
+  assert.deepEqual(parsed.field_confidence.age.bbox, { x0: 33, y0: 0, x1: 63, y1: 7 });
+});
+
+test('a poorly read field is flagged while the rest of the document is analyzed', async () => {
+  const image = await scan({ wordConfidence: { daily: 45 } });
+  const outcome = await analyzeProfile(image, 'image', { mimetype: 'image/png', preprocess: 'none' });
+
+  assert.equal(outcome.ok, true);
+  assert.deepEqual(outcome.sections.parsed.low_confidence_fields, ['exercise']);
+  assert.equal(outcome.sections.parsed.answers.exercise, 'daily');
+});
+
+test('a required field below the reject threshold is dropped and counts as missing', async () => {
+  const image = await scan({ wordConfidence: { 45: 20 } });
+  const outcome = await analyzeProfile(image, 'image', { mimetype: 'image/png', preprocess: 'none' });
+
+  assert.equal(outcome.ok, true);
+  assert.deepEqual(outcome.sections.parsed.rejected_fields, ['age']);
+  assert.equal(outcome.sections.parsed.answers.age, undefined);
+  assert.deepEqual(outcome.sections.parsed.missing_fields, ['age']);
+});
+
+test('rejecting most required fields makes the profile incomplete', async () => {
+  const image = await scan({ wordConfidence: { 45: 20, no: 10, daily: 25 } });
+  const outcome = await analyzeProfile(image, 'image', { mimetype: 'image/png', preprocess: 'none' });
+
+  assert.equal(outcome.ok, false);
+  assert.equal(outcome.response.status, 'incomplete_profile');
+  assert.deepEqual(outcome.response.rejected_fields, ['age', 'smoker', 'exercise']);
+  assert.deepEqual(outcome.response.missing_fields, ['age', 'smoker', 'exercise']);
+});
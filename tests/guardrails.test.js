@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateInput } from '../src/guardrails.js';
+
+// An OCR result whose height was read with too little confidence to keep
+function scannedProfile({ statedBmi } = {}) {
+  const answers = { age: 45, smoker: false, exercise: 'daily', diet: 'balanced', height: 178, weight: 95 };
+  const confidence = Object.fromEntries(Object.keys(answers).map(field => [field, { confidence: 0.9 }]));
+  confidence.height = { confidence: 0.1 };
+  return {
+    answers: { ...answers, bmi: statedBmi ?? 30 },
+    missing_fields: [],
+    field_sources: { ...Object.fromEntries(Object.keys(answers).map(field => [field, 'regex'])), bmi: statedBmi ? 'regex' : 'derived' },
+    derived_fields: { bmi: { value: 30, from: ['height', 'weight'], stated: !!statedBmi } },
+    field_confidence: confidence,
+    confidence: 0.8
+  };
+}
+
+test('a BMI computed from a rejected height is dropped with it', () => {
+  const parsed = scannedProfile();
+  const validation = validateInput(parsed);
+
+  assert.equal(validation.isValid, true);
+  assert.deepEqual(parsed.rejected_fields, ['height', 'bmi']);
+  assert.equal(parsed.answers.bmi, undefined);
+  assert.equal(parsed.field_sources.bmi, undefined);
+  assert.equal(parsed.derived_fields, undefined);
+});
+
+test('a stated BMI is kept but not checked against a rejected height', () => {
+  const parsed = scannedProfile({ statedBmi: 22 });
+  const validation = validateInput(parsed);
+
+  assert.equal(validation.isValid, true);
+  assert.deepEqual(parsed.rejected_fields, ['height']);
+  assert.equal(parsed.answers.bmi, 22);
+});
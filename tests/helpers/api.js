@@ -0,0 +1,31 @@
+import express from 'express';
+import { createApiRouter } from '../../src/apiVersions.js';
+import { assignRequestId } from '../../src/utils/requestContext.js';
+
+// Serves the versioned API on a free port, mounted the way src/index.js mounts it.
+// Environment (API_AUTH, API_KEYS_FILE, ...) must be set before this module is imported.
+export async function startApi() {
+  const app = express();
+  app.use(express.json());
+  app.use(assignRequestId);
+  app.use('/api/v2', createApiRouter('v2'));
+  app.use('/api/v1', createApiRouter('v1'));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  return {
+    request(path, { method = 'GET', body, headers = {} } = {}) {
+      return fetch(baseUrl + path, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
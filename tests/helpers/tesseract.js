@@ -0,0 +1,36 @@
+import { mock } from 'node:test';
+import Tesseract from 'tesseract.js';
+
+// Builds a Tesseract recognize() result for the given lines. Words sit on a grid
+// (100px per word, 30px per line) so tests can predict their boxes.
+export function recognition(lines, { confidence = 90, wordConfidence = {}, rotateRadians = 0 } = {}) {
+  return {
+    data: {
+      text: lines.join('\n'),
+      confidence,
+      rotateRadians,
+      blocks: [{
+        paragraphs: [{
+          lines: lines.map((line, row) => ({
+            words: line.split(' ').map((text, column) => ({
+              text,
+              confidence: wordConfidence[text] ?? confidence,
+              bbox: { x0: column * 100, y0: row * 30, x1: column * 100 + 90, y1: row * 30 + 20 }
+            }))
+          }))
+        }]
+      }]
+    }
+  };
+}
+
+// Replaces Tesseract workers with one whose recognize() is the given function
+export function mockTesseract(recognize) {
+  const worker = {
+    recognize: mock.fn(async (...args) => recognize(...args)),
+    reinitialize: mock.fn(async () => {}),
+    terminate: mock.fn(async () => {})
+  };
+  mock.method(Tesseract, 'createWorker', async () => worker);
+  return worker;
+}
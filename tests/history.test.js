@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.HISTORY_STORE = 'memory';
+const { recordAssessment, listAssessments, getAssessment } = await import('../src/history.js');
+const { runWithContext } = await import('../src/utils/requestContext.js');
+
+const RESPONSE = { score: 30, risk_level: 'medium', factors: ['smoking'], answers: {}, model_id: 'default', model_version: '1.0.0' };
+
+function asClient(clientId, callback) {
+  return runWithContext({ clientId }, callback);
+}
+
+test('each client only sees the assessments it recorded', async () => {
+  const first = await asClient('clinic-a', () => recordAssessment('p-001', RESPONSE));
+  const second = await asClient('clinic-b', () => recordAssessment('p-001', { ...RESPONSE, score: 10 }));
+
+  assert.deepEqual((await asClient('clinic-a', () => listAssessments('p-001'))).map(record => record.assessment_id),
+    [first.assessment_id]);
+  assert.equal(await asClient('clinic-a', () => getAssessment('p-001', second.assessment_id)), null);
+  assert.equal((await asClient('clinic-b', () => getAssessment('p-001', second.assessment_id))).score, 10);
+  assert.deepEqual(await asClient('clinic-c', () => listAssessments('p-001')), []);
+});
+
+test('without a client every assessment is listed', async () => {
+  const records = await listAssessments('p-001');
+  assert.deepEqual(records.map(record => record.client_id), ['clinic-a', 'clinic-b']);
+});
@@ -0,0 +1,43 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.API_AUTH = 'off';
+const { startApi } = await import('./helpers/api.js');
+
+const api = await startApi();
+after(() => api.close());
+
+// Submits a text job and polls its result until it is no longer 409 (not ready)
+async function runJob(version, text) {
+  const submitted = await api.request(`/${version}/jobs`, { method: 'POST', body: { text } });
+  assert.equal(submitted.status, 202);
+  const { job } = await submitted.json();
+
+  for (;;) {
+    const response = await api.request(`/${version}/jobs/${job.job_id}/result`);
+    if (response.status !== 409) {
+      return { response, body: await response.json() };
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+test('a job result has the status /analyze would have answered', async () => {
+  const scored = await runJob('v1', 'Age: 45, Smoker: no, Exercise: daily, Diet: balanced');
+  assert.equal(scored.response.status, 200);
+  assert.equal(scored.body.status, 'ok');
+
+  const incomplete = await runJob('v1', 'Age: 45');
+  assert.equal(incomplete.response.status, 400);
+  assert.equal(incomplete.body.status, 'incomplete_profile');
+
+  const direct = await api.request('/v1/analyze', { method: 'POST', body: { text: 'Age: 45' } });
+  assert.equal(direct.status, incomplete.response.status);
+});
+
+test('a v2 job validation failure is a 400 with the job id in meta', async () => {
+  const { response, body } = await runJob('v2', 'Age: 45');
+  assert.equal(response.status, 400);
+  assert.equal(body.status, 'incomplete_profile');
+  assert.equal(typeof body.meta.job_id, 'string');
+});
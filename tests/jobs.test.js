@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.JOB_CONCURRENCY = '1';
+process.env.JOB_QUEUE_LIMIT = '2';
+const { submitJob, isQueueFull, getJob } = await import('../src/jobs.js');
+const { runWithContext } = await import('../src/utils/requestContext.js');
+
+const PROFILE = 'Age: 40, Smoker: no, Exercise: daily, Diet: balanced, BMI: 24';
+
+test('jobs beyond the queue limit are rejected instead of queued', () => {
+  const running = submitJob(PROFILE, 'text');
+  const queued = [submitJob(PROFILE, 'text'), submitJob(PROFILE, 'text')];
+
+  assert.equal(running.status, 'processing');
+  assert.deepEqual(queued.map(job => job.status), ['queued', 'queued']);
+  assert.equal(isQueueFull(), true);
+  assert.equal(submitJob(PROFILE, 'text'), null);
+  assert.ok(getJob(queued[1].id));
+});
+
+test('a job is only visible to the client that submitted it', async () => {
+  while (isQueueFull()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const job = runWithContext({ clientId: 'clinic-a' }, () => submitJob(PROFILE, 'text'));
+
+  assert.equal(runWithContext({ clientId: 'clinic-a' }, () => getJob(job.id)), job);
+  assert.equal(runWithContext({ clientId: 'clinic-b' }, () => getJob(job.id)), null);
+  assert.equal(getJob(job.id), null);
+});
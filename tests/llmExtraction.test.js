@@ -0,0 +1,107 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LLM_EXTRACTION = 'fallback';
+process.env.LLM_EXTRACTION_TIMEOUT_MS = '100';
+process.env.LLM_PROVIDER = 'mock';
+const { setExtractionClient } = await import('../src/llmExtraction.js');
+const { createMockProvider, setLlmProvider } = await import('../src/llm/index.js');
+const { processHealthProfile } = await import('../src/ocr.js');
+const { analyzeProfile } = await import('../src/pipeline.js');
+
+// Exercise and diet are written as prose the patterns cannot read
+const MESSY_FORM = 'Age: 45\nSmoker: no\nI walk the dog every day and mostly cook vegetables at home.';
+
+// A local stand-in for the model that answers with `reply`
+function stubClient(reply) {
+  return {
+    name: 'stub',
+    model: 'stub-1',
+    isAvailable: () => true,
+    extract: mock.fn(async () => (typeof reply === 'function' ? reply() : JSON.stringify(reply)))
+  };
+}
+
+afterEach(() => {
+  setExtractionClient(null);
+  setLlmProvider(createMockProvider());
+});
+
+test('fields the patterns missed are filled in by the model and marked as such', async () => {
+  const client = stubClient({ exercise: 'daily', diet: 'balanced', alcohol: null });
+  setExtractionClient(client);
+
+  const outcome = await analyzeProfile(MESSY_FORM, 'text');
+  const parsed = outcome.sections.parsed;
+
+  assert.equal(outcome.ok, true);
+  assert.equal(parsed.answers.exercise, 'daily');
+  assert.equal(parsed.answers.diet, 'balanced');
+  assert.deepEqual(
+    [parsed.field_sources.age, parsed.field_sources.smoker, parsed.field_sources.exercise, parsed.field_sources.diet],
+    ['regex', 'regex', 'llm', 'llm']
+  );
+  assert.equal(parsed.llm_extraction.status, 'ok');
+  assert.deepEqual(parsed.llm_extraction.llm, { provider: 'stub', model: 'stub-1' });
+  assert.deepEqual(parsed.llm_extraction.fields_extracted, ['exercise', 'diet']);
+  assert.ok(!parsed.llm_extraction.fields_requested.includes('age'));
+
+  const { prompt, schema } = client.extract.mock.calls[0].arguments[0];
+  assert.match(prompt, /I walk the dog every day/);
+  assert.equal(schema.additionalProperties, false);
+  assert.deepEqual(schema.properties.exercise.enum, ['never', 'rarely', 'sometimes', 'often', 'daily', null]);
+});
+
+test('values outside the schema or the field rules are rejected, not guessed', async () => {
+  setExtractionClient(stubClient({ exercise: 'weekly', diet: 'balanced', height: '9 m' }));
+
+  const parsed = await processHealthProfile(MESSY_FORM, 'text');
+
+  assert.equal(parsed.answers.exercise, undefined);
+  assert.equal(parsed.answers.height, undefined);
+  assert.deepEqual(parsed.llm_extraction.fields_extracted, ['diet']);
+  assert.deepEqual(parsed.llm_extraction.fields_rejected.sort(), ['exercise', 'height']);
+  assert.deepEqual(parsed.missing_fields, ['exercise']);
+});
+
+test('a failed or slow model call keeps the pattern results', async () => {
+  for (const reply of [() => 'not json', () => new Promise(() => {})]) {
+    setExtractionClient(stubClient(reply));
+
+    const parsed = await processHealthProfile(MESSY_FORM, 'text');
+
+    assert.equal(parsed.llm_extraction.status, 'error');
+    assert.deepEqual(parsed.answers, { age: 45, smoker: false });
+    assert.deepEqual(parsed.missing_fields, ['exercise', 'diet']);
+  }
+});
+
+test('the model is not asked when the patterns read every required field', async () => {
+  const client = stubClient({});
+  setExtractionClient(client);
+
+  const parsed = await processHealthProfile('Age: 45\nSmoker: no\nExercise: daily\nDiet: balanced', 'text');
+
+  assert.equal(client.extract.mock.callCount(), 0);
+  assert.equal(parsed.llm_extraction, undefined);
+});
+
+test('an unavailable client skips the fallback', async () => {
+  setExtractionClient({ ...stubClient({ exercise: 'daily' }), isAvailable: () => false });
+
+  const parsed = await processHealthProfile(MESSY_FORM, 'text');
+
+  assert.equal(parsed.llm_extraction.status, 'unavailable');
+  assert.equal(parsed.answers.exercise, undefined);
+});
+
+test('the default client sends the schema to the configured provider', async () => {
+  const reply = mock.fn(() => JSON.stringify({ exercise: 'often', diet: 'balanced' }));
+  setLlmProvider(createMockProvider({ model: 'local', reply }));
+
+  const parsed = await processHealthProfile(MESSY_FORM, 'text');
+
+  assert.ok(reply.mock.calls[0].arguments[1].jsonSchema.properties.exercise);
+  assert.equal(parsed.answers.exercise, 'often');
+  assert.deepEqual(parsed.llm_extraction.llm, { provider: 'mock', model: 'local' });
+});
@@ -0,0 +1,180 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_MODEL = 'mock-1';
+process.env.LLM_MAX_RETRIES = '2';
+process.env.LLM_TIMEOUT_MS = '100';
+process.env.LLM_RETRY_DELAY_MS = '1';
+const { createMockProvider, generateText, getLlmInfo, setLlmProvider, streamText } = await import('../src/llm/index.js');
+const { createOpenAiProvider } = await import('../src/llm/openai.js');
+const { generateRecommendations } = await import('../src/recommendations.js');
+
+const REPLY = JSON.stringify({
+  recommendations: [
+    { text: 'Walk for 30 minutes on most days', category: 'activity', priority: 'medium', factors: [], urgency: 'routine' }
+  ]
+});
+
+// Mock provider whose replies come from `outcomes` in turn: a string is returned, an Error thrown
+function scripted(...outcomes) {
+  const reply = mock.fn(() => {
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome;
+  });
+  setLlmProvider(createMockProvider({ model: 'scripted', reply }));
+  return reply;
+}
+
+afterEach(() => {
+  setLlmProvider(createMockProvider({ model: 'mock-1' }));
+});
+
+test('the configured provider and model are reported', () => {
+  assert.deepEqual(getLlmInfo(), { provider: 'mock', model: 'mock-1' });
+});
+
+test('a failed call is retried and the reply names the provider and model', async () => {
+  const reply = scripted(new Error('503 overloaded'), 'hello');
+
+  assert.deepEqual(await generateText('hi'), { text: 'hello', provider: 'mock', model: 'scripted' });
+  assert.equal(reply.mock.callCount(), 2);
+});
+
+test('the last error is thrown once LLM_MAX_RETRIES is used up', async () => {
+  const reply = scripted(new Error('first'), new Error('second'), new Error('third'), 'too late');
+
+  await assert.rejects(generateText('hi'), /third/);
+  assert.equal(reply.mock.callCount(), 3);
+});
+
+test('a call slower than LLM_TIMEOUT_MS is aborted and retried', async () => {
+  const signals = [];
+  const reply = mock.fn((prompt, { signal }) => {
+    signals.push(signal);
+    return signals.length === 1
+      ? new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))))
+      : 'in time';
+  });
+  setLlmProvider(createMockProvider({ reply }));
+
+  assert.equal((await generateText('hi')).text, 'in time');
+  assert.equal(signals[0].aborted, true);
+  assert.equal(signals[1].aborted, false);
+
+  setLlmProvider(createMockProvider({ reply: (prompt, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  }) }));
+  await assert.rejects(generateText('hi'), { message: 'mock timed out after 100ms' });
+});
+
+test('a stream that fails after delivering text is not retried', async () => {
+  const reply = mock.fn(() => 'partial reply');
+  const provider = createMockProvider({ reply });
+  setLlmProvider({
+    ...provider,
+    async stream(prompt, options) {
+      await provider.stream(prompt, options);
+      throw new Error('connection reset');
+    }
+  });
+
+  const deltas = [];
+  await assert.rejects(streamText('hi', { onDelta: delta => deltas.push(delta) }), /connection reset/);
+  assert.equal(deltas.join(''), 'partial reply');
+  assert.equal(reply.mock.callCount(), 1);
+});
+
+test('recommendations report the provider and model that produced them', async () => {
+  scripted(new Error('timeout'), REPLY);
+
+  const result = await generateRecommendations('low', []);
+
+  assert.equal(result.source, 'llm');
+  assert.deepEqual(result.llm, { provider: 'mock', model: 'scripted' });
+  assert.equal(result.recommendations[0].text, 'Walk for 30 minutes on most days');
+});
+
+test('a provider that keeps failing falls back to static recommendations', async () => {
+  scripted(new Error('down'), new Error('down'), new Error('down'));
+
+  const result = await generateRecommendations('high', ['smoking']);
+
+  assert.equal(result.source, 'static');
+  assert.ok(result.recommendations.length > 0);
+});
+
+test('an unavailable provider is never called', async () => {
+  const generate = mock.fn();
+  setLlmProvider({ name: 'gemini', model: 'gemini-2.5-flash-lite', isAvailable: () => false, generate });
+
+  const result = await generateRecommendations('moderate', ['sedentary']);
+
+  assert.equal(result.source, 'static');
+  assert.equal(generate.mock.callCount(), 0);
+});
+
+// A local OpenAI-compatible server (as llama.cpp or Ollama would run) answering one request
+async function chatServer(respond) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      respond(res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('the OpenAI-compatible adapter sends the model and JSON schema and reads the reply', async () => {
+  const server = await chatServer(res => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ choices: [{ message: { content: '{"ok":true}' } }] }));
+  });
+  try {
+    const provider = createOpenAiProvider({ model: 'llama3', baseUrl: server.baseUrl });
+    const schema = { type: 'object' };
+
+    assert.equal(provider.isAvailable(), true);
+    assert.equal(await provider.generate('hi', { jsonSchema: schema }), '{"ok":true}');
+    assert.equal(server.requests[0].headers.authorization, undefined);
+    assert.equal(server.requests[0].body.model, 'llama3');
+    assert.deepEqual(server.requests[0].body.response_format.json_schema.schema, schema);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the OpenAI-compatible adapter streams server-sent deltas', async () => {
+  const server = await chatServer(res => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    ['Walk ', 'daily'].forEach(content => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+    res.end('data: [DONE]\n\n');
+  });
+  try {
+    const provider = createOpenAiProvider({ model: 'llama3', baseUrl: server.baseUrl, apiKey: 'secret' });
+    const deltas = [];
+
+    assert.equal(await provider.stream('hi', { onDelta: delta => deltas.push(delta) }), 'Walk daily');
+    assert.deepEqual(deltas, ['Walk ', 'daily']);
+    assert.equal(server.requests[0].headers.authorization, 'Bearer secret');
+    assert.equal(server.requests[0].body.stream, true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('the hosted OpenAI API is unavailable without a key', () => {
+  assert.equal(createOpenAiProvider({ model: 'gpt-4o-mini', baseUrl: 'https://api.openai.com/v1', requiresKey: true }).isAvailable(), false);
+});
@@ -0,0 +1,103 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Tesseract from 'tesseract.js';
+
+process.env.OCR_POOL_SIZE = '1';
+const { initOcrPool, recognizeWithPool, getOcrPoolStats, shutdownOcrPool } = await import('../src/ocrPool.js');
+
+// Stands in for a Tesseract worker; each recognize() waits until the test releases it
+function fakeWorker() {
+  const pending = [];
+  return {
+    pending,
+    recognize: mock.fn(image => new Promise((resolve, reject) => pending.push({ image, resolve, reject }))),
+    reinitialize: mock.fn(async () => {}),
+    terminate: mock.fn(async () => {})
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(async () => {
+  await shutdownOcrPool();
+  mock.restoreAll();
+});
+
+test('requests queue for the single worker and run in turn', async () => {
+  const worker = fakeWorker();
+  mock.method(Tesseract, 'createWorker', async () => worker);
+  await initOcrPool();
+
+  const first = recognizeWithPool('page-1');
+  const second = recognizeWithPool('page-2');
+  await tick();
+  assert.equal(worker.recognize.mock.callCount(), 1);
+  assert.equal(getOcrPoolStats().queued, 1);
+
+  worker.pending.shift().resolve({ data: { text: 'one' } });
+  assert.equal((await first).data.text, 'one');
+  await tick();
+  assert.equal(worker.pending[0].image, 'page-2');
+  worker.pending.shift().resolve({ data: { text: 'two' } });
+  assert.equal((await second).data.text, 'two');
+
+  const stats = getOcrPoolStats();
+  assert.equal(stats.size, 1);
+  assert.equal(stats.busy, 0);
+  assert.equal(stats.processed, 2);
+});
+
+test('a worker is reloaded for other languages and freed after a failure', async () => {
+  const worker = fakeWorker();
+  mock.method(Tesseract, 'createWorker', async () => worker);
+  await initOcrPool();
+
+  const failing = recognizeWithPool('page', { languages: 'spa' });
+  await tick();
+  assert.deepEqual(worker.reinitialize.mock.calls[0].arguments, ['spa']);
+  worker.pending.shift().reject(new Error('unreadable image'));
+  await assert.rejects(failing, /unreadable image/);
+
+  const next = recognizeWithPool('page', { languages: 'spa' });
+  await tick();
+  assert.equal(worker.reinitialize.mock.callCount(), 1);
+  worker.pending.shift().resolve({ data: { text: 'ok' } });
+  await next;
+  assert.equal(getOcrPoolStats().busy, 0);
+  assert.deepEqual(getOcrPoolStats().languages, ['spa']);
+});
+
+test('a failed start is retried by the next request', async () => {
+  const worker = fakeWorker();
+  const createWorker = mock.method(Tesseract, 'createWorker', async () => {
+    throw new Error('language data unavailable');
+  });
+
+  await assert.rejects(initOcrPool(), /language data unavailable/);
+  await assert.rejects(recognizeWithPool('page'), /language data unavailable/);
+  createWorker.mock.mockImplementation(async () => worker);
+
+  const result = recognizeWithPool('page');
+  await tick();
+  worker.pending.shift().resolve({ data: { text: 'ok' } });
+  assert.equal((await result).data.text, 'ok');
+});
+
+test('shutdown rejects waiting requests and terminates the workers', async () => {
+  const worker = fakeWorker();
+  mock.method(Tesseract, 'createWorker', async () => worker);
+  await initOcrPool();
+
+  const running = recognizeWithPool('page-1');
+  const waiting = recognizeWithPool('page-2');
+  await tick();
+
+  const shutdown = shutdownOcrPool();
+  await assert.rejects(waiting, /shutting down/);
+  await assert.rejects(recognizeWithPool('page-3'), /shutting down/);
+  worker.pending.shift().resolve({ data: { text: 'finished' } });
+  assert.equal((await running).data.text, 'finished');
+  await shutdown;
+  assert.equal(worker.terminate.mock.callCount(), 1);
+  assert.equal(getOcrPoolStats().ready, false);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { processHealthProfile } from '../src/ocr.js';
+import { analyzeProfile } from '../src/pipeline.js';
+
+const survey = lines => lines.join('\n');
+
+test('readable quantity answers become structured fields', async () => {
+  const parsed = await processHealthProfile(survey([
+    'Age: 45', 'Smoker: 10 cigarettes/day, for 20 years', 'Exercise: 3x a week, 45 min', 'Diet: balanced', 'Alcohol: 2 drinks per day'
+  ]), 'text');
+
+  assert.equal(parsed.answers.smoker, true);
+  assert.equal(parsed.answers.pack_years, 10);
+  assert.equal(parsed.answers.exercise, 'often');
+  assert.equal(parsed.answers.exercise_minutes, 135);
+  assert.equal(parsed.answers.alcohol_drinks, 14);
+  assert.equal(parsed.field_sources.pack_years, 'derived');
+  assert.equal(parsed.unreadable_fields, undefined);
+});
+
+test('an unreadable optional quantity answer is dropped, not rejected', async () => {
+  const text = survey(['Age: 40', 'Smoker: no', 'Exercise: daily', 'Diet: balanced', 'Alcohol: occasionally']);
+  const parsed = await processHealthProfile(text, 'text');
+
+  assert.equal(parsed.answers.alcohol, undefined);
+  assert.equal(parsed.field_sources.alcohol, undefined);
+  assert.deepEqual(parsed.unreadable_fields, ['alcohol']);
+  assert.deepEqual(parsed.missing_fields, []);
+
+  const outcome = await analyzeProfile(text, 'text');
+  assert.equal(outcome.ok, true);
+  assert.equal(outcome.response.status, 'ok');
+});
+
+test('an unreadable required quantity answer counts as missing', async () => {
+  const parsed = await processHealthProfile(survey(['Age: 40', 'Smoker: socially', 'Exercise: daily', 'Diet: balanced']), 'text');
+
+  assert.deepEqual(parsed.unreadable_fields, ['smoker']);
+  assert.deepEqual(parsed.missing_fields, ['smoker']);
+});
+
+test('localized enum answers survive quantity normalization', async () => {
+  for (const [language, text] of [
+    ['fr', survey(['Âge: 45', 'Fumeur: non', 'Activité physique: jamais', 'Alimentation: équilibrée', 'Alcool: jamais'])],
+    ['es', survey(['Edad: 45', 'Fumador: no', 'Ejercicio: a menudo', 'Dieta: equilibrada', 'Alcohol: nunca'])],
+    ['hi', survey(['आयु: 45', 'धूम्रपान: नहीं', 'व्यायाम: कभी नहीं', 'आहार: संतुलित', 'शराब: कभी नहीं'])]
+  ]) {
+    const parsed = await processHealthProfile(text, 'text', { language });
+    assert.equal(parsed.answers.exercise, language === 'es' ? 'often' : 'never', language);
+    assert.equal(parsed.answers.alcohol, 'no', language);
+    assert.equal(parsed.unreadable_fields, undefined, language);
+    assert.deepEqual(parsed.missing_fields, [], language);
+  }
+});
@@ -0,0 +1,114 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { recognition, mockTesseract } from './helpers/tesseract.js';
+
+process.env.OCR_POOL_SIZE = '1';
+process.env.OCR_PREPROCESS_COMPARE = 'true';
+const { preprocessImage, parseStepList, resolveSteps } = await import('../src/preprocess.js');
+const { processHealthProfile } = await import('../src/ocr.js');
+const { initOcrPool, shutdownOcrPool } = await import('../src/ocrPool.js');
+
+const SURVEY = ['Age: 45', 'Smoker: no', 'Exercise: daily', 'Diet: balanced'];
+
+// A grey page with a darker band, like a shadowed phone photo
+async function photo({ width = 400, height = 100, orientation } = {}) {
+  const band = await sharp({ create: { width: width / 2, height, channels: 3, background: '#505050' } }).png().toBuffer();
+  let image = sharp({ create: { width, height, channels: 3, background: '#b4b4b4' } })
+    .composite([{ input: band, left: 0, top: 0 }]);
+  if (orientation) {
+    image = image.withMetadata({ orientation });
+  }
+  return image.jpeg().toBuffer();
+}
+
+afterEach(async () => {
+  await shutdownOcrPool();
+  mock.restoreAll();
+});
+
+test('step lists accept names, none and all, and ignore unknown steps', () => {
+  assert.deepEqual(parseStepList('grayscale, sharpen,binarize'), ['grayscale', 'binarize']);
+  assert.deepEqual(parseStepList('none'), []);
+  assert.deepEqual(parseStepList('all'), ['rotate', 'grayscale', 'upscale', 'binarize', 'deskew']);
+  assert.deepEqual(resolveSteps(['deskew', 'crop']), ['deskew']);
+  assert.deepEqual(resolveSteps(undefined), parseStepList('all'));
+});
+
+test('no steps leaves the image untouched', async () => {
+  const image = await photo();
+  const prepared = await preprocessImage(image, []);
+
+  assert.equal(prepared.image, image);
+  assert.deepEqual(prepared.applied, []);
+  assert.equal(prepared.scale, 1);
+  assert.deepEqual(prepared.recognizeOptions, {});
+});
+
+test('small images are upscaled and binarized to pure black and white', async () => {
+  const prepared = await preprocessImage(await photo(), ['grayscale', 'upscale', 'binarize', 'deskew']);
+
+  assert.deepEqual(prepared.applied, ['grayscale', 'upscale', 'binarize']);
+  assert.equal(prepared.scale, 3);
+  assert.deepEqual(prepared.recognizeOptions, { rotateAuto: true });
+
+  const { data, info } = await sharp(prepared.image).raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.width, 1200);
+  assert.ok(data.every(value => value === 0 || value === 255));
+});
+
+test('EXIF orientation is applied before measuring the width to upscale', async () => {
+  const prepared = await preprocessImage(await photo({ width: 200, height: 600, orientation: 6 }), ['rotate', 'upscale']);
+
+  assert.deepEqual(prepared.applied, ['rotate', 'upscale']);
+  assert.equal(prepared.scale, 2);
+  const { width, height } = await sharp(prepared.image).metadata();
+  assert.deepEqual([width, height], [1200, 400]);
+});
+
+test('OCR reports the steps applied, the deskew angle and confidence before and after', async () => {
+  const image = await photo();
+  mockTesseract(input => (input === image
+    ? recognition(SURVEY, { confidence: 40 })
+    : recognition(SURVEY, { confidence: 85, rotateRadians: Math.PI / 90 })));
+  await initOcrPool();
+
+  const parsed = await processHealthProfile(image, 'image', { mimetype: 'image/jpeg' });
+
+  assert.deepEqual(parsed.pages[0].preprocessing, {
+    steps_applied: ['grayscale', 'upscale', 'binarize', 'deskew'],
+    deskew_angle: 2,
+    confidence_after: 0.85,
+    confidence_before: 0.4,
+    selected: 'preprocessed'
+  });
+  assert.equal(parsed.confidence, 0.85);
+  assert.deepEqual(parsed.preprocessing, {
+    steps_applied: ['grayscale', 'upscale', 'binarize', 'deskew'],
+    confidence_after: 0.85,
+    confidence_before: 0.4
+  });
+});
+
+test('the original image is kept when preprocessing made recognition worse', async () => {
+  const image = await photo();
+  mockTesseract(input => recognition(SURVEY, { confidence: input === image ? 80 : 60 }));
+  await initOcrPool();
+
+  const parsed = await processHealthProfile(image, 'image', { mimetype: 'image/jpeg', preprocess: 'grayscale' });
+
+  assert.equal(parsed.pages[0].preprocessing.selected, 'original');
+  assert.equal(parsed.confidence, 0.8);
+});
+
+test('preprocessing can be switched off per request', async () => {
+  const image = await photo();
+  const worker = mockTesseract(() => recognition(SURVEY));
+  await initOcrPool();
+
+  const parsed = await processHealthProfile(image, 'image', { mimetype: 'image/jpeg', preprocess: 'none' });
+
+  assert.equal(worker.recognize.mock.callCount(), 1);
+  assert.equal(worker.recognize.mock.calls[0].arguments[0], image);
+  assert.deepEqual(parsed.preprocessing, { steps_applied: [], confidence_after: 0.9 });
+});
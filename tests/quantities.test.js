@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAlcohol, parseExercise, parseSmoking } from '../src/quantities.js';
+
+test('alcohol amounts are converted to drinks per week', () => {
+  const cases = {
+    '2 drinks per day': 14,
+    '2 drinks/day': 14,
+    '2 beers on weekends': 2,
+    '2 copas al día': 14,
+    '3 cervezas a la semana': 3,
+    '2 verres par jour': 14,
+    '1 bière par semaine': 1
+  };
+  Object.entries(cases).forEach(([text, drinks]) => {
+    assert.equal(parseAlcohol(text)?.quantities.alcohol_drinks, drinks, text);
+  });
+});
+
+test('alcohol answers without a period or amount are not guessed', () => {
+  assert.equal(parseAlcohol('2 beers'), null);
+  assert.equal(parseAlcohol('occasionally'), null);
+  assert.deepEqual(parseAlcohol('quit drinking'), { value: 'no', quantities: { alcohol_drinks: 0 } });
+});
+
+test('exercise sessions and minutes are converted to weekly totals', () => {
+  const cases = {
+    '3x a week, 45 min': { exercise_minutes: 135, exercise_sessions: 3 },
+    '150 minutes per week': { exercise_minutes: 150 },
+    '20 mins daily': { exercise_minutes: 140, exercise_sessions: 7 },
+    '3 veces por semana, 30 minutos': { exercise_minutes: 90, exercise_sessions: 3 },
+    '30 minutos al día': { exercise_minutes: 210 },
+    '2 días a la semana': { exercise_sessions: 2 },
+    '3 fois par semaine, 45 minutes': { exercise_minutes: 135, exercise_sessions: 3 },
+    '1h par jour': { exercise_minutes: 420 }
+  };
+  Object.entries(cases).forEach(([text, quantities]) => {
+    assert.deepEqual(parseExercise(text)?.quantities, quantities, text);
+  });
+  assert.equal(parseExercise('3x a week, 45 min').value, 'often');
+});
+
+test('smoking answers give status, cigarettes per day and pack-years', () => {
+  const options = { currentYear: 2026 };
+  assert.deepEqual(parseSmoking('1 pack a day for 20 years', options), {
+    value: true,
+    quantities: { smoking_status: 'current', cigarettes_per_day: 20, pack_years: 20 }
+  });
+  assert.deepEqual(parseSmoking('10 cigarettes/day, quit 2019', options), {
+    value: false,
+    quantities: { smoking_status: 'former', cigarettes_per_day: 10, quit_year: 2019 }
+  });
+  assert.equal(parseSmoking('10 cigarrillos al día', options).quantities.cigarettes_per_day, 10);
+  assert.equal(parseSmoking('1 paquete al día durante 20 años', options).quantities.pack_years, 20);
+  assert.equal(parseSmoking('10 cigarettes par jour', options).quantities.cigarettes_per_day, 10);
+  assert.equal(parseSmoking('10/day', options).quantities.cigarettes_per_day, 10);
+  assert.equal(parseSmoking('never', options).quantities.smoking_status, 'never');
+});
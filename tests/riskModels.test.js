@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRiskModel, listRiskModels } from '../src/riskModels.js';
+import { calculateRisk } from '../src/risk.js';
+
+test('every shipped version of the default model stays selectable', () => {
+  const versions = listRiskModels().filter(model => model.id === 'default').map(model => model.version);
+  assert.deepEqual(versions, ['1.1.0', '1.0.0']);
+  assert.equal(getRiskModel().version, '1.1.0');
+  assert.equal(getRiskModel('default@1.0.0').version, '1.0.0');
+});
+
+test('default@1.0.0 keeps its original weights', () => {
+  const model = getRiskModel('default@1.0.0');
+  assert.equal(model.weights['heavy alcohol consumption'], undefined);
+  assert.deepEqual(model.quantity_adjustments, []);
+});
+
+test('band headroom is what the score can gain before it moves up', () => {
+  const breakdown = factors => calculateRisk(factors, { age: 30 }, getRiskModel('default@1.0.0')).score_breakdown;
+
+  // smoking (25) plus a factor without its own weight (5) sits at the top of the low band
+  const top = breakdown(['smoking', 'unlisted factor']);
+  assert.equal(top.score, 30);
+  assert.equal(top.band.level, 'low');
+  assert.deepEqual(top.band.next_level, { level: 'medium', threshold: 30, headroom: 0 });
+
+  const above = breakdown(['smoking', 'poor sleep']);
+  assert.equal(above.band.level, 'medium');
+  assert.equal(above.band.next_level.headroom, 25);
+});
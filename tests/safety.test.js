@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { screenRecommendation, applySafetyGuardrails } from '../src/safety.js';
+
+function item(text, category = 'activity', priority = 'medium', urgency = 'routine') {
+  return { text, category, priority, factors: [], urgency };
+}
+
+function screen(text) {
+  return screenRecommendation(item(text));
+}
+
+test('lifestyle advice with volumes or "dose" passes', () => {
+  for (const text of [
+    'Drink 500 ml of water with each meal',
+    'Aim for a daily dose of 30 minutes of brisk walking',
+    'Limit alcohol to 1 drink a day'
+  ]) {
+    assert.equal(screen(text).text, text);
+  }
+});
+
+test('dosages and medication changes are blocked', () => {
+  for (const text of [
+    'Take 500 mg of metformin',
+    'Use 10 ml of insulin before meals',
+    'Take 2 pills of aspirin daily',
+    'Increase your insulin dose',
+    'Your insulin dose should go up',
+    'Stop taking your statins',
+    'Stop taking statins and ask your doctor about it',
+    'See your doctor and stop taking your insulin',
+    'Consult your physician, then double your metformin',
+    'Talk to your doctor today. Stop taking statins.',
+    'Ask your doctor about it; take 20 ml of insulin daily',
+    'See a specialist and take 2 pills of aspirin'
+  ]) {
+    assert.equal(screen(text), null, text);
+  }
+});
+
+test('questions deferred to a clinician pass, diagnoses do not', () => {
+  for (const text of [
+    'Ask your doctor whether you should stop taking statins',
+    'Ask your doctor whether a lower dose of your blood thinner is right for you',
+    'Talk to your doctor about your blood pressure medication',
+    'Discuss reducing your statins with your doctor'
+  ]) {
+    assert.equal(screen(text).text, text);
+  }
+  assert.equal(screen('See your doctor; you have diabetes'), null);
+});
+
+test('guardrails report blocked items by rule', () => {
+  const result = applySafetyGuardrails({
+    source: 'llm',
+    recommendations: [
+      item('Drink 500 ml of water with each meal', 'diet'),
+      item('Double your medication dose', 'medical', 'high', 'soon')
+    ]
+  }, { riskLevel: 'medium', factors: [] });
+  assert.deepEqual(result.recommendations.map(entry => entry.text), ['Drink 500 ml of water with each meal']);
+  assert.deepEqual(result.safety.blocked, [{ rule: 'medication_change', category: 'medical' }]);
+  assert.equal(result.safety.escalated, false);
+  assert.equal(result.safety.fell_back_to_static, false);
+});
+
+test('high-risk profiles get a clinician item unless one is already there', () => {
+  const recommendations = [item('Walk 30 minutes daily'), item('Reduce sugar and increase vegetables', 'diet')];
+
+  const escalated = applySafetyGuardrails({ source: 'llm', recommendations }, { riskLevel: 'high', factors: [], escalate: true });
+  assert.equal(escalated.safety.escalated, true);
+  assert.deepEqual(escalated.recommendations[0], {
+    text: 'See a clinician soon for a full health assessment',
+    category: 'medical',
+    priority: 'high',
+    factors: [],
+    urgency: 'soon'
+  });
+  assert.equal(escalated.recommendations.length, 3);
+
+  const withVisit = applySafetyGuardrails({
+    source: 'llm',
+    recommendations: [item('Book a visit with your doctor this month', 'medical', 'high', 'soon'), ...recommendations]
+  }, { riskLevel: 'high', factors: [], escalate: true });
+  assert.equal(withVisit.safety.escalated, false);
+  assert.equal(withVisit.recommendations.length, 3);
+});
+
+test('the static recommendations replace a list whose items were all blocked', () => {
+  const result = applySafetyGuardrails({
+    source: 'llm',
+    recommendations: [item('Stop taking your statins', 'medical', 'high', 'soon'), item('This detox cures heart disease', 'diet')]
+  }, { riskLevel: 'high', factors: ['smoking'], escalate: true });
+
+  assert.equal(result.safety.fell_back_to_static, true);
+  assert.equal(result.source, 'static');
+  assert.deepEqual(result.safety.blocked.map(entry => entry.rule), ['medication_change', 'unsafe_claim']);
+  const texts = result.recommendations.map(entry => entry.text);
+  assert.ok(texts.includes('Quit smoking with professional support'));
+  // The static high-risk set already sends the user to a healthcare provider
+  assert.ok(texts.includes('Consult healthcare provider for comprehensive assessment'));
+  assert.equal(result.safety.escalated, false);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateScenarios } from '../src/simulation.js';
+import { normalizeAnswers } from '../src/ocr.js';
+import { validateAnswers } from '../src/guardrails.js';
+import { getRiskModel } from '../src/riskModels.js';
+
+const model = getRiskModel('default@1.1.0');
+
+// Answers as an /analyze response returns them, quantities included
+const analyzed = {
+  age: 45,
+  smoker: false,
+  exercise: 'rarely',
+  exercise_minutes: 30,
+  exercise_sessions: 1,
+  diet: 'balanced',
+  bmi: 24
+};
+
+test('free-text baseline answers are accepted like /analyze accepts them', () => {
+  const { answers } = normalizeAnswers({ ...analyzed, smoker: '10/day' });
+
+  assert.equal(validateAnswers(answers).isValid, true);
+  assert.equal(answers.smoker, true);
+  assert.equal(answers.cigarettes_per_day, 10);
+});
+
+test('changing an answer replaces the quantities derived from it', () => {
+  const { scenarios } = simulateScenarios(analyzed, [{ name: 'exercise daily', changes: { exercise: 'daily' } }], model);
+
+  assert.equal(scenarios[0].status, 'ok');
+  assert.ok(scenarios[0].score_delta < 0);
+  assert.deepEqual(scenarios[0].factors_removed, ['low exercise']);
+});
+
+test('scenario changes may be free-text amounts', () => {
+  const { scenarios } = simulateScenarios(analyzed, [
+    { name: 'walk more', changes: { exercise: '5x a week, 40 min' } },
+    { name: 'start smoking', changes: { smoker: '10 cigarettes/day' } }
+  ], model);
+
+  assert.deepEqual(scenarios.map(scenario => scenario.status), ['ok', 'ok']);
+  assert.deepEqual(scenarios[0].factors_removed, ['low exercise']);
+  assert.deepEqual(scenarios[1].factors_added, ['smoking']);
+});
+
+test('a scenario answer that cannot be read is reported, not scored', () => {
+  const { scenarios } = simulateScenarios(analyzed, [{ changes: { alcohol: 'occasionally' } }], model);
+
+  assert.equal(scenarios[0].status, 'invalid_scenario');
+  assert.equal(scenarios[0].field, 'alcohol');
+});
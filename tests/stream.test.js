@@ -0,0 +1,97 @@
+import { test, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.API_AUTH = 'off';
+process.env.LLM_PROVIDER = 'mock';
+const { startApi } = await import('./helpers/api.js');
+const { createMockProvider, setLlmProvider } = await import('../src/llm/index.js');
+
+const PROFILE = 'Age: 45, Smoker: yes, Exercise: never, Diet: fast food';
+const REPLY = JSON.stringify({
+  recommendations: [
+    { text: 'Walk for 30 minutes on most days', category: 'activity', priority: 'medium', factors: ['low exercise'], urgency: 'routine' },
+    { text: 'Ask your doctor about a plan to quit smoking', category: 'substance', priority: 'high', factors: ['smoking'], urgency: 'soon' }
+  ]
+});
+
+const api = await startApi();
+after(() => api.close());
+afterEach(() => setLlmProvider(createMockProvider()));
+
+// Parses a complete text/event-stream body into { id, event, data } records
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => {
+      const separator = line.indexOf(': ');
+      return [line.slice(0, separator), line.slice(separator + 2)];
+    }));
+    return { id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+async function stream(version, body, headers) {
+  const response = await api.request(`/${version}/analyze/stream`, { method: 'POST', body, headers });
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+  return parseEvents(await response.text());
+}
+
+test('each pipeline stage is streamed before the terminal result', async () => {
+  setLlmProvider(createMockProvider({ reply: REPLY }));
+  const events = await stream('v2', { text: PROFILE }, { 'X-Request-Id': 'stream-1' });
+
+  assert.deepEqual(events.filter(event => event.event === 'stage').map(event => event.data.stage),
+    ['parsing', 'validation', 'factors', 'risk', 'recommendations']);
+  assert.deepEqual([...new Set(events.map(event => event.event))],
+    ['stage', 'parsed', 'validation', 'factors', 'risk', 'recommendation', 'recommendations', 'result']);
+  assert.deepEqual(events.map(event => event.id), events.map((event, index) => index + 1));
+
+  const byName = name => events.find(event => event.event === name).data;
+  assert.equal(byName('parsed').answers.smoker, true);
+  assert.deepEqual(byName('factors').factors, ['smoking', 'low exercise', 'poor diet']);
+  assert.equal(byName('risk').risk_level, 'medium');
+
+  const provisional = events.filter(event => event.event === 'recommendation').map(event => event.data);
+  assert.deepEqual(provisional.map(item => [item.text, item.attempt, item.provisional]), [
+    ['Walk for 30 minutes on most days', 1, true],
+    ['Ask your doctor about a plan to quit smoking', 1, true]
+  ]);
+  // The final list is the validated one, sorted for v2
+  assert.deepEqual(byName('recommendations').recommendations.map(item => item.priority), ['high', 'medium']);
+
+  const result = events.at(-1);
+  assert.equal(result.event, 'result');
+  assert.equal(result.data.status, 'ok');
+  assert.equal(result.data.meta.request_id, 'stream-1');
+});
+
+test('v1 streams keep the v1 recommendation shape', async () => {
+  setLlmProvider(createMockProvider({ reply: REPLY }));
+  const events = await stream('v1', { text: PROFILE });
+
+  const provisional = events.find(event => event.event === 'recommendation').data;
+  assert.deepEqual(provisional, { text: 'Walk for 30 minutes on most days', attempt: 1, provisional: true });
+  const final = events.find(event => event.event === 'recommendations').data;
+  assert.deepEqual(final.recommendations, ['Walk for 30 minutes on most days', 'Ask your doctor about a plan to quit smoking']);
+  assert.equal(final.source, 'gemini-ai');
+  assert.equal(events.at(-1).event, 'result');
+});
+
+test('a failed validation ends the stream with an error event naming the stage', async () => {
+  const events = await stream('v2', { text: 'Age: 45' });
+  const terminal = events.at(-1);
+
+  assert.equal(terminal.event, 'error');
+  assert.equal(terminal.data.type, 'incomplete_profile');
+  assert.equal(terminal.data.stage, 'validation');
+  assert.equal(events.find(event => event.event === 'validation').data.valid, false);
+  assert.ok(!events.some(event => event.event === 'risk'));
+});
+
+test('request errors are answered as JSON before the stream opens', async () => {
+  const response = await api.request('/v2/analyze/stream', { method: 'POST', body: {} });
+
+  assert.equal(response.status, 400);
+  assert.match(response.headers.get('content-type'), /application\/json/);
+  assert.equal((await response.json()).type, 'missing_input');
+});